@@ -0,0 +1,48 @@
+import { generateDataQualityReport } from './utils/dataQualityReport.js';
+
+// Usage: npm run data-quality [-- --json]
+// Exits with code 1 when a catalog file fails schema validation.
+
+const asJson = process.argv.includes('--json');
+
+try {
+  const report = generateDataQualityReport();
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Data quality report (${report.productCount} products, ${report.generatedAt})\n`);
+
+    const labels = {
+      schemaErrors: 'Schema errors',
+      zeroPrice: 'Zero price',
+      unknownVendor: 'Unknown vendor',
+      defaultedBillingCycle: 'Billing cycle defaulted to Monthly',
+      boilerplateDescription: 'Boilerplate description',
+      unresolvedRankingIds: 'Ranking ids not in catalog',
+    };
+    Object.entries(labels).forEach(([key, label]) => {
+      console.log(`${report.summary[key] > 0 ? '⚠️ ' : '✅'} ${label}: ${report.summary[key]}`);
+    });
+
+    report.schemaErrors.slice(0, 20).forEach(error => console.log(`\n   ${error}`));
+
+    ['zeroPrice', 'unknownVendor', 'defaultedBillingCycle', 'boilerplateDescription'].forEach(key => {
+      const listed = report.issues[key];
+      if (listed.length === 0) return;
+      console.log(`\n${labels[key]}:`);
+      listed.slice(0, 10).forEach(product => console.log(`   - ${product.name} (${product.id})`));
+      if (report.summary[key] > 10) console.log(`   ...and ${report.summary[key] - 10} more (use --json for the full list)`);
+    });
+
+    if (report.issues.unresolvedRankingIds.length > 0) {
+      console.log(`\n${labels.unresolvedRankingIds}:`);
+      report.issues.unresolvedRankingIds.forEach(entry => console.log(`   - ${entry.source}: ${entry.ids.join(', ')}`));
+    }
+  }
+
+  process.exit(report.summary.schemaErrors > 0 ? 1 : 0);
+} catch (error) {
+  console.error('Could not build data quality report:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { loadProductsFromJSON } from './utils/productLoader.js';
+import { queueProductReindex } from './utils/catalogReloader.js';
+import { getLLMProvider } from './utils/llmProvider.js';
+import { makeRequest } from './utils/httpClient.js';
+import {
+  BASELINE_PATH, DEFAULT_TOLERANCE, loadGoldenSet, evaluateRetrieval, evaluateAnswers,
+  loadBaseline, saveBaseline, findRegressions,
+} from './utils/evalHarness.js';
+
+// Usage: npm run eval [-- --retrieval-only] [-- --update-baseline] [-- --tolerance=0.05]
+// Answers are scored against the server at EVAL_API_URL (default http://localhost:$PORT),
+// so start it first, e.g. LLM_PROVIDER=mock npm start.
+// Exits with code 1 when the golden set is invalid, the server can't be reached
+// or a metric regressed against eval/baseline.json.
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const retrievalOnly = args.includes('--retrieval-only');
+const updateBaseline = args.includes('--update-baseline');
+const toleranceArg = args.find(arg => arg.startsWith('--tolerance='));
+const tolerance = toleranceArg ? parseFloat(toleranceArg.split('=')[1]) : DEFAULT_TOLERANCE;
+const apiUrl = process.env.EVAL_API_URL || `http://localhost:${process.env.PORT || 3001}`;
+const reportPath = path.join(path.dirname(BASELINE_PATH), 'report.json');
+
+function printMetrics(title, metrics) {
+  console.log(`\n${title}`);
+  Object.entries(metrics).forEach(([metric, value]) => {
+    console.log(`   ${metric.padEnd(18)} ${value === null ? '-' : value.toFixed(3)}`);
+  });
+}
+
+/**
+ * Provider the server answers with, from /health (null if the server is down)
+ */
+async function getServerProvider() {
+  try {
+    const response = await makeRequest(`${apiUrl.replace(/\/+$/, '')}/health`, { timeout: 10000 }, 1);
+    const health = await response.json();
+    return health.llmProvider || 'unknown';
+  } catch (error) {
+    return null;
+  }
+}
+
+try {
+  const products = await loadProductsFromJSON();
+  const goldenSet = loadGoldenSet(products);
+  if (goldenSet.errors.length > 0) {
+    console.error('Golden set is invalid:');
+    goldenSet.errors.forEach(error => console.error(`   ${error}`));
+    process.exit(1);
+  }
+
+  let providerName = getLLMProvider().name;
+  if (!retrievalOnly) {
+    const serverProvider = await getServerProvider();
+    if (!serverProvider) {
+      console.error(`Chat server not reachable at ${apiUrl}. Start it (e.g. LLM_PROVIDER=mock npm start) or run with --retrieval-only.`);
+      process.exit(1);
+    }
+    if (serverProvider !== providerName) {
+      console.warn(`⚠️ Server answers with "${serverProvider}" but retrieval is scored with "${providerName}" embeddings; set the same LLM_PROVIDER for both`);
+    }
+    providerName = serverProvider;
+  }
+
+  // Same embedding index the server builds (reused from disk when unchanged)
+  await queueProductReindex(products);
+
+  console.log(`\nEvaluating golden set v${goldenSet.version} (${goldenSet.cases.length} cases, provider "${providerName}")`);
+  const retrieval = await evaluateRetrieval(goldenSet.cases, products);
+  const answers = retrievalOnly ? null : await evaluateAnswers(goldenSet.cases, products, { apiUrl });
+
+  printMetrics('Retrieval', retrieval.metrics);
+  retrieval.cases.filter(result => result['recall@5'] < 1).forEach(result => {
+    console.log(`   ⚠️  ${result.id}: recall@5 ${result['recall@5'].toFixed(2)} (first hit ${result.firstRank ? `#${result.firstRank}` : 'not in top 10'})`);
+  });
+
+  if (answers) {
+    printMetrics('Answers', answers.metrics);
+    answers.cases.filter(result => !result.passed).forEach(result => {
+      const failed = result.error || Object.entries(result.checks)
+        .filter(([, value]) => value !== null && value < 1)
+        .map(([check, value]) => `${check} ${value.toFixed(2)}`)
+        .join(', ');
+      console.log(`   ❌ ${result.id}: ${failed}`);
+    });
+  }
+
+  const scores = { retrieval: retrieval.metrics, answers: answers?.metrics || null };
+  fs.writeFileSync(reportPath, `${JSON.stringify({
+    goldenSetVersion: goldenSet.version,
+    provider: providerName,
+    generatedAt: new Date().toISOString(),
+    scores,
+    retrieval: retrieval.cases,
+    answers: answers?.cases || null,
+  }, null, 2)}\n`);
+  console.log(`\nPer-case results written to ${reportPath}`);
+
+  if (updateBaseline) {
+    saveBaseline(providerName, goldenSet.version, scores);
+    console.log(`✅ Baseline for "${providerName}" updated in ${BASELINE_PATH}`);
+    process.exit(0);
+  }
+
+  const baseline = loadBaseline();
+  if (!baseline || baseline.goldenSetVersion !== goldenSet.version || !baseline.providers[providerName]) {
+    console.log(`No baseline for "${providerName}" and golden set v${goldenSet.version}; record one with --update-baseline`);
+    process.exit(0);
+  }
+
+  const regressions = findRegressions(scores, baseline.providers[providerName], tolerance);
+  if (regressions.length > 0) {
+    console.error(`\n❌ ${regressions.length} metrics regressed (tolerance ${tolerance}):`);
+    regressions.forEach(({ metric, baseline: before, current }) => {
+      console.error(`   ${metric}: ${before.toFixed(3)} -> ${current.toFixed(3)}`);
+    });
+    process.exit(1);
+  }
+
+  console.log(`\n✅ No regressions against the "${providerName}" baseline (tolerance ${tolerance})`);
+  process.exit(0);
+} catch (error) {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+}
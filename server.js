@@ -3,22 +3,34 @@ import './polyfill.js';
 
 import express from "express";
 import dotenv from "dotenv";
-import { makeRequest } from "./utils/httpClient.js";
-import { fetchAllProducts, formatProductsForKnowledgeBase } from "./utils/productFetcher.js";
-import { fetchCategoryHierarchy, formatCategoryHierarchyForKnowledgeBase } from "./utils/categoryFetcher.js";
-import { scrapeAllPages, scrapeListingProducts } from "./utils/websiteScraper.js";
-import { resolveIntent, inferConversationStage, isDomainRelated, isGreeting } from "./utils/intentMapper.js";
-import { scrapeEntireWebsite } from "./utils/comprehensiveScraper.js";
-// Embedding service re-enabled with optimizations
-import { indexContent, indexProductChunks, getRelevantContent, needsUpdate } from "./utils/embeddingService.js";
-import { trackConversationState, getStagePrompt, generateGuidingQuestion, suggestQuickReplies } from "./utils/conversationManager.js";
-import { loadProductsFromJSON, productsToTextChunks } from "./utils/productLoader.js";
+import { fetchCategoryHierarchy } from "./utils/categoryFetcher.js";
+import { resolveIntent, inferConversationStage } from "./utils/intentMapper.js";
+import { getIndexStatus } from "./utils/embeddingService.js";
+import { completeWithTools, streamWithTools } from "./utils/chatTools.js";
+import { extractProductCards } from "./utils/productCards.js";
+import { compareProducts, MIN_COMPARE_PRODUCTS, MAX_COMPARE_PRODUCTS } from "./utils/productComparison.js";
+import { calculateQuote } from "./utils/quoteCalculator.js";
+import { verifyAnswer, buildGroundingFeedback } from "./utils/answerGrounding.js";
+import { trackConversationState, getStagePrompt, suggestQuickReplies } from "./utils/conversationManager.js";
+import { loadProductsFromJSON } from "./utils/productLoader.js";
 import { loadMarketplaceSignals, resolveProductsByIds } from "./utils/marketplaceSignalsLoader.js";
+import { createStreamingLinkFixer } from "./utils/chatStreaming.js";
+import { createLinkFixer } from "./utils/linkResolver.js";
+import { matchQueryRules, formatRuleInstructions } from "./utils/queryRules.js";
+import { extractEntities, filterProductsByEntities, describeEntities } from "./utils/entityExtractor.js";
+import { getSpellingVocabulary, correctSpelling, findCatalogTerms } from "./utils/spellCorrector.js";
+import { classifyIntent, routeIntent } from "./utils/intentClassifier.js";
+import { getLLMProvider } from "./utils/llmProvider.js";
+import { getHttpMetrics } from "./utils/httpClient.js";
+import { createSession, getSession, recordTurn, resetSession, serializeSession } from "./utils/sessionManager.js";
+import { generateDataQualityReport } from "./utils/dataQualityReport.js";
+import { reloadCatalog, queueProductReindex, markInitialCatalog, getCatalogStatus, watchCatalogFiles } from "./utils/catalogReloader.js";
+import { parseBrowseQuery, browseProducts, describeProduct, listCatalogCategories, listCatalogVendors } from "./utils/catalogBrowser.js";
 
 dotenv.config();
 
-// Global flag to track if products have been indexed for semantic search
-let isIndexed = false;
+// In-flight product indexing run (started at boot, reused by chat requests)
+let productIndexPromise = null;
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -48,24 +60,35 @@ app.use((req, res, next) => {
   next();
 });
 
-// Azure OpenAI configuration
-const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
-const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
-const DEPLOYMENT_NAME = process.env.AZURE_AI_AGENT_MODEL_DEPLOYMENT_NAME || "gpt-4o";
-const API_VERSION = "2024-02-15-preview";
+// LLM provider configuration (LLM_PROVIDER=azure | openai | mock)
+const llmProvider = getLLMProvider();
 
 // Validate configuration
-if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_API_KEY) {
-  console.error("Missing Azure OpenAI credentials. Please check your .env file.");
+if (!llmProvider.isConfigured()) {
+  console.error(`LLM provider "${llmProvider.name}" is not configured. Please check your .env file.`);
 } else {
-  console.log(`Azure OpenAI configured with deployment: ${DEPLOYMENT_NAME}`);
-  console.log(`Endpoint: ${AZURE_OPENAI_ENDPOINT}`);
+  console.log(`LLM provider "${llmProvider.name}" configured with chat model: ${llmProvider.chatModel}`);
+}
+
+/**
+ * Builds the product embedding index once. Persisted vectors are reused, so
+ * only new or changed products are embedded; catalog reloads queue their own runs.
+ * @returns {Promise<void>}
+ */
+function ensureProductIndex() {
+  if (!productIndexPromise) {
+    productIndexPromise = loadProductsFromJSON().then(products => {
+      markInitialCatalog(products);
+      return queueProductReindex(products);
+    });
+  }
+  return productIndexPromise;
 }
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.json({ status: "ok", message: "Chatbot backend is running" });
+  res.json({ status: "ok", message: "Chatbot backend is running", llmProvider: llmProvider.name, embeddingIndex: getIndexStatus(), catalog: getCatalogStatus(), upstreams: getHttpMetrics().hosts });
 });
 
 // Explicitly handle OPTIONS for /api/chat
@@ -77,454 +100,245 @@ app.options("/api/chat", (req, res) => {
 });
 
 /**
- * Augments knowledge base with marketplace signals based on query intent
- * @param {string} queryLower - Lowercase user query
- * @param {Array} products - All products array
- * @param {Object} marketplaceSignals - Marketplace signals object
- * @param {Object} categoryRankings - Category rankings object
- * @param {Object} oemRankings - OEM rankings object
- * @returns {string} - Augmented knowledge base sections or empty string
+ * Summarizes preferences extracted from the session history for the prompt
+ * @param {Object} preferences - Output of extractUserPreferences
+ * @returns {string}
  */
-function augmentKnowledgeBaseWithSignals(queryLower, products, marketplaceSignals, categoryRankings, oemRankings) {
-  let augmentedSections = "";
-
-  // aa) POWER BI SPECIFIC SEARCH (CRITICAL)
-  if (queryLower.includes('power bi')) {
-    const powerBiProducts = products.filter(p => (p.name || '').toLowerCase().includes('power bi'));
-    if (powerBiProducts.length > 0) {
-      augmentedSections += `\n=== ACCURATE POWER BI PRODUCTS (${powerBiProducts.length} products) ===\n`;
-      augmentedSections += `MANDATORY: These are the ONLY Power BI products. Do NOT list Power Automate products for this query.\n\n`;
-      powerBiProducts.forEach((product, index) => {
-        augmentedSections += `${index + 1}. **${product.name}**\n`;
-        augmentedSections += `   Vendor: ${product.vendor}\n`;
-        augmentedSections += `   Price: ${product.price ? `₹${product.price.toLocaleString('en-IN')}/${product.billingCycle || "Monthly"}` : "Contact Sales"}\n`;
-        const link = product.url || (product.id ? `https://shop.skysecure.ai/product/${product.id}` : null);
-        if (link) augmentedSections += `   Link: ${link}\n`;
-        augmentedSections += `\n`;
-      });
-      augmentedSections += `=== END ACCURATE POWER BI PRODUCTS ===\n\n`;
-    }
-  }
+function formatPreferences(preferences = {}) {
+  const parts = [];
+  if (preferences.teamSize) parts.push(`team size ${preferences.teamSize}`);
+  if (preferences.businessType) parts.push(`business type ${preferences.businessType}`);
+  if (preferences.budget) parts.push(`budget ₹${preferences.budget.toLocaleString('en-IN')}`);
+  if (preferences.primaryNeeds?.length) parts.push(`needs ${preferences.primaryNeeds.join(', ')}`);
+  return parts.length > 0 ? parts.join('; ') : 'None yet';
+}
 
-  // a) BEST SELLING PRODUCTS
-  if (queryLower.includes('best selling') || queryLower.includes('top selling') || queryLower.includes('popular products')) {
-    if (marketplaceSignals?.bestSelling && Array.isArray(marketplaceSignals.bestSelling)) {
-      const bestSellingProducts = resolveProductsByIds(marketplaceSignals.bestSelling, products);
-      if (bestSellingProducts.length > 0) {
-        augmentedSections += `\n=== TOP SELLING / BEST SELLING PRODUCTS (${bestSellingProducts.length} products) ===\n`;
-        augmentedSections += `These are the best selling products in SkySecure Marketplace based on marketplace signals:\n\n`;
-        bestSellingProducts.forEach((product, index) => {
-          augmentedSections += `${index + 1}. **${product.name}**\n`;
-          augmentedSections += `   Vendor: ${product.vendor}\n`;
-          augmentedSections += `   Price: ₹${(product.price || 0).toLocaleString('en-IN')}/${product.billingCycle || "Monthly"}\n`;
-          augmentedSections += `   Category: ${product.category}${product.subCategory ? ` > ${product.subCategory}` : ''}\n`;
-          if (product.description) {
-            augmentedSections += `   Description: ${product.description.substring(0, 150)}...\n`;
-          }
-          augmentedSections += `\n`;
-        });
-        augmentedSections += `=== END TOP SELLING / BEST SELLING PRODUCTS ===\n\n`;
-      }
-    }
-  }
+// Pre-filtered catalog matches are listed in the prompt only when the requirements are this specific
+const MAX_REQUIREMENT_MATCHES = 8;
 
-  // b) CATEGORY OVERVIEW
-  if (queryLower.includes('categories') || queryLower.includes('domains') || queryLower.includes('segments') ||
-    queryLower.includes('what categories') || queryLower.includes('list categories')) {
-    if (categoryRankings && Object.keys(categoryRankings).length > 0) {
-      augmentedSections += `\n=== CATEGORY OVERVIEW ===\n`;
-      augmentedSections += `SkySecure Marketplace offers Software products under these domains:\n\n`;
-      Object.entries(categoryRankings).forEach(([categoryName, productIds]) => {
-        const productCount = Array.isArray(productIds) ? productIds.length : 0;
-        augmentedSections += `- **${categoryName}**: ${productCount} products\n`;
-      });
-      augmentedSections += `=== END CATEGORY OVERVIEW ===\n\n`;
-    }
+/**
+ * Prompt section with the requirements extracted from the message and, when
+ * they narrow the catalog far enough, the products that satisfy them
+ * @param {Object} entities - From extractEntities
+ * @param {Object} matches - From filterProductsByEntities
+ * @returns {string} - Prompt section (empty if nothing was extracted)
+ */
+function formatRequirements(entities, matches) {
+  const summary = describeEntities(entities);
+  if (!summary) return "";
+
+  let section = `DETECTED REQUIREMENTS (from the user's message): ${summary}\n`;
+  if (matches.products.length > 0 && matches.products.length <= MAX_REQUIREMENT_MATCHES) {
+    section += `CATALOG PRODUCTS MATCHING THESE REQUIREMENTS (${matches.applied.join(', ')}):\n`;
+    matches.products.forEach(product => {
+      section += `- ${product.name} (id ${product.id})\n`;
+    });
+    section += `Start from these products: call get_product (or get_quote) with their ids for prices and links.\n`;
   }
+  section += `Use these requirements in your tool calls (search terms, quantity, billingCycle). Ask about anything important that is missing instead of assuming it.\n`;
+  return section;
+}
 
-  // c) CATEGORY-SPECIFIC QUERIES
-  if (categoryRankings) {
-    for (const [categoryName, productIds] of Object.entries(categoryRankings)) {
-      const categoryLower = categoryName.toLowerCase();
-      // Check if query mentions this category (case-insensitive)
-      if (queryLower.includes(categoryLower) ||
-        queryLower.includes(categoryName.toLowerCase().replace(/\s+/g, '-'))) {
-        if (Array.isArray(productIds) && productIds.length > 0) {
-          const categoryProducts = resolveProductsByIds(productIds, products);
-          if (categoryProducts.length > 0) {
-            augmentedSections += `\n=== PRODUCTS IN CATEGORY: ${categoryName} (${categoryProducts.length} products) ===\n`;
-            augmentedSections += `These are all products in the ${categoryName} category:\n\n`;
-            categoryProducts.forEach((product, index) => {
-              augmentedSections += `${index + 1}. **${product.name}**\n`;
-              augmentedSections += `   Vendor: ${product.vendor}\n`;
-              augmentedSections += `   Price: ₹${(product.price || 0).toLocaleString('en-IN')}/${product.billingCycle || "Monthly"}\n`;
-              if (product.description) {
-                augmentedSections += `   Description: ${product.description.substring(0, 150)}...\n`;
-              }
-              augmentedSections += `\n`;
-            });
-            augmentedSections += `=== END PRODUCTS IN CATEGORY: ${categoryName} ===\n\n`;
-            break; // Only process first matching category
-          }
-        }
-      }
-    }
+/**
+ * Marks products with the marketplace signal flags (best selling, featured,
+ * recently added) so tool results can show badges
+ * @param {Array} products - Products from productLoader
+ * @param {Object} marketplaceSignals - Marketplace signals object
+ */
+function applyMarketplaceSignals(products, marketplaceSignals) {
+  if (!marketplaceSignals) return;
+
+  // Set best selling flag
+  if (marketplaceSignals.bestSelling && Array.isArray(marketplaceSignals.bestSelling)) {
+    const bestSellingProducts = resolveProductsByIds(marketplaceSignals.bestSelling, products);
+    bestSellingProducts.forEach(product => {
+      product.isTopSelling = true;
+    });
+    console.log(`✅ Marked ${bestSellingProducts.length} products as best selling`);
   }
 
-  // d) OEM / VENDOR QUERIES
-  if (oemRankings) {
-    for (const [oemName, productIds] of Object.entries(oemRankings)) {
-      const oemLower = oemName.toLowerCase();
-      // Check if query mentions this OEM/vendor (case-insensitive)
-      if (queryLower.includes(oemLower) ||
-        queryLower.includes(`products by ${oemLower}`) ||
-        queryLower.includes(`${oemLower} products`)) {
-        if (Array.isArray(productIds) && productIds.length > 0) {
-          const oemProducts = resolveProductsByIds(productIds, products);
-          if (oemProducts.length > 0) {
-            augmentedSections += `\n=== PRODUCTS BY OEM/VENDOR: ${oemName} (${oemProducts.length} products) ===\n`;
-            augmentedSections += `These are all products from ${oemName}:\n\n`;
-            oemProducts.forEach((product, index) => {
-              augmentedSections += `${index + 1}. **${product.name}**\n`;
-              augmentedSections += `   Price: ₹${(product.price || 0).toLocaleString('en-IN')}/${product.billingCycle || "Monthly"}\n`;
-              augmentedSections += `   Category: ${product.category}${product.subCategory ? ` > ${product.subCategory}` : ''}\n`;
-              if (product.description) {
-                augmentedSections += `   Description: ${product.description.substring(0, 150)}...\n`;
-              }
-              augmentedSections += `\n`;
-            });
-            augmentedSections += `=== END PRODUCTS BY OEM/VENDOR: ${oemName} ===\n\n`;
-            break; // Only process first matching OEM
-          }
-        }
-      }
-    }
+  // Set featured flag
+  if (marketplaceSignals.featured && Array.isArray(marketplaceSignals.featured)) {
+    const featuredProducts = resolveProductsByIds(marketplaceSignals.featured, products);
+    featuredProducts.forEach(product => {
+      product.isFeatured = true;
+    });
+    console.log(`✅ Marked ${featuredProducts.length} products as featured`);
   }
 
-  return augmentedSections;
+  // Set recently added flag
+  if (marketplaceSignals.recentlyAdded && Array.isArray(marketplaceSignals.recentlyAdded)) {
+    const recentlyAddedIds = marketplaceSignals.recentlyAdded.map(item =>
+      typeof item === 'object' ? item.productId : item
+    );
+    const recentlyAddedProducts = resolveProductsByIds(recentlyAddedIds, products);
+    recentlyAddedProducts.forEach(product => {
+      product.isLatest = true;
+    });
+    console.log(`✅ Marked ${recentlyAddedProducts.length} products as recently added`);
+  }
 }
 
-// Chatbot endpoint
-app.post("/api/chat", async (req, res) => {
-  try {
-    const { message, conversationHistory = [] } = req.body;
-
-    if (!message || !message.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Message is required",
-      });
-    }
-
-    if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        message: "Azure OpenAI is not configured. Please check your .env file.",
-      });
-    }
-
-    console.log(`Processing chat request: "${message.substring(0, 50)}..."`);
-
-    // Load products from JSON file instead of scraping/API
-    const baseUrl = process.env.KNOWLEDGE_BASE_URL || "https://shop.skysecure.ai/";
-    let relevantContent = "";
-
-    // DYNAMIC: Parallelize data fetching and intent resolution for speed
-    console.log("🚀 Starting parallel data fetch and intent resolution...");
-    const productsPromise = loadProductsFromJSON();
-    const signalsPromise = loadMarketplaceSignals();
-    const categoryPromise = fetchCategoryHierarchy();
-    const intentPromise = resolveIntent(message, baseUrl);
-
-    // Await intent resolution early as it's needed for stage inference
-    const intentInfo = await intentPromise;
-
-    // FAST TRACK: Handle greetings and off-topic questions quickly
-    const greeting = isGreeting(message);
-    const domainRelated = isDomainRelated(message, intentInfo);
-
-    if (greeting || !domainRelated) {
-      console.log(`⚡ Fast-tracking ${greeting ? 'greeting' : 'off-topic'} response`);
-
-      const fastSystemPrompt = `You are a helpful virtual assistant for SkySecure Marketplace.
-      ${greeting ? 'The user just said hello. Respond with a warm, professional greeting and briefly ask how you can help them with software or IT needs.' : 'The user asked something outside the scope of software and IT. Politely inform them that you specialize in SkySecure Marketplace products and services.'}
-      Format your response with markdown and keep it concise.`;
-
-      const fastMessages = [
-        { role: "system", content: fastSystemPrompt },
-        ...conversationHistory.slice(-3).map(msg => ({
-          role: msg.from === "bot" ? "assistant" : "user",
-          content: msg.text
-        })),
-        { role: "user", content: message }
-      ];
-
-      const apiUrl = `${AZURE_OPENAI_ENDPOINT}${AZURE_OPENAI_ENDPOINT.endsWith('/') ? '' : '/'}openai/deployments/${DEPLOYMENT_NAME}/chat/completions?api-version=${API_VERSION}`;
-
-      const response = await makeRequest(apiUrl, {
-        method: 'POST',
-        headers: { "api-key": AZURE_OPENAI_API_KEY, "Content-Type": "application/json" },
-        body: { messages: fastMessages, temperature: 0.7, max_tokens: 500 }
-      });
-
-      const responseData = await response.json();
-      const botResponse = responseData.choices[0]?.message?.content || "How can I help you today?";
-
-      return res.json({
-        success: true,
-        message: botResponse,
-        quickReplies: greeting ? [{ text: "Show Best Sellers", value: "best_selling" }, { text: "Browse Categories", value: "categories" }] : [],
-        conversationStage: "Discovery"
-      });
-    }
+/**
+ * Products and rankings for the browse API, with the same badges the chat sees
+ * @returns {Promise<Object>} - { products, categoryRankings }
+ */
+async function loadBrowseCatalog() {
+  const [products, { marketplaceSignals, categoryRankings }] = await Promise.all([
+    loadProductsFromJSON(),
+    loadMarketplaceSignals(),
+  ]);
+  applyMarketplaceSignals(products, marketplaceSignals);
+  return { products, categoryRankings };
+}
 
-    const conversationStage = inferConversationStage(conversationHistory, message, intentInfo);
-
-    // Track conversation state using new conversation manager
-    const conversationState = trackConversationState(conversationHistory, message, intentInfo);
-    console.log(`Conversation state: Stage=${conversationState.stage}, Confidence=${conversationState.confidence}`);
-    const stagePrompt = getStagePrompt(conversationState.stage, conversationState.context);
-    const quickReplies = suggestQuickReplies(conversationState.stage, intentInfo);
-
-    // Load products from JSON file
-    console.log("Loading products from products_normalized.json...");
-    const productsFromJSON = await productsPromise;
-
-    // Index products with embeddings for semantic search - ONLY ONCE
-    if (productsFromJSON.length > 0 && !isIndexed) {
-      console.log("Indexing products with embeddings for semantic search (First Run)...");
-      const productChunks = productsToTextChunks(productsFromJSON);
-
-      // Index in background or wait with timeout
-      try {
-        await Promise.race([
-          indexProductChunks(productChunks),
-          new Promise((resolve) => setTimeout(() => resolve(), 30000)) // 30s timeout
-        ]);
-        isIndexed = true;
-        console.log("✅ Semantic search indexing complete");
-      } catch (err) {
-        console.warn("Product indexing failed, continuing without semantic search:", err.message);
-      }
-    } else if (productsFromJSON.length > 0) {
-      console.log("Using cached product embeddings (already indexed)");
-    }
+/**
+ * Assembles everything needed to answer one chat turn: resolves and
+ * classifies intent, handles the greeting/support/off-topic/restart fast
+ * track, prepares the catalog tools and builds the message list for the LLM
+ * provider.
+ * @param {string} originalMessage - Current user message, as typed
+ * @param {Object} session - Server-held session (history, stage, preferences)
+ * @returns {Promise<Object>} - { messages, completionOptions, toolContext, quickReplies, conversationStage, products, spelling, intent }
+ */
+async function prepareChatTurn(originalMessage, session) {
+  const conversationHistory = session.history;
+  const baseUrl = process.env.KNOWLEDGE_BASE_URL || "https://shop.skysecure.ai/";
+
+  // DYNAMIC: Parallelize data loading and intent resolution for speed
+  console.log("🚀 Starting parallel data load and intent resolution...");
+  const productsPromise = loadProductsFromJSON();
+  const signalsPromise = loadMarketplaceSignals();
+
+  // Fix typos in product terms ("defnder", "powerbi") before anything matches on
+  // the text; the model still gets the message exactly as typed
+  const spellingVocabulary = getSpellingVocabulary(await productsPromise);
+  const spelling = correctSpelling(originalMessage, spellingVocabulary);
+  const message = spelling.corrected;
+  if (spelling.corrections.length > 0) {
+    console.log(`✏️  Spelling: ${spelling.corrections.map(({ from, to }) => `${from} -> ${to}`).join(', ')}`);
+  }
 
-    // Get relevant content using semantic search on products (only if indexed)
-    let relevantContentPromise = Promise.resolve("");
-    if (productsFromJSON.length > 0 && isIndexed) {
-      console.log("Finding relevant products using semantic search...");
-      relevantContentPromise = Promise.race([
-        getRelevantContent(message, 15), // Increased from 10 to 15 relevant products
-        new Promise((resolve) => setTimeout(() => resolve(""), 5000)) // Increased timeout to 5s
-      ]).catch(err => {
-        console.warn("Semantic search failed:", err.message);
-        return "";
-      });
-    } else {
-      if (!isIndexed) console.log("Skipping semantic search - Index not ready yet");
-    }
+  const intentPromise = resolveIntent(message, baseUrl);
 
-    // Use products loaded from JSON file
-    console.log("Using products from JSON file...");
-    let products = productsFromJSON || [];
-    let productFetchError = null;
-
-    // Load marketplace signals and enrich products
-    console.log("Loading marketplace signals...");
-    const { marketplaceSignals, categoryRankings, oemRankings } = await signalsPromise;
-
-    // Await semantic search result
-    relevantContent = await relevantContentPromise;
-    console.log(`Semantic search returned ${relevantContent.length} characters of relevant content`);
-
-    // Enrich products with marketplace signals (set flags)
-    if (marketplaceSignals) {
-      // Set best selling flag
-      if (marketplaceSignals.bestSelling && Array.isArray(marketplaceSignals.bestSelling)) {
-        const bestSellingProducts = resolveProductsByIds(marketplaceSignals.bestSelling, products);
-        bestSellingProducts.forEach(product => {
-          product.isTopSelling = true;
-        });
-        console.log(`✅ Marked ${bestSellingProducts.length} products as best selling`);
-      }
+  // Await intent resolution early as it's needed for stage inference
+  const intentInfo = await intentPromise;
 
-      // Set featured flag
-      if (marketplaceSignals.featured && Array.isArray(marketplaceSignals.featured)) {
-        const featuredProducts = resolveProductsByIds(marketplaceSignals.featured, products);
-        featuredProducts.forEach(product => {
-          product.isFeatured = true;
-        });
-        console.log(`✅ Marked ${featuredProducts.length} products as featured`);
-      }
+  // Multi-label intent; named catalog products and requirements count as shopping signals
+  const classification = classifyIntent(message, {
+    catalogTerms: findCatalogTerms(message, spellingVocabulary),
+    entities: intentInfo.entities,
+  });
+  const route = routeIntent(classification);
+  const intent = { route, top: classification.top, labels: classification.labels };
+  console.log(`🧭 Intent: ${route} (${classification.labels.map(label => `${label.intent} ${label.confidence}`).join(', ') || 'no confident label'})`);
 
-      // Set recently added flag
-      if (marketplaceSignals.recentlyAdded && Array.isArray(marketplaceSignals.recentlyAdded)) {
-        const recentlyAddedIds = marketplaceSignals.recentlyAdded.map(item =>
-          typeof item === 'object' ? item.productId : item
-        );
-        const recentlyAddedProducts = resolveProductsByIds(recentlyAddedIds, products);
-        recentlyAddedProducts.forEach(product => {
-          product.isLatest = true;
-        });
-        console.log(`✅ Marked ${recentlyAddedProducts.length} products as recently added`);
-      }
-    }
+  // FAST TRACK: Handle greetings, after-sales, off-topic and restart messages quickly
+  if (route !== 'catalog') {
+    console.log(`⚡ Fast-tracking ${route} response`);
 
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`📊 PRODUCTS RETRIEVED FOR KNOWLEDGE BASE`);
-    console.log(`${'='.repeat(80)}`);
-    console.log(`Total Products Retrieved: ${products.length}`);
-
-    const featuredCount = products.filter(p => p.isFeatured).length;
-    const topSellingCount = products.filter(p => p.isTopSelling).length;
-    const recentlyAddedCount = products.filter(p => p.isLatest).length;
-    console.log(`Product Breakdown:`);
-    console.log(`  - Featured: ${featuredCount}`);
-    console.log(`  - Top Selling: ${topSellingCount}`);
-    console.log(`  - Recently Added: ${recentlyAddedCount}`);
-
-    // DYNAMIC SEARCH: Analyze user query for specific product searches
-    const queryLower = message.toLowerCase();
-    const searchTerms = [];
-
-    // Detect SQL-related queries
-    if (queryLower.includes('sql') || queryLower.includes('database')) {
-      searchTerms.push('SQL/Database');
-      const sqlProducts = products.filter(p => {
-        const name = (p.name || '').toLowerCase();
-        const desc = (p.description || '').toLowerCase();
-        return name.includes('sql') || desc.includes('sql') || name.includes('database');
-      });
-      console.log(`\n🔍 DYNAMIC SEARCH: SQL/Database Products`);
-      console.log(`  Found ${sqlProducts.length} SQL/Database products:`);
-      sqlProducts.forEach((p, idx) => {
-        console.log(`    ${idx + 1}. ${p.name} (${p.vendor}) - ${p.subCategory || p.category}`);
-      });
+    if (route === 'restart') {
+      await resetSession(session);
     }
 
-    // Detect Email-related queries
-    if (queryLower.includes('email') || queryLower.includes('exchange') || queryLower.includes('outlook')) {
-      searchTerms.push('Email');
-      const emailProducts = products.filter(p => {
-        const name = (p.name || '').toLowerCase();
-        const desc = (p.description || '').toLowerCase();
-        return name.includes('email') || desc.includes('email') ||
-          name.includes('exchange') || name.includes('outlook');
-      });
-      console.log(`\n🔍 DYNAMIC SEARCH: Email Products`);
-      console.log(`  Found ${emailProducts.length} Email products:`);
-      emailProducts.forEach((p, idx) => {
-        console.log(`    ${idx + 1}. ${p.name} (${p.vendor}) - ${p.subCategory || p.category}`);
-      });
-    }
-
-    // Detect Power BI-related queries
-    if (queryLower.includes('power bi')) {
-      searchTerms.push('Power BI');
-      const powerBiProducts = products.filter(p => {
-        const name = (p.name || '').toLowerCase();
-        const desc = (p.description || '').toLowerCase();
-        return name.includes('power bi');
-      });
-      console.log(`\n🔍 DYNAMIC SEARCH: Power BI Products`);
-      console.log(`  Found ${powerBiProducts.length} Power BI products:`);
-      powerBiProducts.forEach((p, idx) => {
-        console.log(`    ${idx + 1}. ${p.name} (${p.vendor}) - ${p.subCategory || p.category}`);
-      });
-    }
+    const fastInstructions = {
+      greeting: 'The user just said hello. Respond with a warm, professional greeting and briefly ask how you can help them with software or IT needs.',
+      support: `The user is asking about an existing order, account, licence activation or another after-sales matter. You cannot see orders or accounts. Briefly say so and point them to their SkySecure account (${baseUrl}) or to the SkySecure sales team via Contact Sales; offer to help them find products in the meantime.`,
+      off_topic: 'The user asked something outside the scope of software and IT. Politely inform them that you specialize in SkySecure Marketplace products and services.',
+      restart: 'The user wants to start over. The previous conversation has been cleared. Confirm briefly and ask what software or IT need they would like help with.',
+    };
+    const fastQuickReplies = {
+      greeting: [{ text: "Show Best Sellers", value: "best_selling" }, { text: "Browse Categories", value: "categories" }],
+      support: [{ text: "Contact Sales", value: "contact_sales" }],
+      off_topic: [],
+      restart: [{ text: "Show Best Sellers", value: "best_selling" }, { text: "Browse Categories", value: "categories" }],
+    };
+
+    const fastSystemPrompt = `You are a helpful virtual assistant for SkySecure Marketplace.
+      ${fastInstructions[route]}
+      Format your response with markdown and keep it concise.`;
 
-    // Detect Power Automate-related queries
-    if (queryLower.includes('power automate')) {
-      searchTerms.push('Power Automate');
-      const powerAutomateProducts = products.filter(p => {
-        const name = (p.name || '').toLowerCase();
-        const desc = (p.description || '').toLowerCase();
-        return name.includes('power automate');
-      });
-      console.log(`\n🔍 DYNAMIC SEARCH: Power Automate Products`);
-      console.log(`  Found ${powerAutomateProducts.length} Power Automate products:`);
-      powerAutomateProducts.forEach((p, idx) => {
-        console.log(`    ${idx + 1}. ${p.name} (${p.vendor}) - ${p.subCategory || p.category}`);
-      });
-    }
+    const fastMessages = [
+      { role: "system", content: fastSystemPrompt },
+      ...session.history.slice(-3).map(msg => ({
+        role: msg.from === "bot" ? "assistant" : "user",
+        content: msg.text
+      })),
+      { role: "user", content: originalMessage }
+    ];
 
-    if (searchTerms.length > 0) {
-      console.log(`\n🎯 Search Terms Detected: ${searchTerms.join(', ')}`);
-    }
+    return {
+      messages: fastMessages,
+      completionOptions: { temperature: 0.7, max_tokens: 500 },
+      toolContext: null,
+      fallbackResponse: "How can I help you today?",
+      quickReplies: fastQuickReplies[route],
+      // Greetings, support and off-topic turns keep the stage; a restart has already reset it to Discovery
+      conversationStage: session.stage,
+      products: [],
+      spelling,
+      intent,
+    };
+  }
 
-    // EXPLICIT LOGGING: If both are found, or if one is found, cross-verify
-    if (queryLower.includes('power bi') && !queryLower.includes('power automate')) {
-      console.log("⚠️  ALERT: User asked for Power BI. Validating that Power Automate products are NOT being prioritized.");
-    }
+  const conversationStage = inferConversationStage(conversationHistory, message, intentInfo);
 
-    // Group products by category for logging
-    const productsByCategory = {};
-    products.forEach(p => {
-      const cat = p.category || 'Uncategorized';
-      if (!productsByCategory[cat]) productsByCategory[cat] = [];
-      productsByCategory[cat].push(p);
-    });
+  // Track conversation state using new conversation manager
+  const conversationState = trackConversationState(conversationHistory, message, intentInfo, session.stage);
+  console.log(`Conversation state: Stage=${conversationState.stage}, Confidence=${conversationState.confidence}`);
+  const stagePrompt = getStagePrompt(conversationState.stage, conversationState.context);
+  const quickReplies = suggestQuickReplies(conversationState.stage, intentInfo);
 
-    console.log(`\n📦 Products by Category:`);
-    Object.entries(productsByCategory).sort((a, b) => b[1].length - a[1].length).forEach(([cat, catProducts]) => {
-      console.log(`  ${cat}: ${catProducts.length} products`);
-    });
+  // Load products from JSON file
+  console.log("Loading products from products_normalized.json...");
+  const products = await productsPromise;
 
-    console.log(`${'='.repeat(80)}\n`);
+  // Indexing runs in the background from boot; never block a chat on it
+  ensureProductIndex();
 
-    if (products.length === 0 && productFetchError) {
-      console.error(`ERROR: Failed to fetch products from API: ${productFetchError}`);
-      console.error("This may indicate:");
-      console.error("1. PRODUCT_SERVICE_BACKEND_URL is incorrect or unreachable");
-      console.error("2. Network connectivity issues");
-      console.error("3. API authentication or permission issues");
-    }
+  // Load marketplace signals and flag products (badges in tool results)
+  console.log("Loading marketplace signals...");
+  const { marketplaceSignals, categoryRankings, oemRankings } = await signalsPromise;
+  applyMarketplaceSignals(products, marketplaceSignals);
 
-    // Fetch category hierarchy and OEMs (use promise from start)
-    console.log("Fetching category hierarchy and OEMs (awaiting promise)...");
-    let categoryHierarchy = "";
-    try {
-      const categoryData = await Promise.race([
-        categoryPromise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error("Category API timeout")), 2500)) // 2.5s timeout
-      ]);
-
-      categoryHierarchy = formatCategoryHierarchyForKnowledgeBase(
-        categoryData.categories || [],
-        categoryData.oems || [],
-        products
-      );
-      console.log(`Category hierarchy created: ${categoryHierarchy.length} characters`);
-    } catch (error) {
-      console.error("Error fetching category hierarchy:", error.message);
-      categoryHierarchy = "\n=== MARKETPLACE CATEGORY HIERARCHY ===\nUnable to fetch category hierarchy from API at this time.\n=== END CATEGORY HIERARCHY ===\n\n";
-    }
+  if (products.length === 0) {
+    console.error("ERROR: No products loaded from products_normalized.json - catalog tools will return empty results");
+  }
 
-    // Skip website scraping - using products from JSON file instead
-    let listingProductsSection = "";
-    console.log("✅ Using products from JSON file - skipping website scraping to avoid timeouts");
-
-    // Re-format knowledge base with products from JSON - Use LIMITED version for faster response
-    let productKnowledgeBase = formatProductsForKnowledgeBase(productsFromJSON, false);
-    console.log(`Product knowledge base created: ${productKnowledgeBase.length} characters (Limited version)`);
-
-    // Augment knowledge base with marketplace signals based on query intent
-    const augmentedSections = augmentKnowledgeBaseWithSignals(
-      queryLower,
-      products,
-      marketplaceSignals,
-      categoryRankings,
-      oemRankings
-    );
+  // Requirements in the message (family, edition, term, quantity, specs, budget) narrow the catalog up front
+  const entities = intentInfo.entities || extractEntities(message);
+  const requirementMatches = filterProductsByEntities(products, entities);
+  if (requirementMatches.products.length > 0) {
+    console.log(`🧩 Requirements matched ${requirementMatches.products.length} products (${requirementMatches.applied.join(', ')})`);
+  }
+  const requirementsPrompt = formatRequirements(entities, requirementMatches);
+
+  // A seat count in this message wins over the one remembered from earlier turns
+  const messageTeamSize = entities.licenseUnit === 'user' ? entities.quantity : null;
+
+  // Catalog data is not pasted into the prompt; the model fetches what it needs with tools
+  const toolContext = { products, marketplaceSignals, categoryRankings, oemRankings, teamSize: messageTeamSize || session.preferences?.teamSize || null };
+
+  // COMPARISON MODE: "compare", "X vs Y" or the Compare Options quick reply
+  let comparisonPrompt = "";
+  if (classification.labels.some(label => label.intent === 'compare')) {
+    const previousProducts = resolveProductsByIds(session.lastProductIds || [], products).slice(0, MAX_COMPARE_PRODUCTS);
+    console.log(`⚖️  Comparison mode (${previousProducts.length} products from the previous answer)`);
+    comparisonPrompt = `COMPARISON MODE:
+The user wants a side-by-side comparison. Call compare_products with the 2-${MAX_COMPARE_PRODUCTS} products to compare and present its attribute matrix: one "## [**Product Name**](url)" section per product with the same bullet points (price per cycle, term, edition, cores/users, category, key features) in the same order, then a short "Key differences" list built from the rows where differs=true.
+${previousProducts.length > 0
+        ? `If the user did not name the products, compare the ones from your previous answer: ${previousProducts.map(product => `"${product.name}"`).join(', ')}.`
+        : 'If the user did not name the products, ask which products to compare.'}
+`;
+  }
 
-    if (augmentedSections) {
-      productKnowledgeBase += augmentedSections;
-      console.log(`✅ Augmented knowledge base with marketplace signals`);
-    }
+  // Merchandising rules from data/query_rules.json that apply to this message
+  const matchedRules = matchQueryRules(message);
+  if (matchedRules.length > 0) console.log(`📐 Query rules matched: ${matchedRules.map(rule => rule.id).join(', ')}`);
+  const rulesPrompt = formatRuleInstructions(matchedRules);
 
-    // Build system prompt with knowledge base
-    const systemPrompt = `You are a helpful, friendly, and visually-oriented virtual assistant for SkySecure Marketplace (Official URL: ${baseUrl}), similar to Amazon's Rufus. Your role is to help customers with questions about products, services, pricing, and general inquiries.
+  // Build system prompt
+  const systemPrompt = `You are a helpful, friendly, and visually-oriented virtual assistant for SkySecure Marketplace (Official URL: ${baseUrl}), similar to Amazon's Rufus. Your role is to help customers with questions about products, services, pricing, and general inquiries.
 
 ⛔ OUT OF SCOPE / OFF-TOPIC QUESTIONS:
 If the user asks about topics COMPLETELY UNRELATED to:
@@ -541,198 +355,87 @@ DO NOT attempt to answer the off-topic question. politely decline and pivot back
 
 IMPORTANT: Format all responses in a visually appealing way using markdown. Use clear headings, bullet points (NO TABLES), bold text, and proper spacing to make responses easy to read and engaging.
 
-⚠️  CRITICAL DATA SOURCE RULES - PRODUCTS FROM JSON FILE ⚠️
-
-All products are loaded from products_normalized.json file. Products DO EXIST and MUST be discovered using semantic search.
+⚠️  CRITICAL DATA SOURCE RULES - USE THE CATALOG TOOLS ⚠️
 
-MANDATORY DATA FETCH RULES:
-1. **PRIMARY SOURCE**: Products loaded from products_normalized.json file
-   - All products are available in the product data sections below
-   - Use semantic search results to find relevant products
-2. **SEMANTIC SEARCH**: Use the "SEMANTIC SEARCH RESULTS" section to find products matching the user's query
-3. A category is considered empty ONLY if:
-   - No products found in the JSON file for that category
-   - AND semantic search returns no relevant products
-4. DO NOT assume, infer, or hallucinate products - use only the data from the JSON file
-
-PRODUCT PAGES TO TRAVERSE:
-- /products?subCategoryId=* (for subcategories)
-- /products?oemId=* (for OEM/vendor products)
-- /products?sort=* (for sorted product lists)
+You do NOT have the product catalog in this prompt. You MUST look products up with the tools below before naming, pricing or linking any product:
+- search_products: free-text search (names, editions, plan codes like "E5", core counts, use cases); sort by discount, rating or price and filter to onSale / inStock for questions like "what's on discount?" or "highest rated backup tool"
+- get_product: full details of one product by id or name
+- list_category: all categories (no arguments), or the products in a category / product family (e.g. "SQL", "Windows", "Teams")
+- get_best_sellers: best selling, featured or recently added products (optionally per category)
+- compare_products: 2–4 products side by side
+- get_quote: licence quantities and total cost (monthly, yearly, multi-year, incl. GST) for a number of users or cores
 
 BEHAVIOR RULES:
-1. PRIORITY ORDER for product data:
-   a) "SEMANTIC SEARCH RESULTS" section (most relevant products for the query)
-   b) Category-specific sections in product data (e.g., "SQL PRODUCTS", "DATA MANAGEMENT PRODUCTS")
-   c) General product listings from JSON file
-2. Use semantic search results to find the most relevant products for the user's query
-3. If products exist in the JSON file, LIST THEM
-4. Say "No products found" ONLY if:
-   - Semantic search returns no results
-   - AND no products found in category-specific sections
-   - AND no products in general listings
-5. If a user asks about a specific category (e.g., Data Management), check:
-   - First: "SEMANTIC SEARCH RESULTS" section
-   - Then: Category-specific sections in product knowledge base
-6. Show product name, vendor, pricing model, and license duration from JSON data
-7. Keep responses concise, factual, and aligned with the product data from JSON file
-8. DO NOT add external explanations, recommendations, or examples unless explicitly asked
+1. Call a tool for every product question. Use several calls if needed (e.g. search, then get_product for details).
+2. Mention ONLY products returned by the tools, with the exact name, price and "url" from the tool result.
+3. Say "No products found" ONLY if the relevant tools returned no products. Try search_products with a simpler query before giving up.
+4. For category or sub-category questions use list_category; for best selling, featured or recently added products use get_best_sellers.
+5. Show product name, vendor, pricing model, and license duration from the tool results.
+6. Keep responses concise, factual, and aligned with the tool results.
+7. DO NOT add external explanations, recommendations, or examples unless explicitly asked.
+8. Follow the QUERY RULES section below when there is one.
 
 RESPONSE FORMAT:
-   - Product Name (bold, and YOU MUST MAKE IT A LINK using the "Link:" field from data. E.g., [**Product Name**](Link))
+   - Product Name (bold, and YOU MUST MAKE IT A LINK using the "url" field from the tool result. E.g., [**Product Name**](url))
    - Vendor
    - Price / License
    - Category (if relevant)
    - Link (always ensure the name is clickable, or list the link explicitly)
 
-EXAMPLE BEHAVIOR:
-- User asks: "What products are in Data Management?"
-  → Action: Check the data below for products from /products?subCategoryId=68931f337874310ffca28e96&subCategory=Data-Management
-  → If products are listed in the data, respond with the listed products
-  → If no products are found in the data, respond: "No products found in the Data Management category on SkySecure Marketplace."
-  → DO NOT assume or infer products that are not in the data
-
-CRITICAL: You have access to:
-
-1. REAL product data loaded from products_normalized.json with actual names, prices, categories, vendors, descriptions
-2. SEMANTIC SEARCH results that find the most relevant products based on the user's query
-3. Complete product information, descriptions, features, pricing, categories from the JSON file
-
-You MUST use this comprehensive data to answer ALL questions accurately. All products are loaded from the products_normalized.json file. DO NOT make up or assume any information that is not in the data provided below.
-
 CONVERSATION STATE: ${conversationStage}
 CONVERSATION STAGE (Guided Sales): ${conversationState.stage}
 STAGE CONFIDENCE: ${conversationState.confidence}
+KNOWN CUSTOMER PREFERENCES: ${formatPreferences(session.preferences)}
+DETECTED INTENTS: ${classification.labels.map(label => `${label.intent} (${label.confidence})`).join(', ')}
 RESOLVED INTENT: ${intentInfo.categoryName || ''} ${intentInfo.subCategoryId ? `(subCategoryId=${intentInfo.subCategoryId})` : ''} ${intentInfo.oemId ? `(oemId=${intentInfo.oemId})` : ''}
 LISTING URLS: ${(intentInfo.listingUrls || []).join(', ')}
 
 ${stagePrompt}
 
-${relevantContent ? `SEMANTIC SEARCH RESULTS (Most relevant products for this query):
-${relevantContent}
+${comparisonPrompt}
+${rulesPrompt}
+${requirementsPrompt}
+${toolContext.teamSize ? `QUOTES: The customer has a team of ${toolContext.teamSize}. When you recommend per-user products, call get_quote (quantity ${toolContext.teamSize}) and show the monthly, yearly and 3-year totals including 18% GST. For core-licensed products (Windows Server, SQL Server) ask how many cores/servers they need if unknown.
 ` : ''}
-
-=== MARKETPLACE CATEGORY HIERARCHY AND OEMs ===
-${categoryHierarchy}
-=== END CATEGORY HIERARCHY ===
-
-=== PRODUCT DATA FROM API ===
-${productKnowledgeBase}
-=== END PRODUCT DATA ===
-
-
-IMPORTANT: The product data above contains clearly marked sections:
-- "=== RECENTLY ADDED PRODUCTS ===" section lists all recently added products
-- "=== TOP SELLING / BEST SELLING PRODUCTS ===" section lists all best selling products  
-- "=== FEATURED PRODUCTS ===" section lists all featured products
-
-When users ask about these categories, you MUST look for these specific sections and list the products from them.
-
-CRITICAL INSTRUCTIONS - READ CAREFULLY:
-
-The product data below contains SPECIFIC SECTIONS for:
-- FEATURED PRODUCTS
-- BEST SELLING / TOP SELLING PRODUCTS  
-- RECENTLY ADDED PRODUCTS
-
-When a user asks about these categories, you MUST:
-1. Look for the specific section (e.g., "=== RECENTLY ADDED PRODUCTS ===" or "=== FEATURED PRODUCTS ===")
-2. Check if the section header shows "(X products)" where X > 0 - this means products EXIST
-3. If products exist (X > 0), list ALL products from that section with their names, vendors, prices, and categories
-4. DO NOT say "not available", "not provided", or "no products" if the section shows "(X products)" where X > 0
-5. Only say "no products" if the section explicitly says "No products" or shows "(0 products)"
-
-CRITICAL: The data below contains REAL information from the SkySecure Marketplace API. You MUST use this data to answer questions.
-
-IMPORTANT: The sections are clearly marked with headers like:
-- "=== FEATURED PRODUCTS (X products) ===" - if X > 0, there ARE featured products, list them ALL
-- "=== TOP SELLING / BEST SELLING PRODUCTS (X products) ===" - if X > 0, there ARE best selling products, list them ALL
-- "=== RECENTLY ADDED PRODUCTS (X products) ===" - if X > 0, there ARE recently added products, list them ALL
-- "=== MARKETPLACE CATEGORY HIERARCHY ===" - Shows the FULL hierarchical structure with main categories, sub-categories, and sub-sub-categories
-
-ABSOLUTE REQUIREMENT: When a user asks about categories, sub-categories, featured products, best selling products, or recently added products, you MUST look at the data provided below. If the data shows products exist, you MUST list them. DO NOT say "no products" or "no subcategories" if the data clearly shows they exist.
-
-EXAMPLES:
-- User asks "what are the categories in skysecure marketplace" → Look for "=== MARKETPLACE CATEGORY HIERARCHY ===" section. Show the FULL hierarchy:
-  * Main categories (e.g., "1. Software (X products)")
-  * Sub-categories under each main category (e.g., "   1.1 Cloud services (Y products)", "   1.2 Data Management (Z products)", etc.)
-  * Also mention OEMs from "=== ORIGINAL EQUIPMENT MANUFACTURERS (OEMs) ===" section
-- User asks "what are the sub categories in software" → Look for "=== MARKETPLACE CATEGORY HIERARCHY ===" section, find "Software" category, and list ALL its sub-categories (1.1, 1.2, 1.3, etc.)
-- User asks "what are recently added products" → Look for "=== RECENTLY ADDED PRODUCTS ===" section. If it shows "(X products)" where X > 0, list ALL products from that section with full details (name, vendor, price, category, description).
-- User asks "best selling products" → Look for "=== TOP SELLING / BEST SELLING PRODUCTS ===" section. If it shows "(X products)" where X > 0, list ALL products from that section.
-- User asks "featured products" → Look for "=== FEATURED PRODUCTS ===" section. If it shows "(X products)" where X > 0, list ALL products from that section.
-- User asks "what are the SQL products being sold" or "SQL products" → Look for products in this EXACT order:
-  1. **FIRST**: Check "=== SEMANTIC SEARCH RESULTS ===" section - These are the most relevant products found via semantic search
-     - This is the PRIMARY source for finding relevant products
-     - Filter for products with "SQL" in the name or description
-  2. **SECOND**: Check "=== SQL PRODUCTS ===" section (from JSON file)
-  3. **THIRD**: Check "=== DATA MANAGEMENT PRODUCTS ===" section (from JSON file)
-  
-  If ANY of these sections show products, you MUST list ALL of them using the standard point-wise format defined below. DO NOT use separate headers for each section; aggregate them into a single clear list.
-  
-  CRITICAL: Use semantic search results and product data from JSON file to find all relevant products.
-
 GENERAL INSTRUCTIONS:
-1. **DATA PRIORITY**: ALWAYS check "SEMANTIC SEARCH RESULTS" and specific category sections (e.g., SQL, FEATURED) before saying something doesn't exist.
+1. **DATA PRIORITY**: ALWAYS call the tools before saying something doesn't exist.
 2. **STRICT VISUAL RULES (NO TABLES)**: 
    - NEVER use markdown tables OR pseudo-tables (tab-separated text).
    - NEVER use column-based layouts.
    - ALWAYS use vertical, point-wise lists.
    - For comparisons, use: ## [Product Name] > Bullet points for details.
-3. **MANDATORY CLICKABLE LINKS**: Every single time you mention a product name, you MUST make it a clickable markdown link using the EXACT URL from the "Link:" field in the data. Format: [**Product Name**](Direct_URL_From_Data).
+3. **MANDATORY CLICKABLE LINKS**: Every single time you mention a product name, you MUST make it a clickable markdown link using the EXACT URL from the "url" field of the tool result. Format: [**Product Name**](Direct_URL_From_Tool).
 4. **PRODUCT LISTING FORMAT**:
-   1. [**Product Name**](Direct_URL_From_Data) | 🏢 **Vendor**: [Vendor] | 💰 **Price**: [All Available Prices Joined by " | "]
+   1. [**Product Name**](Direct_URL_From_Tool) | 🏢 **Vendor**: [Vendor] | 💰 **Price**: [All Available Prices Joined by " | "]
       - 🏷️ **Category**: [Category]
       - 📝 **Description**: [Brief 1-sentence description]
-5. **PRICING**: Format as ₹{amount}/{Cycle}. List ALL available cycles (Monthly, Yearly, 3-Year).
-6. **STRICT LINK GUARDRAIL**: ONLY use URLs from the "Link:" field. NEVER guess or use "skysecuremarketplace.com". All official links start with "https://shop.skysecure.ai/".
-7. **CATEGORIES**: Organized in the "MARKETPLACE CATEGORY HIERARCHY" section. Use the exact hierarchy (1., 1.1, 1.2, etc.) and product counts provided.
-8. **ACCURACY**: Use EXACT names and prices from the provided JSON data.
+5. **PRICING**: Format as ₹{amount}/{Cycle}. List ALL available cycles from "pricing" (Monthly, Yearly, 3-Year).
+6. **STRICT LINK GUARDRAIL**: ONLY use URLs from the "url" field. NEVER guess or use "skysecuremarketplace.com". All official links start with "https://shop.skysecure.ai/".
+7. **CATEGORIES**: Use the category names and product counts returned by list_category.
+8. **ACCURACY**: Use EXACT names and prices from the tool results.
 9. **CONCISE RESPONSES**: To avoid truncation, keep descriptions to 1 sentence. If more than 10 products are found, list the top 10 and offer to show more.
 
-CRITICAL: All data is fetched LIVE from the SkySecure Marketplace API. There are NO hard-coded responses. If data is missing, it means the API returned no data, and you must clearly communicate this to the user.
-
 IMPORTANT: Marketplace Signals Clarification:
 "Best selling" and "featured" products are derived marketplace signals based on catalog prominence and heuristics, not real-time sales or order data. These signals are computed from product metadata, category rankings, and marketplace analytics to identify products that are likely to be popular or noteworthy.
 
 ABSOLUTE GUARDRAILS:
-1. NEVER say "no products found" unless semantic search returns no results AND no products found in category sections.
+1. NEVER say "no products found" unless the tools returned no products.
 2. If the user intent maps to a broad category, ask one clarifying question to narrow to a subcategory or OEM before recommending.
 3. If intent is clear, recommend 1–2 products with reasoning and always include a direct Link for each product when available.
-4. Treat products parsed from listing pages as authoritative first-class data for availability.
-5. **STRICT LINK GUARDRAIL**: ONLY use the direct links provided in the "Link:" field of the product data. NEVER guess, assume, or hallucinate a URL. NEVER use "skysecuremarketplace.com" as a domain unless explicitly seen in the "Link:" field. All official links start with "${baseUrl}".
-6. **MANDATORY CLICKABLE NAMES**: Every time you mention a product name, you MUST make it a clickable markdown link using the exact URL from the "Link:" field. E.g., [**Product Name**](Exact_Link_From_Data).
+4. NEVER invent a product, price or link that no tool returned.
+5. **STRICT LINK GUARDRAIL**: ONLY use the direct links provided in the "url" field of tool results. NEVER guess, assume, or hallucinate a URL. NEVER use "skysecuremarketplace.com" as a domain. All official links start with "${baseUrl}".
+6. **MANDATORY CLICKABLE NAMES**: Every time you mention a product name, you MUST make it a clickable markdown link using the exact URL from the "url" field. E.g., [**Product Name**](Exact_Url_From_Tool).
 
 CONVERSATION STAGES:
 Discovery → Narrowing → Recommendation → Conversion.
 Follow one guiding question at a time. Prefer concise next-step prompts to move the user forward.
 
-MANDATORY CHECKLIST before answering:
-- Question about categories? → Check "MARKETPLACE CATEGORY HIERARCHY" section
-- Question about sub-categories? → Check "MARKETPLACE CATEGORY HIERARCHY" section for numbered sub-categories (e.g., 1.1, 1.2, etc.)
-- Question about featured products? → Check "=== FEATURED PRODUCTS ===" section
-- Question about best selling products? → Check "=== TOP SELLING / BEST SELLING PRODUCTS ===" section
-- Question about recently added products? → Check "=== RECENTLY ADDED PRODUCTS ===" section
-- Question about SQL products? → Check in this order:
-  1. "=== SEMANTIC SEARCH RESULTS ===" section FIRST (most relevant products)
-  2. "=== SQL PRODUCTS ===" section (from JSON file)
-- Question about Power BI products? → Check in this order:
-  1. "=== SEMANTIC SEARCH RESULTS ===" section FIRST (most relevant products)
-  2. "=== POWER BI PRODUCTS ===" section (from JSON file)
-  ⚠️ WARNING: DO NOT list "Power Automate" products when the user asks for "Power BI". Only list products that specifically contain "Power BI" in their name.
-- Question about Email or Collaboration products? → Check in this order:
-  1. "=== SEMANTIC SEARCH RESULTS ===" section FIRST
-  2. "=== EMAIL & COLLABORATION PRODUCTS ===" section (from JSON file)
-- Question about Data Management products? → Check "=== DATA MANAGEMENT PRODUCTS ===" section
-
-10. **CONTEXTUAL CONTINUITY**: If a user clicks a button like "Compare Options", "Show Pricing", or "See Features" after you've provided an overview or list, they are referring to those specific products. You MUST use the conversation history to perform the requested action (Compare, Pricing, or Features) for the items you JUST mentioned. DO NOT ask for clarification; use the products from the previous bot message.
-
-The data is comprehensive and accurate - USE IT!
+10. **CONTEXTUAL CONTINUITY**: If a user clicks a button like "Compare Options", "Show Pricing", or "See Features" after you've provided an overview or list, they are referring to those specific products. You MUST use the conversation history to perform the requested action (Compare, Pricing, or Features) for the items you JUST mentioned, calling compare_products or get_product with their names. DO NOT ask for clarification; use the products from the previous bot message.
 
 11. **URL INTEGRITY (CRITICAL)**: 
     - NEVER shorten, truncate, or "fix" URLs.
     - Product IDs at the end of URLs (e.g., "...--6895f3b1ef1ca6239ac8b94b") must be 24 characters long.
-    - COPY THE EXACT URL from the "Link:" field, character-for-character.
+    - COPY THE EXACT URL from the "url" field, character-for-character.
     - If a URL looks long, IT IS CORRECT. Do not cut it off.
     - Truncating a URL breaks the link and is a critical failure.
     - Validate that the URL ends with the full 24-character hex ID if present in the source.
@@ -746,219 +449,611 @@ The data is comprehensive and accurate - USE IT!
     - "Does it end with a 24-character string like '6895f3c3ef1ca6239ac8d0c5'?" -> GOOD.
     - You MUST use the full, long ID.`;
 
-    // Build conversation messages
-    const messages = [
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-    ];
+  // Build conversation messages
+  const messages = [
+    {
+      role: "system",
+      content: systemPrompt,
+    },
+  ];
+
+  // Add conversation history (last 10 messages to avoid token limits)
+  const recentHistory = conversationHistory.slice(-10);
+  recentHistory.forEach((msg) => {
+    messages.push({
+      role: msg.from === "bot" ? "assistant" : "user",
+      content: msg.text,
+    });
+  });
+
+  // Add current user message
+  messages.push({
+    role: "user",
+    content: originalMessage,
+  });
+
+  console.log(`System prompt size: ${systemPrompt.length} characters`);
+  console.log(`Total messages: ${messages.length}`);
+
+  return {
+    messages,
+    completionOptions: { temperature: 0.7, max_tokens: 4096 },
+    toolContext,
+    fallbackResponse: "I apologize, but I couldn't generate a response. Please try again.",
+    quickReplies: quickReplies, // Include quick-reply suggestions
+    conversationStage: conversationState.stage, // Include stage for debugging
+    products,
+    spelling,
+    intent,
+  };
+}
 
-    // Add conversation history (last 10 messages to avoid token limits)
-    const recentHistory = conversationHistory.slice(-10);
-    recentHistory.forEach((msg) => {
-      messages.push({
-        role: msg.from === "bot" ? "assistant" : "user",
-        content: msg.text,
-      });
+/**
+ * Checks whether the client asked for a Server-Sent Events response
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Maps LLM API throttling and outages to a retryable client error: 429 when
+ * the provider is rate limiting us, 503 when it is failing or its circuit is
+ * open. Other errors return null (they stay a 500).
+ * @param {Error} error - Error raised while answering
+ * @returns {Object|null} - { status, code, message, retryAfter (seconds) }
+ */
+function describeUpstreamFailure(error) {
+  const throttled = error.status === 429;
+  const unavailable = error.code === 'CIRCUIT_OPEN' || error.status >= 500;
+  if (!throttled && !unavailable) return null;
+
+  const retryAfter = Math.max(1, Math.ceil((error.retryAfterMs ?? 10000) / 1000));
+  const wait = `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+  return {
+    status: throttled ? 429 : 503,
+    code: throttled ? "LLM_RATE_LIMITED" : "LLM_UNAVAILABLE",
+    message: throttled
+      ? `The assistant is handling a lot of requests right now. Please try again in ${wait}.`
+      : `The assistant is temporarily unavailable. Please try again in ${wait}.`,
+    retryAfter,
+  };
+}
+
+/**
+ * Sends an error response that keeps CORS headers intact
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while processing the chat request
+ */
+function sendChatError(res, error) {
+  console.error("Error in chat endpoint:", error);
+  console.error("Error stack:", error.stack);
+  console.error("Error details:", {
+    message: error.message,
+    name: error.name,
+    code: error.code,
+  });
+
+  // Ensure CORS headers are set even on error
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+
+  const upstream = describeUpstreamFailure(error);
+  if (upstream) {
+    const { status, ...details } = upstream;
+    res.set('Retry-After', String(details.retryAfter));
+    return res.status(status).json({ success: false, ...details });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: error.message || "An error occurred while processing your request",
+    error: process.env.NODE_ENV === 'development' ? error.stack : undefined, // Only show stack in development
+  });
+}
+
+/**
+ * Validates the chat request body, writing a 400/500 response when invalid
+ * @returns {boolean} - True if the request can be processed
+ */
+function validateChatRequest(req, res) {
+  const { message } = req.body;
+
+  if (!message || !message.trim()) {
+    res.status(400).json({
+      success: false,
+      message: "Message is required",
     });
+    return false;
+  }
 
-    // Add current user message
-    messages.push({
-      role: "user",
-      content: message,
+  if (!llmProvider.isConfigured()) {
+    res.status(500).json({
+      success: false,
+      message: `LLM provider "${llmProvider.name}" is not configured. Please check your .env file.`,
     });
+    return false;
+  }
+
+  return true;
+}
 
-    // Call Azure OpenAI REST API (with increased timeout)
-    console.log("Calling Azure OpenAI API...");
-    const endpoint = AZURE_OPENAI_ENDPOINT.endsWith('/')
-      ? AZURE_OPENAI_ENDPOINT
-      : AZURE_OPENAI_ENDPOINT + '/';
-    const apiUrl = `${endpoint}openai/deployments/${DEPLOYMENT_NAME}/chat/completions?api-version=${API_VERSION}`;
-
-    console.log(`System prompt size: ${systemPrompt.length} characters`);
-    console.log(`Total messages: ${messages.length}`);
-
-    // Call Azure OpenAI REST API with automatic retries for stability
-    console.log("Calling Azure OpenAI API (with auto-retries)...");
-    const response = await makeRequest(apiUrl, {
-      method: 'POST',
-      headers: {
-        "api-key": AZURE_OPENAI_API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: {
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 4096,
-      },
+/**
+ * Resolves the session for a chat request. Requests without a sessionId start
+ * a new session; an unknown or expired sessionId gets a 404 so the widget can
+ * create a fresh one.
+ * @returns {Promise<Object|null>} - Session, or null if a 404 was sent
+ */
+async function resolveChatSession(req, res) {
+  const { sessionId, conversationHistory } = req.body;
+
+  if (conversationHistory) {
+    console.warn("Ignoring client-supplied conversationHistory; history is held server-side per session");
+  }
+
+  if (!sessionId) {
+    return createSession();
+  }
+
+  const session = await getSession(sessionId);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      code: "SESSION_NOT_FOUND",
+      message: "Session not found or expired. Create a new one with POST /api/sessions.",
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Answers a chat turn with a single JSON response
+ */
+async function handleChat(req, res) {
+  // Cancels LLM calls (and their retry waits) if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const { message } = req.body;
+    const session = await resolveChatSession(req, res);
+    if (!session) return;
+    console.log(`Processing chat request (session ${session.id}): "${message.substring(0, 50)}..."`);
+
+    const turn = await prepareChatTurn(message, session);
+
+    // Call the LLM provider with automatic retries for stability; catalog
+    // tool calls are run until the model produces its answer
+    console.log(`Calling LLM provider "${llmProvider.name}" (with auto-retries)...`);
+    const completionOptions = {
+      ...turn.completionOptions,
       timeout: 120000, // 2-minute timeout per attempt
-    }, 3).catch(err => {
-      console.error("OpenAI API call final failure:", err.message);
+      retries: 3,
+      signal: controller.signal,
+    };
+    const completionPromise = turn.toolContext
+      ? completeWithTools(llmProvider, turn.messages, completionOptions, turn.toolContext)
+      : llmProvider.chat(turn.messages, completionOptions);
+    const completion = await completionPromise.catch(err => {
+      console.error("LLM API call final failure:", err.message);
       throw err;
     });
 
-    const responseData = await response.json();
-    const botResponse = responseData.choices[0]?.message?.content || "I apologize, but I couldn't generate a response. Please try again.";
+    const botResponse = completion.content || turn.fallbackResponse;
 
     // Log diagnostic info for response truncation
-    if (responseData.choices && responseData.choices.length > 0) {
-      const choice = responseData.choices[0];
-      console.log(`OpenAI Finish Reason: ${choice.finish_reason}`);
-      if (choice.finish_reason !== 'stop') {
-        console.warn(`⚠️  Response incomplete. Finish reason: ${choice.finish_reason}`);
-      }
+    console.log(`LLM Finish Reason: ${completion.finishReason}`);
+    if (completion.finishReason && completion.finishReason !== 'stop') {
+      console.warn(`⚠️  Response incomplete. Finish reason: ${completion.finishReason}`);
     }
 
-    if (responseData.usage) {
-      console.log(`Token Usage: Prompt=${responseData.usage.prompt_tokens}, Completion=${responseData.usage.completion_tokens}, Total=${responseData.usage.total_tokens}`);
+    if (completion.toolCallCount) {
+      console.log(`Catalog tool calls: ${completion.toolCallCount}`);
+    }
+
+    if (completion.usage) {
+      console.log(`Token Usage: Prompt=${completion.usage.prompt_tokens}, Completion=${completion.usage.completion_tokens}, Total=${completion.usage.total_tokens}`);
     }
 
     console.log("Successfully generated response");
 
-    // --- DETERMINISTIC LINK FIXER ---
-    // This safety net catches and repairs truncated URLs using the valid product data
-    let fixedResponse = botResponse;
-    const productsForFixer = productsFromJSON || [];
-
-    // Create lookup maps for fast repair
-    const validIdMap = new Map();   // Full ID -> Full URL
-    const suffixMap = new Map();    // Last 12 chars -> Full URL
-    const slugMap = new Map();      // Full Slug -> Full URL
-    const simpleSlugMap = new Map(); // Simple Slug -> Full URL
-
-    productsForFixer.forEach(p => {
-      if (p.id && p.url) {
-        validIdMap.set(p.id, p.url);
-        if (p.id.length === 24) {
-          const suffix = p.id.substring(12);
-          suffixMap.set(suffix, p.url);
-        }
+    // Repair product URLs and link bare product names, then check prices and names
+    const linkFixer = createLinkFixer(turn.products);
+    let { answer: finalResponse, grounding } = verifyAnswer(linkFixer(botResponse), turn.products, {
+      conversation: completion.conversation || turn.messages,
+    });
 
-        // Extract full slug (everything between /products/ and the last --)
-        const match = p.url.match(/\/products\/(.*)--[a-f0-9]{24}/);
-        if (match && match[1]) {
-          const fullSlug = match[1];
-          slugMap.set(fullSlug.toLowerCase(), p.url);
+    // Prices or products that could not be corrected: optionally give the model one more try
+    if (grounding.status === 'failed' && turn.toolContext && process.env.GROUNDING_REGENERATE === 'true') {
+      console.warn(`⚠️  Grounding check failed (${grounding.issues.length} issues), regenerating once...`);
+      const retryMessages = [
+        ...(completion.conversation || turn.messages),
+        { role: 'assistant', content: botResponse },
+        { role: 'system', content: buildGroundingFeedback(grounding) },
+      ];
+      const retry = await completeWithTools(llmProvider, retryMessages, completionOptions, turn.toolContext).catch(err => {
+        console.error("Regeneration failed, keeping the first answer:", err.message);
+        return null;
+      });
 
-          // Simple Slug (last segment)
-          const parts = fullSlug.split('--');
-          const simpleSlug = parts[parts.length - 1].toLowerCase();
-          simpleSlugMap.set(simpleSlug, p.url);
-        }
+      if (retry?.content) {
+        const checked = verifyAnswer(linkFixer(retry.content), turn.products, { conversation: retry.conversation });
+        finalResponse = checked.answer;
+        grounding = { ...checked.grounding, regenerated: true, firstAttempt: { status: grounding.status, issues: grounding.issues } };
       }
+    }
+    console.log(`Grounding: ${grounding.status} (${grounding.checkedProducts} products, ${grounding.checkedPrices} prices, ${grounding.corrections.length} corrected, ${grounding.issues.length} issues)`);
+
+    const productCards = extractProductCards(finalResponse, turn.products);
+    await recordTurn(session, message, finalResponse, turn.conversationStage, productCards.map(card => card.id));
+
+    // Ensure CORS headers are set in response
+    res.header('Access-Control-Allow-Origin', '*');
+    res.json({
+      success: true,
+      sessionId: session.id,
+      message: finalResponse,
+      products: productCards,
+      grounding,
+      spelling: turn.spelling,
+      intent: turn.intent,
+      quickReplies: turn.quickReplies,
+      conversationStage: turn.conversationStage,
     });
+  } catch (error) {
+    sendChatError(res, error);
+  }
+}
 
-    // Regex: Splits the URL into [Slug] and [ID] using the last occurrence of '--'
-    const linkRegex = /https:\/\/shop\.skysecure\.ai\/products\/([^\s"')]*)--([a-f0-9]+)/gi;
+/**
+ * Answers a chat turn over Server-Sent Events.
+ * Events: `delta` ({ text }) for each repaired chunk of the answer, `done`
+ * ({ sessionId, products, grounding, correctedMessage?, spelling, intent, quickReplies, conversationStage, finishReason }) once the completion
+ * ends, and `error` ({ message, code?, retryAfter? }) if it fails after the stream has started.
+ */
+async function handleChatStream(req, res) {
+  let upstream = null;
+  let clientClosed = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    clientClosed = true;
+    controller.abort();
+    if (upstream) upstream.abort();
+  });
 
-    fixedResponse = fixedResponse.replace(linkRegex, (fullMatch, slugCandidate, idCandidate) => {
-      const slug = slugCandidate ? slugCandidate.toLowerCase() : '';
-      const id = idCandidate.toLowerCase();
+  try {
+    const { message } = req.body;
+    const session = await resolveChatSession(req, res);
+    if (!session) return;
+    console.log(`Processing streaming chat request (session ${session.id}): "${message.substring(0, 50)}..."`);
+
+    const turn = await prepareChatTurn(message, session);
+    if (clientClosed) return;
+
+    console.log(`Calling LLM provider "${llmProvider.name}" (streaming)...`);
+    const completionOptions = {
+      ...turn.completionOptions,
+      timeout: 120000,
+      retries: 3,
+      signal: controller.signal,
+    };
+    upstream = turn.toolContext
+      ? await streamWithTools(llmProvider, turn.messages, completionOptions, turn.toolContext)
+      : await llmProvider.chatStream(turn.messages, completionOptions);
 
-      // 1. If ID is perfect and valid, keep it.
-      if (id.length === 24 && validIdMap.has(id)) {
-        return fullMatch;
+    res.header('Access-Control-Allow-Origin', '*');
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      if (!clientClosed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Bare product names are linked once the full answer is known (a name can span deltas)
+    const linkFixer = createStreamingLinkFixer(createLinkFixer(turn.products, { linkNames: false }));
+    let finishReason = null;
+    let finalResponse = '';
+
+    for await (const delta of upstream.deltas) {
+      if (delta.content) {
+        const safeText = linkFixer.push(delta.content);
+        if (safeText) {
+          finalResponse += safeText;
+          sendEvent('delta', { text: safeText });
+        }
       }
+      if (delta.finishReason) finishReason = delta.finishReason;
+    }
 
-      console.log(`🔍 Link Fixer started for: ${fullMatch}`);
-      let repairedUrl = null;
+    const remainingText = linkFixer.flush() || (finalResponse ? '' : turn.fallbackResponse);
+    if (remainingText) {
+      finalResponse += remainingText;
+      sendEvent('delta', { text: remainingText });
+    }
 
-      // 2. Exact Full Slug Match
-      if (slugMap.has(slug)) {
-        repairedUrl = slugMap.get(slug);
-        console.log(`   - Repaired via Full Slug: ${slug}`);
-      }
+    console.log(`LLM Finish Reason: ${finishReason}`);
+    if (finishReason && finishReason !== 'stop') {
+      console.warn(`⚠️  Response incomplete. Finish reason: ${finishReason}`);
+    }
 
-      // 3. Simple Slug / Alias / Fuzzy Segment Match
-      if (!repairedUrl) {
-        const slugParts = slug.split('--');
-        const lastSegment = slugParts[slugParts.length - 1];
-
-        const aliasMap = {
-          'power-bi-premium': 'power-bi-premium-per-user',
-          'power-bi-premium-add-on': 'power-bi-premium-per-user-add-on',
-          'azure-sql-edge': 'azure-sql-edge-1-year'
-        };
-
-        const target = aliasMap[lastSegment] || lastSegment;
-
-        if (simpleSlugMap.has(target)) {
-          repairedUrl = simpleSlugMap.get(target);
-          console.log(`   - Repaired via Segment/Alias: ${lastSegment} -> ${target}`);
-        } else {
-          // Final Fuzzy Fallback for Segments
-          for (const [validSimple, url] of simpleSlugMap.entries()) {
-            if (validSimple.startsWith(lastSegment) || lastSegment.startsWith(validSimple)) {
-              repairedUrl = url;
-              console.log(`   - Repaired via Fuzzy Segment: ${lastSegment} -> ${validSimple}`);
-              break;
-            }
-          }
-        }
-      }
+    // The text has already been sent, so name links and corrections go out as a replacement message
+    const streamedResponse = finalResponse;
+    const checked = verifyAnswer(createLinkFixer(turn.products)(finalResponse), turn.products, {
+      conversation: upstream.conversation || turn.messages,
+    });
+    const { grounding } = checked;
+    console.log(`Grounding: ${grounding.status} (${grounding.checkedProducts} products, ${grounding.checkedPrices} prices, ${grounding.corrections.length} corrected, ${grounding.issues.length} issues)`);
+    finalResponse = checked.answer;
+
+    const productCards = extractProductCards(finalResponse, turn.products);
+    await recordTurn(session, message, finalResponse, turn.conversationStage, productCards.map(card => card.id));
+
+    sendEvent('done', {
+      sessionId: session.id,
+      products: productCards,
+      grounding,
+      ...(finalResponse !== streamedResponse ? { correctedMessage: finalResponse } : {}),
+      spelling: turn.spelling,
+      intent: turn.intent,
+      quickReplies: turn.quickReplies,
+      conversationStage: turn.conversationStage,
+      finishReason,
+    });
+    res.end();
+    console.log("Successfully streamed response");
+  } catch (error) {
+    if (clientClosed) {
+      console.log("Client disconnected before the streamed response finished");
+      return;
+    }
+    if (!res.headersSent) {
+      return sendChatError(res, error);
+    }
+    console.error("Error while streaming chat response:", error.message);
+    const upstreamFailure = describeUpstreamFailure(error);
+    const errorEvent = upstreamFailure
+      ? { message: upstreamFailure.message, code: upstreamFailure.code, retryAfter: upstreamFailure.retryAfter }
+      : { message: error.message || "Streaming failed" };
+    res.write(`event: error\ndata: ${JSON.stringify(errorEvent)}\n\n`);
+    res.end();
+  }
+}
 
-      // 4. Suffix repair (ID-based)
-      if (!repairedUrl && id.length >= 10) {
-        const idSuffix = id.length > 12 ? id.substring(id.length - 12) : id;
-        if (suffixMap.has(idSuffix)) {
-          repairedUrl = suffixMap.get(idSuffix);
-          console.log(`   - Repaired via ID Suffix: ${idSuffix}`);
-        }
-      }
+// Start a new server-held chat session
+app.post("/api/sessions", async (req, res) => {
+  try {
+    const session = await createSession();
+    res.status(201).json({ success: true, ...serializeSession(session) });
+  } catch (error) {
+    console.error("Error creating session:", error.message);
+    res.status(500).json({ success: false, message: "Could not create session" });
+  }
+});
 
-      // 5. HARD-CODED POWER BI FALLBACK (Safety Net)
-      if (!repairedUrl) {
-        if (slug.includes('power-bi-premium-per-user') || slug.includes('power-bi-premium')) {
-          repairedUrl = simpleSlugMap.get('power-bi-premium-per-user');
-          console.log("   - Repaired via Hard-Coded Power BI Fallback");
-        } else if (slug.includes('azure-sql-edge')) {
-          repairedUrl = simpleSlugMap.get('azure-sql-edge-1-year');
-          console.log("   - Repaired via Hard-Coded Azure Fallback");
-        }
-      }
+// Resume a session (e.g. after the widget's tab is refreshed)
+app.get("/api/sessions/:sessionId", async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, code: "SESSION_NOT_FOUND", message: "Session not found or expired" });
+    }
+    res.json({ success: true, ...serializeSession(session) });
+  } catch (error) {
+    console.error("Error loading session:", error.message);
+    res.status(500).json({ success: false, message: "Could not load session" });
+  }
+});
 
-      if (repairedUrl) {
-        return repairedUrl;
-      }
+// Browse the catalog: filters, sorting, pagination and facet counts
+app.get("/api/products", async (req, res) => {
+  try {
+    const { params, errors } = parseBrowseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('; '), errors });
+    }
 
-      console.log("   - NO REPAIR FOUND");
-      return fullMatch;
-    });
+    const { products } = await loadBrowseCatalog();
+    res.json({ success: true, ...browseProducts(products, params) });
+  } catch (error) {
+    console.error("Error browsing products:", error.message);
+    res.status(500).json({ success: false, message: "Could not load products" });
+  }
+});
 
-    // Update the response with the fixed version
-    const finalResponse = fixedResponse;
+// One product with its description, features and plans
+app.get("/api/products/:id", async (req, res) => {
+  try {
+    const { products, categoryRankings } = await loadBrowseCatalog();
+    const product = products.find(candidate => candidate.id === req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found" });
+    }
+    res.json({ success: true, product: describeProduct(product, categoryRankings) });
+  } catch (error) {
+    console.error("Error loading product:", error.message);
+    res.status(500).json({ success: false, message: "Could not load product" });
+  }
+});
 
-    // Ensure CORS headers are set in response
-    res.header('Access-Control-Allow-Origin', '*');
-    res.json({
-      success: true,
-      message: finalResponse,
-      quickReplies: quickReplies, // Include quick-reply suggestions
-      conversationStage: conversationState.stage, // Include stage for debugging
-    });
+// Categories with product counts
+app.get("/api/categories", async (req, res) => {
+  try {
+    const { products } = await loadBrowseCatalog();
+    res.json({ success: true, categories: listCatalogCategories(products) });
   } catch (error) {
-    console.error("Error in chat endpoint:", error);
-    console.error("Error stack:", error.stack);
-    console.error("Error details:", {
-      message: error.message,
-      name: error.name,
-      code: error.code,
-    });
+    console.error("Error listing categories:", error.message);
+    res.status(500).json({ success: false, message: "Could not list categories" });
+  }
+});
 
-    // Ensure CORS headers are set even on error
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+// Vendors (OEMs) with product counts
+app.get("/api/vendors", async (req, res) => {
+  try {
+    const { products } = await loadBrowseCatalog();
+    res.json({ success: true, vendors: listCatalogVendors(products) });
+  } catch (error) {
+    console.error("Error listing vendors:", error.message);
+    res.status(500).json({ success: false, message: "Could not list vendors" });
+  }
+});
 
-    res.status(500).json({
-      success: false,
-      message: error.message || "An error occurred while processing your request",
-      error: process.env.NODE_ENV === 'development' ? error.stack : undefined, // Only show stack in development
+// Side-by-side comparison of 2-4 products given as ids or names
+app.post("/api/compare", async (req, res) => {
+  try {
+    const requested = req.body?.products;
+    const validRequest = Array.isArray(requested) &&
+      requested.length >= MIN_COMPARE_PRODUCTS &&
+      requested.length <= MAX_COMPARE_PRODUCTS &&
+      requested.every(item => typeof item === 'string' && item.trim());
+
+    if (!validRequest) {
+      return res.status(400).json({
+        success: false,
+        message: `"products" must be an array of ${MIN_COMPARE_PRODUCTS}-${MAX_COMPARE_PRODUCTS} product ids or names`,
+      });
+    }
+
+    const products = await loadProductsFromJSON();
+    const comparison = compareProducts(requested, products);
+
+    if (comparison.products.length < MIN_COMPARE_PRODUCTS) {
+      return res.status(404).json({
+        success: false,
+        code: "PRODUCTS_NOT_FOUND",
+        message: `Need at least ${MIN_COMPARE_PRODUCTS} matching products to compare`,
+        notFound: comparison.notFound,
+      });
+    }
+
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    console.error("Error comparing products:", error.message);
+    res.status(500).json({ success: false, message: "Could not compare products" });
+  }
+});
+
+// Licence quantities and total cost (INR, incl. GST) for a set of products
+app.post("/api/quote", async (req, res) => {
+  try {
+    const { items, years, sessionId } = req.body || {};
+    const validItems = Array.isArray(items) && items.length > 0 &&
+      items.every(item => item && typeof (item.productId || item.product) === 'string' &&
+        (item.quantity === undefined || Number(item.quantity) > 0));
+
+    if (!validItems) {
+      return res.status(400).json({
+        success: false,
+        message: '"items" must be a non-empty array of { productId | product, quantity, billingCycle }',
+      });
+    }
+
+    // Seat counts default to the team size the customer mentioned in chat
+    const session = sessionId ? await getSession(sessionId) : null;
+    const defaultQuantity = session?.preferences?.teamSize || 1;
+
+    const products = await loadProductsFromJSON();
+    const quote = calculateQuote(items, products, {
+      years: parseInt(years, 10) > 0 ? parseInt(years, 10) : undefined,
+      defaultQuantity,
     });
+
+    if (quote.lines.length === 0) {
+      return res.status(404).json({
+        success: false,
+        code: "PRODUCTS_NOT_FOUND",
+        message: "None of the requested products were found",
+        notFound: quote.notFound,
+      });
+    }
+
+    res.json({ success: true, ...quote });
+  } catch (error) {
+    console.error("Error calculating quote:", error.message);
+    res.status(500).json({ success: false, message: "Could not calculate quote" });
+  }
+});
+
+/**
+ * Checks the admin bearer token (ADMIN_TOKEN); admin routes are disabled without one
+ * @returns {boolean} - True if the request may continue
+ */
+function requireAdmin(req, res) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    res.status(503).json({ success: false, message: "Admin endpoints are disabled (ADMIN_TOKEN is not set)" });
+    return false;
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || token !== adminToken) {
+    res.status(401).json({ success: false, message: "Invalid admin token" });
+    return false;
+  }
+  return true;
+}
+
+// Re-read data/*.json and swap the catalog in; the old snapshot stays live if validation fails
+app.post("/admin/catalog/reload", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const result = await reloadCatalog('admin endpoint');
+    if (!result.ok) {
+      return res.status(422).json({
+        success: false,
+        code: "CATALOG_INVALID",
+        message: `Catalog files failed validation; still serving version ${result.version}`,
+        ...result,
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error reloading catalog:", error.message);
+    res.status(500).json({ success: false, message: "Could not reload catalog" });
+  }
+});
+
+// Catalog data-quality report (schema errors, zero prices, unknown vendors, boilerplate descriptions, dangling ranking ids)
+app.get("/admin/data-quality", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    res.json({ success: true, ...generateDataQualityReport() });
+  } catch (error) {
+    console.error("Error building data quality report:", error.message);
+    res.status(500).json({ success: false, message: `Could not build data quality report: ${error.message}` });
   }
 });
 
+// Outbound HTTP metrics: per-host counters, circuit states and the last calls
+app.get("/admin/http-metrics", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  res.json({ success: true, ...getHttpMetrics() });
+});
+
+// Chatbot endpoint - streams over SSE when the client sends `Accept: text/event-stream`
+app.post("/api/chat", (req, res) => {
+  if (!validateChatRequest(req, res)) return;
+  return wantsEventStream(req) ? handleChatStream(req, res) : handleChat(req, res);
+});
+
+// Streaming chatbot endpoint (always SSE)
+app.post("/api/chat/stream", (req, res) => {
+  if (!validateChatRequest(req, res)) return;
+  return handleChatStream(req, res);
+});
+
 // Start server - listen on all interfaces for dev tunnel compatibility
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Chatbot backend server running on port ${PORT}`);
@@ -966,6 +1061,14 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Chat endpoint: http://localhost:${PORT}/api/chat`);
   console.log(`Server is accessible from dev tunnel`);
 
+  // Load the persisted embedding index and embed anything new
+  ensureProductIndex();
+
+  // Reload the catalog when data/*.json changes (opt-in)
+  if (process.env.CATALOG_WATCH === 'true') {
+    watchCatalogFiles();
+  }
+
   // Silent background warm-up to improve responsiveness
   (async () => {
     try {
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedInBatches, planEmbeddingBatches } from '../utils/embeddingBatcher.js';
+
+// Text "item-N" embeds to [N], so every vector shows which text it came from
+const ITEMS = Array.from({ length: 10 }, (_, i) => ({ id: `id-${i}`, text: `item-${i}` }));
+const vectorFor = text => [Number(text.split('-')[1])];
+const LIMITS = { maxTokens: 1000, maxInputs: 3, concurrency: 2 };
+
+// Provider whose embed() consults `fail(texts, call)` first; returning an error throws it
+function fakeProvider(fail = () => null) {
+  const calls = [];
+  return {
+    calls,
+    async embed(texts) {
+      calls.push(texts);
+      const error = fail(texts, calls.length);
+      if (error) throw error;
+      return texts.map(vectorFor);
+    },
+  };
+}
+
+const apiError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfterMs: 0, ...extra });
+
+function assertVectorsMatchIds(vectors) {
+  vectors.forEach((vector, id) => assert.deepEqual(vector, [Number(id.split('-')[1])], `vector for ${id}`));
+}
+
+test('plans batches under the input and token limits, in order', () => {
+  const batches = planEmbeddingBatches(ITEMS, { maxTokens: 1000, maxInputs: 4 });
+  assert.deepEqual(batches.map(batch => batch.map(item => item.id).join(',')), ['id-0,id-1,id-2,id-3', 'id-4,id-5,id-6,id-7', 'id-8,id-9']);
+  assert.equal(planEmbeddingBatches(ITEMS, { maxTokens: 4, maxInputs: 256 }).length, 5);
+});
+
+test('a batch that keeps failing leaves only its own ids without vectors', async () => {
+  const provider = fakeProvider(texts => (texts.includes('item-4') ? apiError(500) : null));
+  const { vectors, failedIds, batchCount } = await embedInBatches(provider, ITEMS, LIMITS);
+  assert.equal(batchCount, 4);
+  assert.deepEqual(failedIds, ['id-3', 'id-4', 'id-5']);
+  assert.deepEqual([...vectors.keys()].sort(), ['id-0', 'id-1', 'id-2', 'id-6', 'id-7', 'id-8', 'id-9']);
+  assertVectorsMatchIds(vectors);
+});
+
+test('a retried batch lands on the right ids after later batches finish first', async () => {
+  const provider = fakeProvider((texts, call) => (texts.includes('item-0') && call === 1 ? apiError(429) : null));
+  const { vectors, failedIds } = await embedInBatches(provider, ITEMS, LIMITS);
+  assert.deepEqual(failedIds, []);
+  assert.equal(vectors.size, ITEMS.length);
+  assertVectorsMatchIds(vectors);
+});
+
+test('a short response is retried instead of shifting vectors onto other ids', async () => {
+  let calls = 0;
+  const provider = { embed: async texts => (calls++ === 0 ? texts.slice(1) : texts).map(vectorFor) };
+  const { vectors, failedIds } = await embedInBatches(provider, ITEMS.slice(0, 3), { ...LIMITS, maxInputs: 5 });
+  assert.equal(calls, 2);
+  assert.deepEqual(failedIds, []);
+  assert.equal(vectors.size, 3);
+  assertVectorsMatchIds(vectors);
+});
+
+test('splits a rejected batch until the bad input is isolated', async () => {
+  const provider = fakeProvider(texts => (texts.includes('item-5') ? apiError(400) : null));
+  const { vectors, failedIds } = await embedInBatches(provider, ITEMS, { ...LIMITS, maxInputs: 8 });
+  assert.deepEqual(failedIds, ['id-5']);
+  assert.equal(vectors.size, ITEMS.length - 1);
+  assertVectorsMatchIds(vectors);
+});
+
+test('stops calling the API once its circuit is open', async () => {
+  const provider = fakeProvider(() => apiError(503, { code: 'CIRCUIT_OPEN' }));
+  const { vectors, failedIds } = await embedInBatches(provider, ITEMS, { ...LIMITS, concurrency: 1 });
+  assert.equal(vectors.size, 0);
+  assert.equal(provider.calls.length, 1);
+  assert.deepEqual(failedIds, ITEMS.map(item => item.id));
+});
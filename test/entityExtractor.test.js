@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEntities } from '../utils/entityExtractor.js';
+
+const extract = message => {
+  const { family, licenseUnit, quantity, servers } = extractEntities(message);
+  return { family, licenseUnit, quantity, servers };
+};
+
+test('reads seat counts with words between the number and the unit', () => {
+  assert.deepEqual(extract('hi, I need 20 E3 licenses'), { family: null, licenseUnit: 'user', quantity: 20, servers: null });
+  assert.equal(extract('50 Business Premium seats').quantity, 50);
+  assert.equal(extract('a team of 12').quantity, 12);
+  assert.equal(extract('3 year licenses for Microsoft 365 E3').quantity, null);
+});
+
+test('does not read versions or years as quantities', () => {
+  assert.equal(extract('I need SQL Server 2022 standard licenses').quantity, null);
+  assert.equal(extract('Office 365 E1 licences for 1 year').quantity, null);
+  assert.equal(extract('price of Windows Server 2025 datacenter cores').quantity, null);
+  assert.equal(extract('SQL Server 2022 standard for 16 cores').quantity, 16);
+  assert.equal(extract('2000 users on Microsoft 365').quantity, 2000);
+});
+
+test('counts plain licenses as seats only for seat-licensed families', () => {
+  assert.equal(extract('Office 365 E1 licences for 1 year').licenseUnit, 'user');
+  assert.equal(extract('16 SQL Server Standard licenses').licenseUnit, null);
+  assert.deepEqual(extract('16 SQL Server licenses'), { family: 'SQL Server', licenseUnit: null, quantity: 16, servers: null });
+  assert.equal(extract('10 Windows Server licenses').licenseUnit, null);
+  assert.equal(extract('SQL Server for 10 users').licenseUnit, 'user');
+});
+
+test('combines servers with cores per server', () => {
+  assert.deepEqual(extract('Windows Server for 2 servers with 8 cores each'), {
+    family: 'Windows Server',
+    licenseUnit: 'core',
+    quantity: 16,
+    servers: { count: 2, coresPerServer: 8 },
+  });
+});
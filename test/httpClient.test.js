@@ -0,0 +1,92 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { getRetryAfterMs, getHttpMetrics, makeRequest, resetHttpState } from '../utils/httpClient.js';
+
+// Local server answering each request with the next of `responses` (the last one repeats)
+async function withServer(responses, run) {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    const { status = 200, headers = {}, body = '{"ok":true}', delayMs = 0 } = responses[Math.min(calls++, responses.length - 1)];
+    setTimeout(() => res.writeHead(status, headers).end(body), delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+  try {
+    return await run(`http://${host}/`, host, () => calls);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+beforeEach(() => resetHttpState());
+
+test('reads retry-after-ms, Retry-After seconds and HTTP dates', () => {
+  assert.equal(getRetryAfterMs({ 'retry-after-ms': '250.2' }), 251);
+  assert.equal(getRetryAfterMs({ 'retry-after': '2' }), 2000);
+  const fromDate = getRetryAfterMs({ 'retry-after': new Date(Date.now() + 5000).toUTCString() });
+  assert.ok(fromDate > 3000 && fromDate <= 5000);
+  assert.equal(getRetryAfterMs({ 'retry-after': 'soon' }), null);
+  assert.equal(getRetryAfterMs({}), null);
+});
+
+test('waits the Retry-After time on 429 and 503, then returns the response', async () => {
+  await withServer([
+    { status: 429, headers: { 'retry-after-ms': '50' } },
+    { status: 503, headers: { 'retry-after-ms': '50' } },
+    { status: 200 },
+  ], async (url, host, calls) => {
+    const startedAt = Date.now();
+    const response = await makeRequest(url);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(calls(), 3);
+    assert.ok(Date.now() - startedAt >= 100);
+    assert.equal(response.metrics.attempts, 3);
+    assert.equal(getHttpMetrics().hosts[host].throttled, 1);
+  });
+});
+
+test('returns a throttled response without retrying when Retry-After is too long', async () => {
+  await withServer([{ status: 429, headers: { 'retry-after': '60' } }], async (url, host, calls) => {
+    const response = await makeRequest(url);
+    assert.equal(response.status, 429);
+    assert.equal(response.retryAfterMs, 60000);
+    assert.equal(calls(), 1);
+  });
+});
+
+test('opens the circuit after five failures and fails fast while it is open', async () => {
+  await withServer([{ status: 500, body: 'down' }], async (url, host, calls) => {
+    for (let i = 0; i < 5; i++) assert.equal((await makeRequest(url, {}, 1)).status, 500);
+    assert.equal(getHttpMetrics().hosts[host].circuit.state, 'open');
+
+    await assert.rejects(makeRequest(url, {}, 1), { code: 'CIRCUIT_OPEN', host });
+    assert.equal(calls(), 5);
+    assert.equal(getHttpMetrics().hosts[host].circuitRejected, 1);
+  });
+});
+
+test('a success resets the failure count', async () => {
+  await withServer([{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }, { status: 200 }, { status: 500 }], async (url, host) => {
+    for (let i = 0; i < 6; i++) await makeRequest(url, {}, 1);
+    assert.deepEqual(getHttpMetrics().hosts[host].circuit, { state: 'closed', failures: 1 });
+  });
+});
+
+test('an AbortSignal cancels an in-flight request and a backoff wait', async () => {
+  await withServer([{ status: 200, delayMs: 500 }], async (url, host) => {
+    await assert.rejects(makeRequest(url, { signal: AbortSignal.timeout(50) }), { code: 'ABORT_ERR' });
+    assert.equal(getHttpMetrics().hosts[host].circuit.failures, 0);
+  });
+
+  await withServer([{ status: 503, headers: { 'retry-after-ms': '5000' } }], async (url, host, calls) => {
+    const startedAt = Date.now();
+    await assert.rejects(makeRequest(url, { signal: AbortSignal.timeout(100) }), { code: 'ABORT_ERR' });
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.equal(calls(), 1);
+  });
+
+  await assert.rejects(makeRequest('http://127.0.0.1:1/', { signal: AbortSignal.abort() }), { code: 'ABORT_ERR' });
+});
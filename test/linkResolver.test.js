@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLinkIndex, resolveProductReference, repairProductUrls } from '../utils/linkResolver.js';
+
+const product = (id, category, slug, name) => ({
+  id,
+  name,
+  url: `https://shop.skysecure.ai/products/${category}--${slug}--${id}`,
+});
+
+const PRODUCTS = [
+  product('6895f3b2ef1ca6239ac8b9ef', 'cloud-services', 'power-bi-pro', 'Power BI Pro'),
+  product('6895f3b2ef1ca6239ac8b9f0', 'cloud-services', 'power-bi-premium-per-user', 'Power BI Premium Per User'),
+  product('6895f3c3ef1ca6239ac8d0c5', 'data-management', 'azure-sql-edge-1-year', 'Azure SQL Edge - 1 Year'),
+  product('6895f3a1ef1ca6239ac8a13f', 'enterprise-applications', 'enterprise-mobility-security-e3', 'Enterprise Mobility + Security E3'),
+];
+
+const ALIASES = {
+  slugs: { 'power-bi-premium': 'power-bi-premium-per-user' },
+  slugContains: [],
+  names: { 'Azure SQL Edge': 'azure-sql-edge-1-year' },
+};
+
+const index = buildLinkIndex(PRODUCTS, ALIASES);
+const resolve = reference => {
+  const resolved = resolveProductReference(index, reference);
+  return resolved && { name: resolved.product.name, via: resolved.via };
+};
+
+test('resolves exact ids and full slugs', () => {
+  assert.deepEqual(resolve({ id: '6895f3b2ef1ca6239ac8b9ef' }), { name: 'Power BI Pro', via: 'id' });
+  assert.deepEqual(resolve({ slug: 'cloud-services--power-bi-pro' }), { name: 'Power BI Pro', via: 'slug' });
+  assert.deepEqual(resolve({ slug: 'wrong-category--power-bi-pro' }), { name: 'Power BI Pro', via: 'segment' });
+});
+
+test('resolves slug and name aliases', () => {
+  assert.deepEqual(resolve({ slug: 'cloud-services--power-bi-premium' }), { name: 'Power BI Premium Per User', via: 'alias' });
+  assert.deepEqual(resolve({ name: 'Azure SQL Edge' }), { name: 'Azure SQL Edge - 1 Year', via: 'name' });
+});
+
+test('resolves a truncated or over-long slug when exactly one product fits', () => {
+  assert.deepEqual(resolve({ slug: 'enterprise-mobility-sec' }), { name: 'Enterprise Mobility + Security E3', via: 'fuzzy-segment' });
+  assert.deepEqual(resolve({ slug: 'power-bi-pro-user' }), { name: 'Power BI Pro', via: 'fuzzy-segment' });
+});
+
+test('does not guess when a truncated slug fits several products', () => {
+  assert.equal(resolve({ slug: 'power-bi' }), null);
+  assert.equal(resolve({ slug: 'cloud-services--power-bi-p' }), null);
+});
+
+test('returns null for unknown references', () => {
+  assert.equal(resolve({ slug: 'google-workspace-business' }), null);
+  assert.equal(resolve({ id: '000000000000000000000000' }), null);
+  assert.equal(resolve({ name: 'Power BI' }), null);
+  assert.equal(resolve({}), null);
+});
+
+test('repairs mangled product URLs and leaves ambiguous ones alone', () => {
+  const mangled = 'See https://shop.skysecure.ai/products/cloud-services--power-bi-premium--6895f3b2 for details';
+  assert.equal(
+    repairProductUrls(mangled, index),
+    `See ${PRODUCTS[1].url} for details`
+  );
+
+  const ambiguous = 'See https://shop.skysecure.ai/products/cloud-services--power-bi--abc123';
+  assert.equal(repairProductUrls(ambiguous, index), ambiguous);
+});
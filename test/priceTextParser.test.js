@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceText } from '../utils/priceTextParser.js';
+
+const page = ({ price = '₹3516.48', listPrice = ['₹', '3996'], badge = '12% off', stock = '✓ In Stock', plans = ['Monthly', '₹3516.48', 'Yearly', '₹35164.8'] } = {}) => [
+  'Home', 'Software', 'Communication', 'Microsoft Teams Rooms Pro', 'Microsoft', stock,
+  '★', '★', '★', '★', '★', '★', '4.5',
+  'Microsoft Teams Rooms Pro', 'Smart solution for meeting rooms',
+  price, ...listPrice, ...(badge ? [badge] : []),
+  'Quantity', '-', '+', 'Subscription Plan', ...plans, 'Buy Now',
+].join('\n');
+
+const NAME = 'Microsoft Teams Rooms Pro';
+
+test('parses rating, stock, breadcrumb, vendor and the price block', () => {
+  const parsed = parsePriceText(page(), NAME);
+  assert.equal(parsed.rating, 4.5);
+  assert.equal(parsed.inStock, true);
+  assert.deepEqual(parsed.categoryPath, ['Software', 'Communication']);
+  assert.equal(parsed.vendor, 'Microsoft');
+  assert.equal(parsed.sellingPrice, 3516.48);
+  assert.equal(parsed.listPrice, 3996);
+  assert.equal(parsed.discountPercent, 12);
+});
+
+test('attaches list price and discount to the plan the price block shows', () => {
+  const { plans } = parsePriceText(page(), NAME);
+  assert.deepEqual(plans, [
+    { label: 'Monthly', cycle: 'monthly', price: 3516.48, listPrice: 3996, discountPercent: 12 },
+    { label: 'Yearly', cycle: 'yearly', price: 35164.8, listPrice: null, discountPercent: null },
+  ]);
+});
+
+test('leaves plans without list price when the shown price is ambiguous or not a discount', () => {
+  const ambiguous = parsePriceText(page({ plans: ['Monthly', '₹3516.48', 'Yearly', '₹3516.48'] }), NAME);
+  assert.ok(ambiguous.plans.every(plan => plan.listPrice === null && plan.discountPercent === null));
+
+  const belowPrice = parsePriceText(page({ listPrice: ['₹', '3000'], badge: null }), NAME);
+  assert.ok(belowPrice.plans.every(plan => plan.listPrice === null));
+});
+
+test('computes the discount when the page has no badge', () => {
+  const parsed = parsePriceText(page({ price: '₹75', listPrice: ['₹', '100'], badge: null, plans: ['Yearly', '₹75'] }), NAME);
+  assert.equal(parsed.discountPercent, 25);
+  assert.equal(parsed.plans[0].discountPercent, 25);
+});
+
+test('reads out of stock and returns empty fields for missing text', () => {
+  assert.equal(parsePriceText(page({ stock: 'Out of Stock' }), NAME).inStock, false);
+  assert.deepEqual(parsePriceText('', NAME), {
+    rating: null, listPrice: null, sellingPrice: null, discountPercent: null, inStock: null, plans: [], categoryPath: [], vendor: null,
+  });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadQueryRules, matchQueryRules, ruleBoost } from '../utils/queryRules.js';
+
+const RULES = loadQueryRules();
+
+const boostFor = (query, name) => ruleBoost({ name, category: '', vendor: '' }, query, matchQueryRules(query, RULES));
+
+test('boosts SQL Server editions and licence types for a SQL query', () => {
+  const query = 'sql server 2022 standard core';
+  assert.ok(boostFor(query, 'SQL Server Standard 2022 - 2 Core License Pack') > boostFor(query, 'SQL Server 2022 Enterprise - 2 Core License Pack'));
+});
+
+test('does not boost Windows Server for a SQL query', () => {
+  assert.equal(boostFor('sql server 2022 standard core', 'Windows Server 2025 Standard - 2 Core License Pack 1 Year'), 0);
+});
+
+test('limits Windows 365 variant and spec boosts to Windows 365 products', () => {
+  const query = 'windows 365 enterprise 16 gb';
+  assert.ok(boostFor(query, 'Windows 365 Enterprise 4 vCPU, 16 GB, 128 GB') > 0);
+  assert.equal(boostFor(query, 'Microsoft Entra ID P1 Enterprise'), 0);
+  assert.equal(boostFor(query, 'Microsoft Stream Storage Add-On (500 GB)'), 0);
+});
+
+test('matches plan codes only on Microsoft 365 and Office products', () => {
+  const query = 'office 365 e3';
+  assert.ok(boostFor(query, 'Office 365 E3') > boostFor(query, 'Office 365 E1'));
+  assert.equal(boostFor(query, 'Enterprise Mobility + Security E3'), 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateQuote, getCoresPerPack } from '../utils/quoteCalculator.js';
+
+const product = (id, name, pricing, billingCycle) => ({
+  id,
+  name,
+  pricing,
+  billingCycle,
+  price: Object.values(pricing)[0],
+  url: `https://shop.skysecure.ai/products/${id}`,
+});
+
+const PRODUCTS = [
+  product('m365', 'Microsoft 365 Business Basic', { yearly: 1200, monthly: 100 }, 'Yearly'),
+  product('winserver', 'Windows Server 2025 Standard - 2 Core License Pack 1 Year', { yearly: 5000 }, 'Yearly'),
+  product('sql', 'SQL Server Standard 2022 - 2 Core License Pack - 3 year', { oneTime: 30000 }, 'One Time'),
+  product('sqlperpetual', 'SQL Server 2022 Standard Edition', { oneTime: 70000 }, 'One Time'),
+];
+
+const quote = (items, options) => calculateQuote(items, PRODUCTS, options);
+
+test('reads cores per pack from product names', () => {
+  assert.equal(getCoresPerPack('Windows Server 2025 Standard - 2 Core License Pack'), 2);
+  assert.equal(getCoresPerPack('SQL Server Enterprise - 16 Core'), 16);
+  assert.equal(getCoresPerPack('Microsoft 365 E3'), null);
+});
+
+test('prices seats per user and adds 18% GST', () => {
+  const { lines, totals } = quote([{ productId: 'm365', quantity: 10 }]);
+  assert.equal(lines[0].licenseType, 'seat');
+  assert.equal(lines[0].units, 10);
+  assert.deepEqual(lines[0].charge, { subtotal: 12000, gst: 2160, total: 14160 });
+  assert.deepEqual(totals.monthly, { subtotal: 1000, gst: 180, total: 1180 });
+  assert.deepEqual(totals.multiYear, { subtotal: 36000, gst: 6480, total: 42480 });
+});
+
+test('raises core counts to the per-server minimum and rounds up to whole packs', () => {
+  const windows = quote([{ productId: 'winserver', quantity: 8 }]).lines[0];
+  assert.equal(windows.coresLicensed, 16);
+  assert.equal(windows.units, 8);
+  assert.match(windows.warnings[0], /8 cores raised to 16/);
+
+  const twoServers = quote([{ productId: 'winserver', quantity: 8, servers: 2 }]).lines[0];
+  assert.equal(twoServers.coresLicensed, 32);
+
+  const sql = quote([{ productId: 'sql', quantity: 5 }]).lines[0];
+  assert.equal(sql.coresLicensed, 6);
+  assert.equal(sql.units, 3);
+  assert.equal(sql.minimumRule, null);
+});
+
+test('spreads prepaid multi-year packs over their term and counts perpetual licences once', () => {
+  const { lines, totals } = quote([{ productId: 'sql', quantity: 4 }, { productId: 'sqlperpetual', quantity: 1 }], { years: 6 });
+  const [pack, perpetual] = lines;
+  assert.equal(pack.termYears, 3);
+  assert.equal(pack.totals.yearly.subtotal, 20000);
+  assert.equal(pack.totals.multiYear.subtotal, 120000);
+  assert.equal(perpetual.totals.yearly, null);
+  assert.equal(perpetual.totals.multiYear.subtotal, 70000);
+  assert.equal(totals.multiYear.subtotal, 190000);
+  assert.equal(totals.yearly.subtotal, 20000);
+});
+
+test('falls back to the sold cycle, the default quantity and reports unknown products', () => {
+  const result = quote([{ productId: 'winserver', billingCycle: 'monthly' }, { product: 'No Such Product' }], { defaultQuantity: 16 });
+  assert.equal(result.lines[0].billingCycle, 'yearly');
+  assert.equal(result.lines[0].quantity, 16);
+  assert.match(result.warnings[0], /not sold monthly/);
+  assert.deepEqual(result.notFound, ['No Such Product']);
+});
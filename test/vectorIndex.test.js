@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVectorIndex, toUnitVector } from '../utils/vectorIndex.js';
+
+const DIMENSIONS = 32;
+const SIZE = 2000;
+const K = 10;
+
+// Deterministic clustered vectors, so the test never flakes
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = seededRandom(7);
+const centers = Array.from({ length: 20 }, () => Array.from({ length: DIMENSIONS }, () => random() - 0.5));
+const randomVector = () => {
+  const center = centers[Math.floor(random() * centers.length)];
+  return toUnitVector(center.map(value => value + (random() - 0.5) * 0.6));
+};
+const VECTORS = Array.from({ length: SIZE }, randomVector);
+const QUERIES = Array.from({ length: 40 }, randomVector);
+
+const ids = results => results.map(({ id }) => id);
+
+function recallAgainst(exact, approximate, filter) {
+  let found = 0;
+  let wanted = 0;
+  QUERIES.forEach(query => {
+    const expected = new Set(ids(exact.search(query, K, { filter })));
+    wanted += expected.size;
+    found += ids(approximate.search(query, K, { filter })).filter(id => expected.has(id)).length;
+  });
+  return found / wanted;
+}
+
+test('stores unit-length Float32Array vectors', () => {
+  const unit = toUnitVector([3, 4]);
+  assert.ok(unit instanceof Float32Array);
+  assert.deepEqual([...unit].map(value => Math.round(value * 1000) / 1000), [0.6, 0.8]);
+  assert.deepEqual([...toUnitVector([0, 0])], [0, 0]);
+});
+
+test('flat search returns exact cosine neighbours, best first', async () => {
+  const flat = await buildVectorIndex(VECTORS, { type: 'flat', quantization: 'none' });
+  const [query] = QUERIES;
+  const expected = VECTORS
+    .map((vector, id) => ({ id, score: vector.reduce((sum, value, i) => sum + value * query[i], 0) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, K);
+  const results = flat.search(query, K);
+  assert.deepEqual(ids(results), ids(expected));
+  results.forEach((result, i) => assert.ok(Math.abs(result.score - expected[i].score) < 1e-5));
+});
+
+test('HNSW search finds nearly all of the exact neighbours', async () => {
+  const flat = await buildVectorIndex(VECTORS, { type: 'flat', quantization: 'none' });
+  const hnsw = await buildVectorIndex(VECTORS, { type: 'hnsw', quantization: 'none', m: 16, efConstruction: 100, efSearch: 64 });
+  assert.equal(hnsw.type, 'hnsw');
+  assert.ok(recallAgainst(flat, hnsw) >= 0.95);
+
+  // Filtered searches only return matching ids and still find the exact neighbours
+  const even = id => id % 2 === 0;
+  QUERIES.slice(0, 5).forEach(query => assert.ok(hnsw.search(query, K, { filter: even }).every(({ id }) => even(id))));
+  assert.ok(recallAgainst(flat, hnsw, even) >= 0.95);
+});
+
+test('int8 quantization keeps scores close and uses about a quarter of the memory', async () => {
+  const float = await buildVectorIndex(VECTORS, { type: 'flat', quantization: 'none' });
+  const int8 = await buildVectorIndex(VECTORS, { type: 'flat', quantization: 'int8' });
+  assert.equal(int8.quantization, 'int8');
+  assert.ok(int8.memoryBytes < float.memoryBytes / 3);
+
+  QUERIES.slice(0, 10).forEach(query => {
+    for (let id = 0; id < 50; id++) assert.ok(Math.abs(int8.score(query, id) - float.score(query, id)) < 0.02);
+  });
+  assert.ok(recallAgainst(float, int8) >= 0.9);
+});
+
+test('chooses flat or HNSW by size in auto mode and ignores mismatched queries', async () => {
+  assert.equal((await buildVectorIndex(VECTORS.slice(0, 100), { type: 'auto', hnswMinVectors: 5000 })).type, 'flat');
+  const auto = await buildVectorIndex(VECTORS.slice(0, 300), { type: 'auto', hnswMinVectors: 200 });
+  assert.equal(auto.type, 'hnsw');
+  assert.deepEqual(auto.search(new Float32Array(8), K), []);
+  assert.deepEqual((await buildVectorIndex([], { type: 'hnsw' })).search(QUERIES[0], K), []);
+});
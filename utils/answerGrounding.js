@@ -0,0 +1,246 @@
+import { GST_RATE } from "./quoteCalculator.js";
+import { tokenize } from "./lexicalIndex.js";
+
+/**
+ * Answer Grounding - checks the prices and product names in a finished answer
+ * against the catalog. Product mentions are the product links in the answer;
+ * every ₹ amount is checked against the product it is listed under. Amounts
+ * that are close to the catalog price are treated as slips and corrected;
+ * anything else is flagged in the `grounding` report.
+ *
+ * An amount is accepted when it is one of the product's catalog prices (any
+ * cycle, list price, monthly/yearly equivalent, with or without GST), a
+ * quantity mentioned on the same line times one of those, or a figure returned
+ * by the get_quote tool. A figure the customer typed is accepted only where the
+ * answer attributes it to them ("your budget of ₹50,000"), never as a price.
+ */
+
+const PRODUCT_LINK = /\[([^\]]+)\]\((https:\/\/shop\.skysecure\.ai\/products\/[^\s)]+)\)|https:\/\/shop\.skysecure\.ai\/products\/[^\s"')\]]+/gi;
+const PRODUCT_ID_SUFFIX = /--([a-f0-9]{24})\/?$/i;
+const PRICE_PATTERN = /₹\s?(\d[\d,]*(?:\.\d+)?)(\s*(?:\/|per)\s*(?:user\s*\/?\s*)?(?:month|mo|year|yr|annum)\b)?/gi;
+const QUANTITY_PATTERN = /\b(\d+)\s*(?:users?|seats?|licen[cs]es?|cores?|devices?|servers?|months?|years?)\b|[×x*]\s*(\d+)\b/gi;
+
+// A wrong amount within this share of the catalog price is treated as a slip and corrected
+const CORRECTION_RANGE = 0.25;
+
+// Share of the catalog name's terms a link's text must contain
+const MIN_NAME_COVERAGE = 0.6;
+
+// Text right before an amount that hands it back to the customer ("your budget of", "you mentioned")
+const USER_FIGURE_CUE = /\b(?:your|you(?:'ve| have)?\s+(?:mentioned|said|quoted|shared|stated|specified|entered|budgeted))\b[^₹\d]{0,30}$/i;
+
+/**
+ * Equal within display rounding (₹5,140 for ₹5,140.08)
+ */
+function amountsMatch(a, b) {
+  return Math.abs(a - b) <= Math.max(1, b * 0.005);
+}
+
+/**
+ * Formats an amount the way answers show prices (₹1,23,456.78)
+ */
+function formatRupees(amount) {
+  const decimals = Number.isInteger(amount) ? 0 : 2;
+  return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+/**
+ * Billing cycle an amount is quoted in, from the text right after it or the line label
+ */
+function detectCycle(suffix = '', line = '') {
+  const text = `${suffix} ${line}`.toLowerCase();
+  if (/\b(month|mo|monthly)\b/.test(suffix.toLowerCase())) return 'monthly';
+  if (/\b(year|yr|annum|yearly)\b/.test(suffix.toLowerCase())) return 'yearly';
+  if (/\bmonthly\b/.test(text) && !/\b(yearly|annual)\b/.test(text)) return 'monthly';
+  if (/\b(yearly|annual)\b/.test(text) && !/\bmonthly\b/.test(text)) return 'yearly';
+  if (/\b(one[\s-]?time|perpetual)\b/.test(text)) return 'oneTime';
+  return null;
+}
+
+/**
+ * Every amount a product's price can legitimately be shown as
+ */
+function productAmounts(product) {
+  const pricing = product.pricing || {};
+  const base = [
+    ...Object.values(pricing),
+    product.price,
+    product.listPrice,
+    ...(product.plans || []).flatMap(plan => [plan.price, plan.listPrice]),
+  ].filter(amount => typeof amount === 'number' && amount > 0);
+
+  if (pricing.yearly > 0) base.push(pricing.yearly / 12);
+  if (pricing.monthly > 0) base.push(pricing.monthly * 12);
+
+  return [...base, ...base.map(amount => amount * (1 + GST_RATE))];
+}
+
+/**
+ * Numbers in the get_quote results
+ */
+function collectTrustedAmounts(conversation = []) {
+  const amounts = [];
+  const quoteCallIds = new Set();
+
+  const walk = value => {
+    if (typeof value === 'number' && value > 0) amounts.push(value);
+    else if (Array.isArray(value)) value.forEach(walk);
+    else if (value && typeof value === 'object') Object.values(value).forEach(walk);
+  };
+
+  conversation.forEach(message => {
+    if (message.role === 'assistant' && message.tool_calls) {
+      message.tool_calls
+        .filter(call => call.function?.name === 'get_quote')
+        .forEach(call => quoteCallIds.add(call.id));
+    } else if (message.role === 'tool' && quoteCallIds.has(message.tool_call_id)) {
+      try {
+        walk(JSON.parse(message.content));
+      } catch (error) {
+        // Not JSON; nothing to trust
+      }
+    }
+  });
+
+  return amounts;
+}
+
+/**
+ * Numbers in the customer's own messages (only accepted when attributed back to them)
+ */
+function collectUserAmounts(conversation = []) {
+  return conversation
+    .filter(message => message.role === 'user' && typeof message.content === 'string')
+    .flatMap(message => [...message.content.matchAll(/\d[\d,]*(?:\.\d+)?/g)].map(match => parseFloat(match[0].replace(/,/g, ''))));
+}
+
+/**
+ * Whether link text names the linked product (all bold/emoji stripped)
+ */
+function linkTextMatches(text, product) {
+  const cleaned = text.replace(/[*_`]/g, '').trim();
+  if (cleaned.toLowerCase() === (product.name || '').toLowerCase()) return true;
+
+  // Generic link text ("View product", "here") is not a name claim
+  const textTerms = tokenize(cleaned);
+  const nameTerms = new Set(tokenize(product.name || ''));
+  if (textTerms.length === 0 || /^(view|buy|see|link|here|details|product|more)\b/i.test(cleaned)) return true;
+
+  const covered = textTerms.filter(term => nameTerms.has(term)).length;
+  return covered / textTerms.length >= MIN_NAME_COVERAGE;
+}
+
+/**
+ * Checks an answer against the catalog, correcting slips where it safely can
+ * @param {string} answer - Final (link-fixed) answer
+ * @param {Array} products - Products from productLoader
+ * @param {Object} options - { conversation: messages incl. tool calls and results }
+ * @returns {{answer: string, grounding: Object}} - Corrected answer and the report
+ *   { status: 'ok' | 'corrected' | 'failed', checkedProducts, checkedPrices, corrections, issues, unverified }
+ */
+export function verifyAnswer(answer, products = [], { conversation = [] } = {}) {
+  const grounding = { status: 'ok', checkedProducts: 0, checkedPrices: 0, corrections: [], issues: [], unverified: [] };
+  if (!answer || products.length === 0) return { answer: answer || '', grounding };
+
+  const byId = new Map(products.map(product => [String(product.id).toLowerCase(), product]));
+  const byUrl = new Map(products.filter(product => product.url).map(product => [product.url.toLowerCase(), product]));
+  const trustedAmounts = collectTrustedAmounts(conversation);
+  const userAmounts = collectUserAmounts(conversation);
+  const checkedProductIds = new Set();
+
+  // The product in scope carries over to following lines (nested bullets)
+  // until a blank line or heading ends the block
+  let currentProduct = null;
+
+  const lines = answer.split('\n').map(line => {
+    if (!line.trim() || /^\s*#/.test(line)) {
+      currentProduct = null;
+      return line;
+    }
+
+    // Product mentions: check link text against the catalog name
+    let fixedLine = line.replace(PRODUCT_LINK, (match, linkText, linkUrl) => {
+      const url = linkUrl || match;
+      const idMatch = url.match(PRODUCT_ID_SUFFIX);
+      const product = (idMatch && byId.get(idMatch[1].toLowerCase())) || byUrl.get(url.toLowerCase());
+
+      if (!product) {
+        grounding.issues.push({ type: 'unknown_product', url });
+        currentProduct = null;
+        return match;
+      }
+
+      currentProduct = product;
+      checkedProductIds.add(product.id);
+      if (linkText === undefined || linkTextMatches(linkText, product)) return match;
+
+      const bold = /^\*\*.*\*\*$/.test(linkText.trim());
+      const expected = bold ? `**${product.name}**` : product.name;
+      grounding.corrections.push({ type: 'name', productId: product.id, found: linkText, expected: product.name });
+      return `[${expected}](${url})`;
+    });
+
+    // ₹ amounts: check against the product in scope
+    const quantities = [...line.matchAll(QUANTITY_PATTERN)].map(match => parseInt(match[1] || match[2], 10));
+    fixedLine = fixedLine.replace(PRICE_PATTERN, (match, amountText, suffix, offset, text) => {
+      const amount = parseFloat(amountText.replace(/,/g, ''));
+      grounding.checkedPrices++;
+
+      if (trustedAmounts.some(trusted => amountsMatch(amount, trusted))) return match;
+      if (USER_FIGURE_CUE.test(text.slice(0, offset)) && userAmounts.some(typed => amountsMatch(amount, typed))) return match;
+
+      if (!currentProduct) {
+        grounding.unverified.push({ type: 'price', amount, reason: 'no product in context' });
+        return match;
+      }
+
+      const allowed = productAmounts(currentProduct);
+      const matchesProduct = allowed.some(expected =>
+        amountsMatch(amount, expected) || quantities.some(quantity => amountsMatch(amount, expected * quantity))
+      );
+      if (matchesProduct) return match;
+
+      const pricing = currentProduct.pricing || {};
+      const cycle = detectCycle(suffix, line);
+      const distinctPrices = [...new Set(Object.values(pricing).filter(price => price > 0))];
+      const expected = (cycle && pricing[cycle]) || (distinctPrices.length === 1 ? distinctPrices[0] : null);
+
+      if (expected && Math.abs(amount - expected) <= expected * CORRECTION_RANGE) {
+        grounding.corrections.push({ type: 'price', productId: currentProduct.id, cycle, found: amount, expected });
+        return `${formatRupees(expected)}${suffix || ''}`;
+      }
+
+      grounding.issues.push({
+        type: 'price',
+        productId: currentProduct.id,
+        product: currentProduct.name,
+        amount,
+        catalogPricing: pricing,
+      });
+      return match;
+    });
+
+    return fixedLine;
+  });
+
+  grounding.checkedProducts = checkedProductIds.size;
+  if (grounding.issues.length > 0) grounding.status = 'failed';
+  else if (grounding.corrections.length > 0) grounding.status = 'corrected';
+
+  return { answer: lines.join('\n'), grounding };
+}
+
+/**
+ * Instruction for a second attempt after a failed check
+ * @param {Object} grounding - Report from verifyAnswer
+ * @returns {string}
+ */
+export function buildGroundingFeedback(grounding) {
+  const problems = grounding.issues.map(issue => issue.type === 'price'
+    ? `- ${formatRupees(issue.amount)} for "${issue.product}" does not match the catalog (${Object.entries(issue.catalogPricing).map(([cycle, price]) => `${cycle}: ${formatRupees(price)}`).join(', ') || 'no price listed'})`
+    : `- ${issue.url} is not a product in the catalog`
+  );
+
+  return `Your previous answer failed the catalog check:\n${problems.join('\n')}\n` +
+    `Rewrite the answer. Use only prices and product links returned by the catalog tools; for totals, use get_quote.`;
+}
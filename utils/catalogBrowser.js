@@ -0,0 +1,342 @@
+import { summarizeProduct } from './chatTools.js';
+import { getLexicalIndex, searchLexical, tokenize } from './lexicalIndex.js';
+import { getSpellingVocabulary, correctSpelling } from './spellCorrector.js';
+import { BILLING_CYCLES } from './productLoader.js';
+
+/**
+ * Catalog Browser - filters, sorting, pagination and facet counts for the
+ * browse REST API (/api/products, /api/categories, /api/vendors)
+ * Works on the same products the chat answers from; marketplace badges must
+ * already be applied to them.
+ *
+ * Facets are disjunctive: each facet's counts ignore that facet's own filter,
+ * so picking "Communication" still shows how many products the other
+ * categories would give.
+ */
+
+export const BROWSE_SORTS = ['relevance', 'price_asc', 'price_desc', 'rating', 'discount', 'name'];
+export const BADGES = {
+  topSelling: 'isTopSelling',
+  featured: 'isFeatured',
+  latest: 'isLatest',
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// INR price buckets for the price facet (max is exclusive)
+const PRICE_RANGES = [
+  { label: 'Under ₹1,000', min: 0, max: 1000 },
+  { label: '₹1,000 - ₹10,000', min: 1000, max: 10000 },
+  { label: '₹10,000 - ₹50,000', min: 10000, max: 50000 },
+  { label: '₹50,000 - ₹1,00,000', min: 50000, max: 100000 },
+  { label: 'Over ₹1,00,000', min: 100000, max: null },
+];
+
+/**
+ * Splits a query-string value into a list ("a,b" and ?x=a&x=b both work)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Maps "one time", "one-time", "Yearly" etc. to a pricing key
+ */
+function toBillingCycle(value) {
+  const compact = value.toLowerCase().replace(/[\s_-]+/g, '');
+  return BILLING_CYCLES.find(cycle => cycle.toLowerCase() === compact) || null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Validates browse query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { params, errors } with params = { q, categories, vendors, billingCycle, minPrice, maxPrice, badges, sort, page, limit }
+ */
+export function parseBrowseQuery(query = {}) {
+  const errors = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  let billingCycle = null;
+  if (query.billingCycle) {
+    billingCycle = toBillingCycle(String(query.billingCycle));
+    if (!billingCycle) errors.push(`"billingCycle" must be one of ${BILLING_CYCLES.join(', ')}`);
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (Number.isNaN(minPrice)) errors.push('"minPrice" must be a non-negative number');
+  if (Number.isNaN(maxPrice)) errors.push('"maxPrice" must be a non-negative number');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push('"minPrice" can\'t be more than "maxPrice"');
+  }
+
+  const badges = toList(query.badges);
+  const unknownBadges = badges.filter(badge => !BADGES[badge]);
+  if (unknownBadges.length > 0) errors.push(`Unknown badges: ${unknownBadges.join(', ')} (use ${Object.keys(BADGES).join(', ')})`);
+
+  const sort = query.sort || 'relevance';
+  if (!BROWSE_SORTS.includes(sort)) errors.push(`"sort" must be one of ${BROWSE_SORTS.join(', ')}`);
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) errors.push('"page" must be a positive integer');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) errors.push(`"limit" must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+
+  return {
+    params: {
+      q,
+      categories: toList(query.category),
+      vendors: toList(query.vendor),
+      billingCycle,
+      minPrice,
+      maxPrice,
+      badges,
+      sort,
+      page,
+      limit,
+    },
+    errors,
+  };
+}
+
+/**
+ * Price a product is filtered and sorted by: the price for the requested
+ * billing cycle, else its default plan's price
+ */
+function priceFor(product, billingCycle) {
+  const price = billingCycle ? product.pricing?.[billingCycle] : product.price;
+  return typeof price === 'number' ? price : null;
+}
+
+/**
+ * Text matches for a query: products covering most of its terms (two of
+ * three, ...), with their BM25 score for relevance sorting
+ * @returns {Map<Object, number>} - product -> score
+ */
+function matchQuery(products, query) {
+  const queryTerms = tokenize(query);
+  const matches = new Map();
+  if (queryTerms.length === 0) return matches;
+
+  searchLexical(getLexicalIndex(products), query, products.length).forEach(({ product, score }) => {
+    const productTerms = new Set(tokenize(
+      [product.name, product.category, product.vendor, ...(product.features || [])].join(' ')
+    ));
+    const covered = queryTerms.filter(term => productTerms.has(term)).length;
+    if (covered / queryTerms.length >= 2 / 3) matches.set(product, score);
+  });
+  return matches;
+}
+
+/**
+ * Filter predicates by facet name, so a facet can skip its own
+ */
+function buildFilters(params, textMatches) {
+  const lower = list => new Set(list.map(item => item.toLowerCase()));
+  const categories = lower(params.categories);
+  const vendors = lower(params.vendors);
+
+  return {
+    q: product => !textMatches || textMatches.has(product),
+    category: product => categories.size === 0 ||
+      categories.has((product.category || '').toLowerCase()) ||
+      categories.has((product.subCategory || '').toLowerCase()),
+    vendor: product => vendors.size === 0 || vendors.has((product.vendor || '').toLowerCase()),
+    billingCycle: product => !params.billingCycle || priceFor(product, params.billingCycle) !== null,
+    price: product => {
+      if (params.minPrice === undefined && params.maxPrice === undefined) return true;
+      const price = priceFor(product, params.billingCycle);
+      return price !== null &&
+        (params.minPrice === undefined || price >= params.minPrice) &&
+        (params.maxPrice === undefined || price <= params.maxPrice);
+    },
+    badges: product => params.badges.length === 0 || params.badges.some(badge => product[BADGES[badge]]),
+  };
+}
+
+function applyFilters(products, filters, skip = null) {
+  const active = Object.entries(filters).filter(([name]) => name !== skip).map(([, test]) => test);
+  return products.filter(product => active.every(test => test(product)));
+}
+
+/**
+ * Counts per value, most common first
+ */
+function countBy(products, getValues) {
+  const counts = new Map();
+  products.forEach(product => {
+    new Set(getValues(product)).forEach(value => {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count }));
+}
+
+function buildFacets(products, filters, params) {
+  const byCycle = countBy(applyFilters(products, filters, 'billingCycle'), product =>
+    BILLING_CYCLES.filter(cycle => priceFor(product, cycle) !== null)
+  );
+  const forBadges = applyFilters(products, filters, 'badges');
+  const forPrices = applyFilters(products, filters, 'price');
+
+  return {
+    category: countBy(applyFilters(products, filters, 'category'), product => [product.category]),
+    vendor: countBy(applyFilters(products, filters, 'vendor'), product => [product.vendor]),
+    billingCycle: byCycle,
+    badges: Object.entries(BADGES).map(([badge, flag]) => ({
+      value: badge,
+      count: forBadges.filter(product => product[flag]).length,
+    })),
+    price: PRICE_RANGES.map(range => ({
+      ...range,
+      count: forPrices.filter(product => {
+        const price = priceFor(product, params.billingCycle);
+        return price !== null && price >= range.min && (range.max === null || price < range.max);
+      }).length,
+    })),
+  };
+}
+
+/**
+ * Sort comparator; ties (and products without the sorted field) keep catalog order
+ */
+function compareFor(sort, params, textMatches) {
+  const nullsLast = (a, b, direction) => {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return (a - b) * direction;
+  };
+
+  switch (sort) {
+    case 'price_asc':
+      return (a, b) => nullsLast(priceFor(a, params.billingCycle), priceFor(b, params.billingCycle), 1);
+    case 'price_desc':
+      return (a, b) => nullsLast(priceFor(a, params.billingCycle), priceFor(b, params.billingCycle), -1);
+    case 'rating':
+      return (a, b) => nullsLast(a.rating ?? null, b.rating ?? null, -1);
+    case 'discount':
+      return (a, b) => nullsLast(a.discountPercent ?? null, b.discountPercent ?? null, -1);
+    case 'name':
+      return (a, b) => (a.name || '').localeCompare(b.name || '');
+    default:
+      // Relevance: text score when searching, otherwise best sellers and featured first
+      if (textMatches) return (a, b) => textMatches.get(b) - textMatches.get(a);
+      return (a, b) =>
+        (Number(b.isTopSelling) * 2 + Number(b.isFeatured)) - (Number(a.isTopSelling) * 2 + Number(a.isFeatured));
+  }
+}
+
+/**
+ * Filters, sorts and pages the catalog
+ * @param {Array} products - Products from productLoader (badges applied)
+ * @param {Object} params - From parseBrowseQuery
+ * @returns {Object} - { products, total, page, limit, totalPages, sort, facets, spelling }
+ */
+export function browseProducts(products, params) {
+  const spelling = params.q ? correctSpelling(params.q, getSpellingVocabulary(products)) : null;
+  const textMatches = spelling ? matchQuery(products, spelling.corrected) : null;
+
+  const filters = buildFilters(params, textMatches);
+  const compare = compareFor(params.sort, params, textMatches);
+  const matching = applyFilters(products, filters)
+    .map((product, index) => ({ product, index }))
+    .sort((a, b) => compare(a.product, b.product) || a.index - b.index)
+    .map(({ product }) => product);
+
+  const start = (params.page - 1) * params.limit;
+  return {
+    products: matching.slice(start, start + params.limit).map(summarizeProduct),
+    total: matching.length,
+    page: params.page,
+    limit: params.limit,
+    totalPages: Math.ceil(matching.length / params.limit),
+    sort: params.sort,
+    facets: buildFacets(products, filters, params),
+    spelling: spelling?.corrections.length > 0 ? spelling : null,
+  };
+}
+
+/**
+ * Full product view for a product page
+ * @param {Object} product - Product from productLoader (badges applied)
+ * @param {Object} categoryRankings - { category: [productId, ...] } from marketplaceSignalsLoader
+ * @returns {Object}
+ */
+export function describeProduct(product, categoryRankings = {}) {
+  const rank = (categoryRankings[product.category] || []).indexOf(product.id);
+  return {
+    ...summarizeProduct(product),
+    subCategory: product.subCategory,
+    categoryPath: product.categoryPath || [],
+    description: product.description || '',
+    features: product.features || [],
+    plans: product.plans || [],
+    categoryRank: rank === -1 ? null : rank + 1,
+  };
+}
+
+/**
+ * Categories with product counts, vendors and price span, largest first
+ * @param {Array} products - Products from productLoader
+ * @returns {Array<Object>} - { name, productCount, vendors, minPrice, maxPrice }
+ */
+export function listCatalogCategories(products) {
+  return summarizeGroups(products, product => product.category)
+    .map(({ name, products: members }) => ({
+      name,
+      productCount: members.length,
+      vendors: [...new Set(members.map(product => product.vendor).filter(Boolean))].sort(),
+      ...priceSpan(members),
+    }));
+}
+
+/**
+ * Vendors with product counts and the categories they sell in, largest first
+ * @param {Array} products - Products from productLoader
+ * @returns {Array<Object>} - { name, productCount, categories, minPrice, maxPrice }
+ */
+export function listCatalogVendors(products) {
+  return summarizeGroups(products, product => product.vendor)
+    .map(({ name, products: members }) => ({
+      name,
+      productCount: members.length,
+      categories: [...new Set(members.map(product => product.category).filter(Boolean))].sort(),
+      ...priceSpan(members),
+    }));
+}
+
+function summarizeGroups(products, getName) {
+  const groups = new Map();
+  products.forEach(product => {
+    const name = getName(product);
+    if (!name) return;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(product);
+  });
+  return [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .map(([name, members]) => ({ name, products: members }));
+}
+
+function priceSpan(products) {
+  const prices = products.map(product => product.price).filter(price => typeof price === 'number' && price > 0);
+  return {
+    minPrice: prices.length > 0 ? Math.min(...prices) : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+  };
+}
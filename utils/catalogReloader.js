@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { PRODUCTS_FILE_PATH, readProductsFile, selectValidProducts, normalizeProducts, replaceProductCache, productsToFieldRecords } from "./productLoader.js";
+import { SIGNAL_FILES, readMarketplaceSignalFiles, replaceMarketplaceSignals } from "./marketplaceSignalsLoader.js";
+import { clearKnowledgeBaseCache } from "./productFetcher.js";
+import { clearHierarchyCache } from "./categoryFetcher.js";
+import { clearLinkAliasCache } from "./linkResolver.js";
+import { QUERY_RULES_PATH, clearQueryRulesCache } from "./queryRules.js";
+import { INTENT_EXAMPLES_PATH, clearIntentModelCache } from "./intentClassifier.js";
+import { indexProductRecords } from "./embeddingService.js";
+import { validateCatalogFiles, formatSchemaError } from "./catalogSchema.js";
+
+/**
+ * Catalog Reloader - swap in refreshed data/*.json files without a restart
+ * All four files are read and validated first, with the same policy as
+ * startup: a product that fails its schema is skipped (and reported), any
+ * other problem (unreadable file, invalid signals or rankings, no valid
+ * products) rejects the reload. Only then are products, signals and rankings
+ * swapped together; a rejected reload leaves the running snapshot serving.
+ */
+
+const DATA_DIR = path.dirname(PRODUCTS_FILE_PATH);
+const WATCHED_FILES = new Set([path.basename(PRODUCTS_FILE_PATH), ...Object.values(SIGNAL_FILES), path.basename(QUERY_RULES_PATH), path.basename(INTENT_EXAMPLES_PATH)]);
+
+// Editors and sync jobs write files in several steps; wait for them to settle
+const WATCH_DEBOUNCE_MS = 1000;
+
+let catalogStatus = {
+  version: 0,
+  loadedAt: null,
+  productCount: 0,
+  lastReload: null, // { at, ok, reason, errors }
+};
+
+// Embedding runs are queued so a reload never overlaps the boot-time index build
+let reindexChain = Promise.resolve();
+let watcher = null;
+
+// Cap reported lists so one systematic problem doesn't flood the response
+function capErrors(errors) {
+  return errors.length > 20 ? [...errors.slice(0, 20), `...and ${errors.length - 20} more`] : errors;
+}
+
+/**
+ * Checks a freshly read catalog before it replaces the running one
+ * @param {Array} products - Raw products from products_normalized.json
+ * @param {Object} signals - { marketplaceSignals, categoryRankings, oemRankings }
+ * @returns {{products: Array, skipped: Array<string>, errors: Array<string>}} - Valid products,
+ *   skipped products, and problems that reject the reload (empty if it can go live)
+ */
+export function validateCatalog(products, signals) {
+  const errors = validateCatalogFiles(signals).map(formatSchemaError);
+  const { products: validProducts, skipped } = selectValidProducts(products);
+  if (validProducts.length === 0) errors.push('products_normalized.json has no valid products');
+
+  return { products: validProducts, skipped: capErrors(skipped), errors: capErrors(errors) };
+}
+
+/**
+ * Queues an incremental re-embedding of the catalog (only new or changed
+ * products are sent to the embedding API)
+ * @param {Array} products - Normalized products
+ * @returns {Promise<void>}
+ */
+export function queueProductReindex(products) {
+  reindexChain = reindexChain
+    .then(async () => {
+      if (products.length === 0) return;
+      console.log("Indexing products with embeddings for semantic search...");
+      await indexProductRecords(productsToFieldRecords(products));
+    })
+    .catch(err => {
+      console.warn("Product indexing failed, continuing without semantic search:", err.message);
+    });
+  return reindexChain;
+}
+
+/**
+ * Re-reads products, signals and rankings and swaps them in atomically
+ * @param {string} reason - Why the reload ran (for logs and status)
+ * @returns {Promise<Object>} - { ok, version, productCount, errors, skipped }
+ */
+export async function reloadCatalog(reason = 'manual') {
+  console.log(`🔄 Reloading catalog (${reason})...`);
+
+  let validProducts = [];
+  let skipped = [];
+  let signals;
+  let errors;
+  try {
+    signals = readMarketplaceSignalFiles();
+    ({ products: validProducts, skipped, errors } = validateCatalog(readProductsFile(), signals));
+  } catch (error) {
+    errors = [`Could not read catalog files: ${error.message}`];
+  }
+
+  if (errors.length > 0) {
+    console.error(`❌ Catalog reload rejected, keeping version ${catalogStatus.version}:`, errors.join('; '));
+    catalogStatus.lastReload = { at: new Date().toISOString(), ok: false, reason, errors, skipped };
+    return { ok: false, version: catalogStatus.version, productCount: catalogStatus.productCount, errors, skipped };
+  }
+
+  // Everything is valid: swap all caches together (no awaits in between)
+  const products = normalizeProducts(validProducts);
+  replaceProductCache(products);
+  replaceMarketplaceSignals(signals);
+  clearKnowledgeBaseCache();
+  clearHierarchyCache();
+  clearLinkAliasCache();
+  clearQueryRulesCache();
+  clearIntentModelCache();
+
+  catalogStatus.version += 1;
+  catalogStatus.loadedAt = new Date().toISOString();
+  catalogStatus.productCount = products.length;
+  catalogStatus.lastReload = { at: catalogStatus.loadedAt, ok: true, reason, errors: [], skipped };
+  console.log(`✅ Catalog version ${catalogStatus.version} live: ${products.length} products${skipped.length > 0 ? ` (${skipped.length} skipped)` : ''}`);
+
+  queueProductReindex(products);
+
+  return { ok: true, version: catalogStatus.version, productCount: products.length, errors: [], skipped };
+}
+
+/**
+ * Records the catalog loaded at startup as version 1
+ * @param {Array} products - Normalized products
+ */
+export function markInitialCatalog(products) {
+  if (catalogStatus.version > 0) return;
+  catalogStatus.version = 1;
+  catalogStatus.loadedAt = new Date().toISOString();
+  catalogStatus.productCount = products.length;
+}
+
+/**
+ * Reports which catalog snapshot is live (for /health)
+ * @returns {Object}
+ */
+export function getCatalogStatus() {
+  return { ...catalogStatus, watching: Boolean(watcher) };
+}
+
+/**
+ * Watches data/*.json and reloads the catalog when one of them changes
+ * @returns {boolean} - True if the watcher started
+ */
+export function watchCatalogFiles() {
+  if (watcher) return true;
+
+  let debounceTimer = null;
+  const changedFiles = new Set();
+
+  try {
+    watcher = fs.watch(DATA_DIR, (eventType, fileName) => {
+      if (!fileName || !WATCHED_FILES.has(fileName)) return;
+
+      changedFiles.add(fileName);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        const reason = `file change: ${[...changedFiles].join(', ')}`;
+        changedFiles.clear();
+        reloadCatalog(reason).catch(error => console.error("Catalog reload failed:", error.message));
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    console.log(`👀 Watching ${DATA_DIR} for catalog changes`);
+    return true;
+  } catch (error) {
+    console.error("Could not watch catalog files:", error.message);
+    watcher = null;
+    return false;
+  }
+}
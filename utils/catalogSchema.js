@@ -0,0 +1,255 @@
+/**
+ * Catalog Schemas - JSON Schemas for the files in utils/data and a validator
+ * for the subset of JSON Schema they use (type, required, properties,
+ * additionalProperties, minProperties, items, minItems, enum, pattern,
+ * minLength, minimum).
+ * Used at load time and by catalog reloads, so a file that would make the
+ * loader fall back to defaults is reported instead of silently accepted.
+ */
+
+const PRODUCT_ID_PATTERN = '^[a-f0-9]{24}$';
+const PRODUCT_ID = { type: 'string', pattern: PRODUCT_ID_PATTERN };
+
+export const PRODUCT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'category', 'pricing', 'url'],
+  properties: {
+    id: PRODUCT_ID,
+    name: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    pricing: {
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        monthly: { type: 'number', minimum: 0 },
+        yearly: { type: 'number', minimum: 0 },
+        triennial: { type: 'number', minimum: 0 },
+        oneTime: { type: 'number', minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    defaultPlan: { type: 'string', enum: ['monthly', 'yearly', 'triennial', 'oneTime'] },
+    currency: { type: 'string', enum: ['INR'] },
+    description: {
+      type: 'object',
+      properties: {
+        clean: { type: 'string' },
+        raw: { type: 'string' },
+      },
+    },
+    features: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string', pattern: '^https://shop\\.skysecure\\.ai/products/' },
+    raw: { type: 'object' },
+  },
+};
+
+export const PRODUCTS_FILE_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: PRODUCT_SCHEMA,
+};
+
+export const MARKETPLACE_SIGNALS_SCHEMA = {
+  type: 'object',
+  required: ['bestSelling', 'featured', 'recentlyAdded'],
+  properties: {
+    bestSelling: { type: 'array', items: PRODUCT_ID },
+    featured: { type: 'array', items: PRODUCT_ID },
+    recentlyAdded: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['productId'],
+        properties: {
+          productId: PRODUCT_ID,
+          order: { type: 'integer', minimum: 0 },
+        },
+      },
+    },
+  },
+};
+
+// { "<category or OEM name>": [productId, ...] }
+export const RANKINGS_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'array', items: PRODUCT_ID },
+};
+
+const TERMS = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+
+// Product fields a rule can filter or boost on (substring match, any term)
+const PRODUCT_TERMS = {
+  type: 'object',
+  minProperties: 1,
+  properties: { name: TERMS, category: TERMS, vendor: TERMS },
+  additionalProperties: false,
+};
+
+// One entry of data/query_rules.json, see utils/queryRules.js
+export const QUERY_RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'triggers'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    triggers: {
+      type: 'object',
+      minProperties: 1,
+      properties: { any: TERMS, all: TERMS, none: TERMS, pattern: { type: 'string', minLength: 1 } },
+      additionalProperties: false,
+    },
+    synonyms: TERMS,
+    include: PRODUCT_TERMS,
+    exclude: PRODUCT_TERMS,
+    boosts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['weight'],
+        properties: {
+          name: TERMS,
+          category: TERMS,
+          vendor: TERMS,
+          query: TERMS,
+          shared: TERMS,
+          product: PRODUCT_TERMS,
+          weight: { type: 'number' },
+        },
+        additionalProperties: false,
+      },
+    },
+    instructions: { type: 'string', minLength: 1 },
+  },
+  additionalProperties: false,
+};
+
+export const QUERY_RULES_FILE_SCHEMA = {
+  type: 'object',
+  required: ['rules'],
+  properties: {
+    rules: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+export const CATALOG_SCHEMAS = {
+  'products_normalized.json': PRODUCTS_FILE_SCHEMA,
+  'marketplace_signals.json': MARKETPLACE_SIGNALS_SCHEMA,
+  'category_rankings.json': RANKINGS_SCHEMA,
+  'oem_rankings.json': RANKINGS_SCHEMA,
+};
+
+/**
+ * JSON type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema from this module
+ * @param {string} path - JSON path used in messages
+ * @returns {Array<{path: string, message: string}>} - Validation errors (empty if valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `does not match ${schema.pattern}` });
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(child, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, childPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates all four catalog files
+ * @param {Object} files - { products, marketplaceSignals, categoryRankings, oemRankings } as parsed JSON
+ * @returns {Array<{file: string, path: string, message: string}>} - Errors across all files
+ */
+export function validateCatalogFiles({ products, marketplaceSignals, categoryRankings, oemRankings }) {
+  const byFile = {
+    'products_normalized.json': products,
+    'marketplace_signals.json': marketplaceSignals,
+    'category_rankings.json': categoryRankings,
+    'oem_rankings.json': oemRankings,
+  };
+
+  const errors = [];
+  Object.entries(byFile).forEach(([file, value]) => {
+    if (value === undefined) return;
+    validateAgainstSchema(value, CATALOG_SCHEMAS[file]).forEach(error => errors.push({ file, ...error }));
+  });
+
+  // Ids must be unique; a schema can't express that for arrays of objects
+  if (Array.isArray(products)) {
+    const seen = new Set();
+    products.forEach((product, index) => {
+      if (!product?.id) return;
+      if (seen.has(product.id)) {
+        errors.push({ file: 'products_normalized.json', path: `$[${index}].id`, message: `duplicate id ${product.id}` });
+      }
+      seen.add(product.id);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * One-line form of a validation error ("products_normalized.json $[3].name: is required")
+ */
+export function formatSchemaError({ file, path, message }) {
+  return `${file ? `${file} ` : ''}${path}: ${message}`;
+}
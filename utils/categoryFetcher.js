@@ -108,6 +108,15 @@ export async function fetchCategoryHierarchy() {
   }
 }
 
+/**
+ * Drops the formatted hierarchy so product counts are recomputed from the current catalog
+ */
+export function clearHierarchyCache() {
+  hierarchyCache.formattedString = null;
+  hierarchyCache.productCount = 0;
+  hierarchyCache.lastUpdate = null;
+}
+
 /**
  * Formats category hierarchy into a knowledge base string
  * @param {Array} categories - Array of category objects with sub-categories
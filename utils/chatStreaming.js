@@ -0,0 +1,125 @@
+/**
+ * Chat Streaming - helpers for relaying LLM completions over SSE
+ * Parses the upstream event stream and keeps product links intact while the
+ * answer is still arriving in pieces.
+ */
+
+const PRODUCT_LINK_PREFIX = 'https://shop.skysecure.ai/products/';
+
+// Characters that end a product URL (mirrors the link fixer's slug pattern)
+const URL_TERMINATOR = /[\s"')\]]/;
+
+// Never hold back more than this much text waiting for a URL to finish
+const MAX_HELD_CHARS = 2000;
+
+/**
+ * Parses an OpenAI-style `text/event-stream` body into completion deltas.
+ * Tool calls arrive in fragments: each `toolCall` delta carries the call's
+ * index plus whichever of id, name and an arguments fragment were sent.
+ * @param {AsyncIterable<string>} stream - Response body (utf8 encoded)
+ * @returns {AsyncGenerator<{content?: string, toolCall?: Object, finishReason?: string}>}
+ */
+export async function* readCompletionStream(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newlineIndex).trim();
+      buffer = buffer.substring(newlineIndex + 1);
+
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.substring(5).trim();
+      if (payload === '[DONE]') return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(payload);
+      } catch (e) {
+        console.warn(`Skipping malformed stream event: ${payload.substring(0, 100)}`);
+        continue;
+      }
+
+      const choice = parsed.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        yield { content: choice.delta.content };
+      }
+      for (const toolCall of choice.delta?.tool_calls || []) {
+        yield {
+          toolCall: {
+            index: toolCall.index ?? 0,
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments || '',
+          },
+        };
+      }
+      if (choice.finish_reason) {
+        yield { finishReason: choice.finish_reason };
+      }
+    }
+  }
+}
+
+/**
+ * Finds where the text stops being safe to emit, i.e. the start of a URL that
+ * may still be growing, or a trailing fragment that could become one.
+ * @param {string} text - Pending text
+ * @returns {number} - Index to hold back from (text.length if all safe)
+ */
+function findHoldIndex(text) {
+  const lower = text.toLowerCase();
+
+  // An unterminated URL at the end of the text may be continued by the next delta
+  const urlStart = lower.lastIndexOf('https://');
+  if (urlStart !== -1 && !URL_TERMINATOR.test(text.substring(urlStart))) {
+    return urlStart;
+  }
+
+  // A trailing "h", "htt", "https://shop.sky" ... could be the start of a link
+  const maxPrefix = Math.min(PRODUCT_LINK_PREFIX.length - 1, lower.length);
+  for (let length = maxPrefix; length > 0; length--) {
+    if (PRODUCT_LINK_PREFIX.startsWith(lower.substring(lower.length - length))) {
+      return lower.length - length;
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Wraps the deterministic link fixer for incremental use. Text is released
+ * only once every URL in it is complete, so links split across chunks are
+ * repaired exactly as they would be in the finished answer.
+ * @param {function(string): string} fixLinks - Link fixer for complete text
+ * @returns {{push: function(string): string, flush: function(): string}}
+ */
+export function createStreamingLinkFixer(fixLinks) {
+  let pending = '';
+
+  return {
+    push(delta) {
+      pending += delta;
+
+      let holdIndex = findHoldIndex(pending);
+      if (pending.length - holdIndex > MAX_HELD_CHARS) {
+        holdIndex = pending.length;
+      }
+
+      const safeText = pending.substring(0, holdIndex);
+      pending = pending.substring(holdIndex);
+      return safeText ? fixLinks(safeText) : '';
+    },
+
+    flush() {
+      const rest = pending;
+      pending = '';
+      return rest ? fixLinks(rest) : '';
+    },
+  };
+}
@@ -0,0 +1,565 @@
+import { retrieveProducts } from "./hybridRetriever.js";
+import { tokenize } from "./lexicalIndex.js";
+import { resolveProductsByIds } from "./marketplaceSignalsLoader.js";
+import { fetchCategoryHierarchy } from "./categoryFetcher.js";
+import { extractProductSpecs } from "./productSearcher.js";
+import { resolveProduct, compareProducts, MIN_COMPARE_PRODUCTS, MAX_COMPARE_PRODUCTS } from "./productComparison.js";
+import { calculateQuote } from "./quoteCalculator.js";
+import { matchesMetadataFilters } from "./embeddingService.js";
+import { productMetadata, BILLING_CYCLES } from "./productLoader.js";
+import { getSpellingVocabulary, correctSpelling } from "./spellCorrector.js";
+
+/**
+ * Chat Tools - catalog lookups the model can call while answering
+ * Instead of pasting the whole catalog into the system prompt, the model asks
+ * for what it needs (search, details, category listings, marketplace signals,
+ * comparisons) and only ever sees real products with real links.
+ *
+ * Every tool takes a context built once per chat turn:
+ *   { products, marketplaceSignals, categoryRankings, oemRankings, teamSize }
+ */
+
+// Upper bound on model round-trips per answer; the last one is forced to answer
+const MAX_TOOL_STEPS = 5;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 25;
+const CATEGORY_API_TIMEOUT_MS = 2500;
+
+const SIGNAL_LISTS = {
+  best_selling: 'bestSelling',
+  featured: 'featured',
+  recently_added: 'recentlyAdded',
+};
+
+// search_products orderings; Array.sort is stable, so ties keep relevance order
+const SEARCH_SORTS = {
+  relevance: null,
+  discount: (a, b) => (b.discountPercent ?? -1) - (a.discountPercent ?? -1),
+  rating: (a, b) => (b.rating ?? -1) - (a.rating ?? -1),
+  price_low: (a, b) => (a.price || Infinity) - (b.price || Infinity),
+  price_high: (a, b) => (b.price || 0) - (a.price || 0),
+};
+
+// A sorted search re-ranks a wider candidate pool than it returns
+const SORT_CANDIDATES = 50;
+
+/**
+ * OpenAI function definitions for the chat tools
+ */
+export const CHAT_TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_products',
+      description: 'Search the SkySecure catalog by free text (product names, editions, plan codes like "E5", core counts, use cases). Returns the best matching products with prices, list price, discount, rating, stock and links. Can also rank by discount, rating or price (e.g. "what\'s on discount?", "highest rated backup tool").',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to search for, e.g. "SQL Server 2022 Standard 2 core" or "email for a small team". May be omitted when sorting the whole catalog, e.g. for the biggest discounts' },
+          sort: { type: 'string', enum: Object.keys(SEARCH_SORTS), description: 'Order of the results (default relevance)' },
+          onSale: { type: 'boolean', description: 'Only products with a discount off the list price' },
+          inStock: { type: 'boolean', description: 'Only products shown as in stock' },
+          category: { type: 'string', description: 'Only products in this category, e.g. "Data Management"' },
+          vendor: { type: 'string', description: 'Only products from this vendor, e.g. "Microsoft"' },
+          billingCycle: { type: 'string', enum: BILLING_CYCLES, description: 'Only products sold on this billing cycle; minPrice/maxPrice then apply to that cycle\'s price' },
+          minPrice: { type: 'number', description: 'Minimum price in INR (excl. GST)' },
+          maxPrice: { type: 'number', description: 'Maximum price in INR (excl. GST), e.g. a per-licence budget' },
+          limit: { type: 'integer', description: `Maximum products to return (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})` },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_product',
+      description: 'Get full details of one product by its id, or by its exact or approximate name.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Product id from an earlier tool result' },
+          name: { type: 'string', description: 'Product name, used when the id is unknown' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_category',
+      description: 'List the marketplace categories (when called without a category), or the products in one category, optionally narrowed to a product family such as "SQL", "Windows" or "Teams".',
+      parameters: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', description: 'Category name, e.g. "Data Management"' },
+          family: { type: 'string', description: 'Product family within the category, e.g. "SQL"' },
+          limit: { type: 'integer', description: `Maximum products to return (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})` },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_best_sellers',
+      description: 'Get marketplace signal lists: best selling, featured or recently added products, optionally within one category.',
+      parameters: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: Object.keys(SIGNAL_LISTS), description: 'Which list (default best_selling)' },
+          category: { type: 'string', description: 'Only products from this category' },
+          limit: { type: 'integer', description: `Maximum products to return (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})` },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'compare_products',
+      description: 'Compare 2 to 4 products side by side. Returns an attribute matrix (price per billing cycle, term, edition, cores/vCPU/RAM/users, vendor, category, features); rows with differs=true are where the products differ.',
+      parameters: {
+        type: 'object',
+        properties: {
+          products: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Product ids or names to compare',
+          },
+        },
+        required: ['products'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_quote',
+      description: 'Price a set of products for a number of users or cores: whole core packs with licensing minimums for Windows Server / SQL Server, and monthly, yearly and multi-year totals in INR including 18% GST.',
+      parameters: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                product: { type: 'string', description: 'Product id or name' },
+                quantity: { type: 'number', description: 'Users/seats, or total cores for core-licensed products (defaults to the known team size)' },
+                billingCycle: { type: 'string', enum: ['monthly', 'yearly', 'oneTime'], description: "Preferred billing cycle (defaults to the product's own)" },
+                servers: { type: 'integer', description: 'Servers to license, for per-server core minimums (default 1)' },
+              },
+              required: ['product'],
+            },
+          },
+          years: { type: 'integer', description: 'Multi-year horizon for the totals (default 3)' },
+        },
+        required: ['items'],
+      },
+    },
+  },
+];
+
+/**
+ * Clamps a model-supplied limit to a sane range
+ */
+function clampLimit(limit) {
+  const value = parseInt(limit, 10);
+  if (!value || value < 1) return DEFAULT_LIMIT;
+  return Math.min(value, MAX_LIMIT);
+}
+
+/**
+ * Compact product view returned to the model
+ * @param {Object} product - Product from productLoader
+ * @returns {Object}
+ */
+export function summarizeProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    vendor: product.vendor,
+    category: product.category,
+    pricing: product.pricing || {},
+    price: product.price,
+    billingCycle: product.billingCycle,
+    currency: product.currency || 'INR',
+    listPrice: product.listPrice ?? null,
+    sellingPrice: product.sellingPrice ?? null,
+    discountPercent: product.discountPercent ?? null,
+    rating: product.rating ?? null,
+    inStock: product.inStock ?? null,
+    url: product.url,
+    badges: {
+      isTopSelling: Boolean(product.isTopSelling),
+      isFeatured: Boolean(product.isFeatured),
+      isLatest: Boolean(product.isLatest),
+    },
+  };
+}
+
+/**
+ * Matches a category name loosely ("data management" == "Data Management")
+ */
+function sameCategory(product, category) {
+  const wanted = category.toLowerCase().trim();
+  return (product.category || '').toLowerCase() === wanted ||
+    (product.subCategory || '').toLowerCase() === wanted;
+}
+
+/**
+ * Whether a product's name, category, vendor and features contain most of the
+ * query's terms (both of two, two of three, ...)
+ */
+function coversQuery(product, query) {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) return true;
+
+  const productTerms = new Set(tokenize(
+    [product.name, product.category, product.vendor, ...(product.features || [])].join(' ')
+  ));
+  const covered = queryTerms.filter(term => productTerms.has(term)).length;
+  return covered / queryTerms.length >= 2 / 3;
+}
+
+async function searchProductsTool({ query, sort, onSale, inStock, category, vendor, billingCycle, minPrice, maxPrice, limit }, context) {
+  const compare = SEARCH_SORTS[sort] || null;
+  if (!query && !compare && !onSale) return { error: 'query is required unless sort or onSale is given' };
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (vendor) filters.vendor = vendor;
+  if (BILLING_CYCLES.includes(billingCycle)) filters.billingCycle = billingCycle;
+  if (Number.isFinite(minPrice)) filters.minPrice = minPrice;
+  if (Number.isFinite(maxPrice)) filters.maxPrice = maxPrice;
+
+  const topK = clampLimit(limit);
+  let products = context.products.filter(product => matchesMetadataFilters(productMetadata(product), filters));
+  if (query) {
+    // The model sees the message as typed, so typos can reach the query
+    const searchQuery = correctSpelling(query, getSpellingVocabulary(context.products)).corrected;
+    const filtered = Boolean(compare || onSale || inStock);
+    const results = await retrieveProducts(searchQuery, context.products, { topK: filtered ? SORT_CANDIDATES : topK, filters });
+    products = results.map(result => result.product);
+
+    // Re-ranking a wide pool would surface loose matches ("Exchange Server"
+    // for "sql server"), so keep candidates that contain the query terms
+    if (filtered) {
+      const matching = products.filter(product => coversQuery(product, searchQuery));
+      products = matching.length > 0 ? matching : products.slice(0, topK);
+    }
+  }
+
+  if (onSale) products = products.filter(product => product.discountPercent > 0);
+  if (inStock) products = products.filter(product => product.inStock !== false);
+  if (compare) products = [...products].sort(compare);
+
+  return {
+    query: query || null,
+    ...(Object.keys(filters).length > 0 ? { filters } : {}),
+    sort: compare ? sort : 'relevance',
+    count: Math.min(products.length, topK),
+    products: products.slice(0, topK).map(summarizeProduct),
+  };
+}
+
+async function getProductTool({ id, name }, context) {
+  const product = resolveProduct(id || name, context.products);
+  if (!product) return { error: `No product found for "${id || name}"` };
+
+  const description = product.description || '';
+  return {
+    products: [{
+      ...summarizeProduct(product),
+      subCategory: product.subCategory,
+      description: description.length > 600 ? description.substring(0, 600) + '...' : description,
+      features: product.features || [],
+      specs: extractProductSpecs(product.name || ''),
+      plans: product.plans || [],
+      categoryPath: product.categoryPath || [],
+    }],
+  };
+}
+
+/**
+ * Category names and product counts, taken from the catalog API when it
+ * answers quickly and from the loaded products otherwise
+ */
+async function listCategories(context) {
+  const counts = {};
+  context.products.forEach(product => {
+    const category = product.category || 'Uncategorized';
+    counts[category] = (counts[category] || 0) + 1;
+  });
+
+  let apiCategories = [];
+  let timer;
+  try {
+    const categoryData = await Promise.race([
+      fetchCategoryHierarchy(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Category API timeout")), CATEGORY_API_TIMEOUT_MS);
+      }),
+    ]);
+    apiCategories = categoryData.categories || [];
+  } catch (error) {
+    console.warn("Category API unavailable for list_category:", error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const categories = apiCategories.length > 0
+    ? apiCategories.map(category => ({
+      name: category.name,
+      productCount: counts[category.name] || 0,
+      subCategories: (category.subcategories || category.subCategories || []).map(sub => sub.name).filter(Boolean),
+    }))
+    : Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, productCount]) => ({ name, productCount }));
+
+  return {
+    categories,
+    families: Object.keys(context.oemRankings || {}),
+  };
+}
+
+async function listCategoryTool({ category, family, limit }, context) {
+  if (!category && !family) {
+    return listCategories(context);
+  }
+
+  let products = context.products;
+  if (category) {
+    // category_rankings.json holds each category's products in display order
+    const rankings = context.categoryRankings || {};
+    const rankingKey = Object.keys(rankings).find(key => key.toLowerCase() === category.toLowerCase().trim());
+    const rankedIds = rankingKey ? rankings[rankingKey] : null;
+    products = rankedIds
+      ? resolveProductsByIds(rankedIds, context.products)
+      : context.products.filter(product => sameCategory(product, category));
+  }
+  if (family) {
+    const familyKey = Object.keys(context.oemRankings || {}).find(key => key.toLowerCase() === family.toLowerCase());
+    const familyIds = familyKey ? new Set(context.oemRankings[familyKey]) : null;
+    products = products.filter(product => (familyIds
+      ? familyIds.has(product.id)
+      : (product.name || '').toLowerCase().includes(family.toLowerCase())));
+  }
+
+  const maxProducts = clampLimit(limit);
+  return {
+    category: category || null,
+    family: family || null,
+    totalCount: products.length,
+    count: Math.min(products.length, maxProducts),
+    products: products.slice(0, maxProducts).map(summarizeProduct),
+  };
+}
+
+async function getBestSellersTool({ type = 'best_selling', category, limit }, context) {
+  const listName = SIGNAL_LISTS[type];
+  if (!listName) return { error: `type must be one of: ${Object.keys(SIGNAL_LISTS).join(', ')}` };
+
+  const entries = (context.marketplaceSignals || {})[listName] || [];
+  const ids = entries.map(item => (typeof item === 'object' ? item.productId : item));
+
+  let products = resolveProductsByIds(ids, context.products);
+  if (category) {
+    products = products.filter(product => sameCategory(product, category));
+  }
+
+  const maxProducts = clampLimit(limit);
+  return {
+    type,
+    category: category || null,
+    // Signals are derived from catalog prominence, not live sales data
+    note: 'Derived marketplace signal based on catalog prominence, not real-time sales data.',
+    totalCount: products.length,
+    count: Math.min(products.length, maxProducts),
+    products: products.slice(0, maxProducts).map(summarizeProduct),
+  };
+}
+
+async function compareProductsTool({ products: requested }, context) {
+  if (!Array.isArray(requested) || requested.length < MIN_COMPARE_PRODUCTS || requested.length > MAX_COMPARE_PRODUCTS) {
+    return { error: `Provide between ${MIN_COMPARE_PRODUCTS} and ${MAX_COMPARE_PRODUCTS} product ids or names` };
+  }
+
+  return compareProducts(requested, context.products);
+}
+
+async function getQuoteTool({ items, years }, context) {
+  if (!Array.isArray(items) || items.length === 0) return { error: 'items is required' };
+
+  const quote = calculateQuote(items, context.products, {
+    years: parseInt(years, 10) > 0 ? parseInt(years, 10) : undefined,
+    defaultQuantity: context.teamSize || 1,
+  });
+  // Lines carry name + url, so they double as the products list for the answer
+  return { ...quote, products: quote.lines.map(line => ({ id: line.productId, name: line.name, url: line.url })) };
+}
+
+const TOOL_HANDLERS = {
+  search_products: searchProductsTool,
+  get_product: getProductTool,
+  list_category: listCategoryTool,
+  get_best_sellers: getBestSellersTool,
+  compare_products: compareProductsTool,
+  get_quote: getQuoteTool,
+};
+
+/**
+ * Runs one tool call from the model
+ * @param {Object} toolCall - { id, function: { name, arguments } } (arguments is a JSON string)
+ * @param {Object} context - Tool context for this chat turn
+ * @returns {Promise<Object>} - Tool message to append to the conversation
+ */
+export async function executeToolCall(toolCall, context) {
+  const name = toolCall.function?.name;
+  const handler = TOOL_HANDLERS[name];
+  let result;
+
+  try {
+    if (!handler) {
+      result = { error: `Unknown tool "${name}"` };
+    } else {
+      const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+      result = await handler(args, context);
+    }
+  } catch (error) {
+    console.error(`Error running tool ${name}:`, error.message);
+    result = { error: `Tool failed: ${error.message}` };
+  }
+
+  console.log(`🛠️  Tool ${name}(${(toolCall.function?.arguments || '').substring(0, 120)}) -> ${result.error ? `error: ${result.error}` : `${(result.products || result.categories || []).length} results`}`);
+
+  return {
+    role: 'tool',
+    tool_call_id: toolCall.id,
+    content: JSON.stringify(result),
+  };
+}
+
+/**
+ * Options for one model round-trip: tools are offered on every step but the
+ * last, which must produce the answer
+ */
+function stepOptions(options, step) {
+  return step < MAX_TOOL_STEPS - 1
+    ? { ...options, tools: CHAT_TOOL_DEFINITIONS, tool_choice: 'auto' }
+    : options;
+}
+
+/**
+ * Appends the assistant's tool calls and their results to the conversation
+ */
+async function runToolCalls(messages, content, toolCalls, context) {
+  messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+  for (const toolCall of toolCalls) {
+    messages.push(await executeToolCall(toolCall, context));
+  }
+}
+
+/**
+ * Answers with a single completion, running tool calls until the model replies
+ * @param {Object} provider - LLM provider
+ * @param {Array} messages - Chat messages (not modified)
+ * @param {Object} options - Completion options passed to provider.chat
+ * @param {Object} context - Tool context for this chat turn
+ * @returns {Promise<{content, finishReason, usage, toolCallCount, conversation}>} - conversation
+ *   includes the tool calls and their results (used to check the answer afterwards)
+ */
+export async function completeWithTools(provider, messages, options, context) {
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let toolCallCount = 0;
+
+  for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+    const completion = await provider.chat(conversation, stepOptions(options, step));
+
+    if (completion.usage) {
+      usage.prompt_tokens += completion.usage.prompt_tokens || 0;
+      usage.completion_tokens += completion.usage.completion_tokens || 0;
+      usage.total_tokens += completion.usage.total_tokens || 0;
+    }
+
+    if (!completion.toolCalls || completion.toolCalls.length === 0) {
+      return { content: completion.content, finishReason: completion.finishReason, usage, toolCallCount, conversation };
+    }
+
+    toolCallCount += completion.toolCalls.length;
+    await runToolCalls(conversation, completion.content, completion.toolCalls, context);
+  }
+
+  return { content: '', finishReason: 'tool_calls', usage, toolCallCount, conversation };
+}
+
+/**
+ * Streaming counterpart of completeWithTools. Text deltas are passed through as
+ * they arrive; when a step ends in tool calls, they are run and the next step
+ * streams. The first request is made before returning, so connection errors
+ * surface before any response headers are sent.
+ * @param {Object} provider - LLM provider
+ * @param {Array} messages - Chat messages (not modified)
+ * @param {Object} options - Completion options passed to provider.chatStream
+ * @param {Object} context - Tool context for this chat turn
+ * @returns {Promise<{deltas: AsyncGenerator<{content?, finishReason?}>, abort: function, conversation: Array}>} -
+ *   conversation fills with tool calls and results as the stream runs
+ */
+export async function streamWithTools(provider, messages, options, context) {
+  const conversation = [...messages];
+  let upstream = await provider.chatStream(conversation, stepOptions(options, 0));
+  let aborted = false;
+
+  async function* deltas() {
+    for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+      if (step > 0) {
+        upstream = await provider.chatStream(conversation, stepOptions(options, step));
+      }
+
+      let content = '';
+      let finishReason = null;
+      const toolCalls = [];
+
+      for await (const delta of upstream.deltas) {
+        if (delta.content) {
+          content += delta.content;
+          yield { content: delta.content };
+        }
+        if (delta.toolCall) {
+          // Fragments of the same call share an index; stitch them together
+          const { index, id, name, arguments: argumentsFragment } = delta.toolCall;
+          if (!toolCalls[index]) {
+            toolCalls[index] = { id, type: 'function', function: { name: name || '', arguments: '' } };
+          }
+          if (id) toolCalls[index].id = id;
+          if (name) toolCalls[index].function.name = name;
+          toolCalls[index].function.arguments += argumentsFragment || '';
+        }
+        if (delta.finishReason) finishReason = delta.finishReason;
+      }
+
+      const completedCalls = toolCalls.filter(Boolean);
+      if (completedCalls.length === 0 || aborted) {
+        yield { finishReason };
+        return;
+      }
+
+      await runToolCalls(conversation, content, completedCalls, context);
+      if (aborted) return;
+    }
+
+    yield { finishReason: 'tool_calls' };
+  }
+
+  return {
+    deltas: deltas(),
+    conversation,
+    abort: () => {
+      aborted = true;
+      upstream.abort();
+    },
+  };
+}
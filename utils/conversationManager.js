@@ -18,9 +18,10 @@ export const ConversationStage = {
  * @param {Array} conversationHistory - Array of previous messages
  * @param {string} currentMessage - Current user message
  * @param {Object} intent - Resolved intent from intentMapper
+ * @param {string} previousStage - Stage the session was left in by the last turn
  * @returns {Object} - Conversation state with stage, confidence, and context
  */
-export function trackConversationState(conversationHistory = [], currentMessage = '', intent = {}) {
+export function trackConversationState(conversationHistory = [], currentMessage = '', intent = {}, previousStage = null) {
   const history = conversationHistory || [];
   const messageCount = history.length;
   const lower = (currentMessage || '').toLowerCase();
@@ -31,7 +32,7 @@ export function trackConversationState(conversationHistory = [], currentMessage
     confidence: 0.5,
     messageCount,
     context: {},
-    previousStage: null,
+    previousStage,
   };
 
   // Stage 1: Discovery (1-3 messages) - Understanding user type and goals
@@ -48,8 +49,9 @@ export function trackConversationState(conversationHistory = [], currentMessage
   // Stage 2: Narrowing (4-8 messages) - Selecting category/subcategory
   if (messageCount >= 3 && messageCount < 8) {
     // Check if user has specific intent (category/subcategory identified)
-    if (intent?.subCategoryId || intent?.categoryName) {
-      // User has narrowed down to a category, moving to recommendation
+    const alreadyRecommending = previousStage === ConversationStage.RECOMMENDATION || previousStage === ConversationStage.CONVERSION;
+    if (intent?.subCategoryId || intent?.categoryName || alreadyRecommending) {
+      // User has narrowed down to a category (now or on an earlier turn), moving to recommendation
       state.stage = ConversationStage.RECOMMENDATION;
       state.confidence = 0.85;
       state.context = {
@@ -0,0 +1,115 @@
+import { readProductsFile, normalizeProducts } from "./productLoader.js";
+import { readMarketplaceSignalFiles, resolveProductsByIds } from "./marketplaceSignalsLoader.js";
+import { validateCatalogFiles, formatSchemaError } from "./catalogSchema.js";
+
+/**
+ * Data Quality Report - catalog problems the loader would otherwise paper over
+ * (zero prices, "Unknown Vendor", the 'Monthly' billing-cycle default, scraped
+ * FAQ text used as the description, ranking ids that point at no product).
+ * Served by GET /admin/data-quality and printed by `npm run data-quality`.
+ */
+
+// Scraped FAQ / call-to-action text that ends up in description.clean
+const BOILERPLATE_PATTERNS = [
+  /^frequently asked questions\b/i,
+  /can't find the answer you're looking for/i,
+  /^contact us$/i,
+];
+
+// Products listed per issue (counts in the summary are always complete)
+const MAX_LISTED = 200;
+
+/**
+ * Whether a description is empty or scraped boilerplate rather than product copy
+ * @param {string} description - description.clean from the JSON file
+ * @returns {boolean}
+ */
+export function isBoilerplateDescription(description = '') {
+  const text = description.trim();
+  return text.length === 0 || BOILERPLATE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * True when nothing in the file says how the product is billed, so the
+ * loader's 'Monthly' default was used
+ */
+function hasDefaultedBillingCycle(rawProduct) {
+  const pricing = rawProduct.pricing || {};
+  const hasPrice = ['yearly', 'monthly', 'oneTime'].some(key => pricing[key]);
+  return !hasPrice && !rawProduct.defaultPlan && !rawProduct.raw?.subscriptionHint;
+}
+
+/**
+ * Ids in a ranking list that don't resolve to a catalog product
+ */
+function findUnresolvedIds(ids, products) {
+  const resolved = new Set(resolveProductsByIds(ids, products).map(product => product.id));
+  return ids.filter(id => !resolved.has(id));
+}
+
+/**
+ * Builds the report from already-parsed catalog files
+ * @param {Object} catalog - { rawProducts, marketplaceSignals, categoryRankings, oemRankings }
+ * @returns {Object} - { generatedAt, productCount, summary, issues, schemaErrors }
+ */
+export function buildDataQualityReport({ rawProducts, marketplaceSignals = {}, categoryRankings = {}, oemRankings = {} }) {
+  const rawList = Array.isArray(rawProducts) ? rawProducts.filter(product => product && typeof product === 'object') : [];
+  const products = normalizeProducts(rawList);
+  const describe = product => ({ id: product.id, name: product.name, url: product.url });
+
+  const zeroPrice = products.filter(product => !(product.price > 0)).map(describe);
+  const unknownVendor = products.filter(product => product.vendor === 'Unknown Vendor').map(describe);
+  const defaultedBillingCycle = products
+    .filter(product => hasDefaultedBillingCycle(product._fullData))
+    .map(describe);
+  const boilerplateDescription = products
+    .filter(product => isBoilerplateDescription(product._fullData.description?.clean || ''))
+    .map(describe);
+
+  // Every ranking list, labelled by where it came from
+  const rankingLists = [
+    ['marketplace_signals.bestSelling', marketplaceSignals.bestSelling],
+    ['marketplace_signals.featured', marketplaceSignals.featured],
+    ['marketplace_signals.recentlyAdded', (marketplaceSignals.recentlyAdded || []).map(item =>
+      typeof item === 'string' ? item : item?.productId
+    )],
+    ...Object.entries(categoryRankings || {}).map(([category, ids]) => [`category_rankings.${category}`, ids]),
+    ...Object.entries(oemRankings || {}).map(([oem, ids]) => [`oem_rankings.${oem}`, ids]),
+  ];
+  const unresolvedRankingIds = rankingLists
+    .map(([source, ids]) => ({ source, ids: findUnresolvedIds(Array.isArray(ids) ? ids : [], products) }))
+    .filter(entry => entry.ids.length > 0);
+
+  const schemaErrors = validateCatalogFiles({ products: rawProducts, marketplaceSignals, categoryRankings, oemRankings })
+    .map(formatSchemaError);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    productCount: products.length,
+    summary: {
+      schemaErrors: schemaErrors.length,
+      zeroPrice: zeroPrice.length,
+      unknownVendor: unknownVendor.length,
+      defaultedBillingCycle: defaultedBillingCycle.length,
+      boilerplateDescription: boilerplateDescription.length,
+      unresolvedRankingIds: unresolvedRankingIds.reduce((sum, entry) => sum + entry.ids.length, 0),
+    },
+    issues: {
+      zeroPrice: zeroPrice.slice(0, MAX_LISTED),
+      unknownVendor: unknownVendor.slice(0, MAX_LISTED),
+      defaultedBillingCycle: defaultedBillingCycle.slice(0, MAX_LISTED),
+      boilerplateDescription: boilerplateDescription.slice(0, MAX_LISTED),
+      unresolvedRankingIds,
+    },
+    schemaErrors: schemaErrors.slice(0, MAX_LISTED),
+  };
+}
+
+/**
+ * Reads the catalog files from disk and builds the report (independent of
+ * what is currently cached, so it also reflects files not yet reloaded)
+ * @returns {Object} - Report from buildDataQualityReport
+ */
+export function generateDataQualityReport() {
+  return buildDataQualityReport({ rawProducts: readProductsFile(), ...readMarketplaceSignalFiles() });
+}
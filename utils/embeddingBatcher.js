@@ -0,0 +1,171 @@
+/**
+ * Embedding Batcher - sends texts to the embedding API in as few calls as the
+ * limits allow and returns vectors keyed by id
+ *   - batches are filled up to a token budget (estimated at 4 characters per
+ *     token) and a maximum number of inputs
+ *   - a few batches run in parallel
+ *   - a failed batch is retried with backoff; a 429 pauses every worker for
+ *     the Retry-After the API sent
+ *   - a batch the API rejects outright (400) is split in half until the bad
+ *     input is isolated, so one oversized text doesn't sink its neighbours
+ * Results are keyed by id, never by position, so a failed batch can only
+ * leave its own ids without vectors.
+ *
+ * Limits (env): EMBEDDING_BATCH_TOKENS (default 16000), EMBEDDING_BATCH_SIZE
+ * (inputs per call, default 256), EMBEDDING_CONCURRENCY (default 4).
+ */
+
+const CHARS_PER_TOKEN = 4;
+// Per-input limit of the OpenAI embedding models; longer texts are truncated
+const MAX_INPUT_TOKENS = 8000;
+const MAX_BATCH_ATTEMPTS = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Batching limits from the environment
+ * @returns {{maxTokens: number, maxInputs: number, concurrency: number}}
+ */
+export function getEmbeddingBatchLimits() {
+  const positive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+  };
+  return {
+    maxTokens: positive(process.env.EMBEDDING_BATCH_TOKENS, 16000),
+    maxInputs: positive(process.env.EMBEDDING_BATCH_SIZE, 256),
+    concurrency: positive(process.env.EMBEDDING_CONCURRENCY, 4),
+  };
+}
+
+/**
+ * Rough token count (no tokenizer offline; errs on the high side for English)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Groups items into batches under the token and input limits, keeping order
+ * @param {Array<{id: string, text: string}>} items - Texts to embed
+ * @param {Object} limits - { maxTokens, maxInputs }
+ * @returns {Array<Array<{id, text, tokens}>>}
+ */
+export function planEmbeddingBatches(items, { maxTokens, maxInputs } = getEmbeddingBatchLimits()) {
+  const maxChars = MAX_INPUT_TOKENS * CHARS_PER_TOKEN;
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  items.forEach(({ id, text }) => {
+    const input = (text || '').length > maxChars ? text.substring(0, maxChars) : (text || '');
+    const tokens = Math.max(1, estimateTokens(input));
+    if (current.length > 0 && (currentTokens + tokens > maxTokens || current.length >= maxInputs)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push({ id, text: input, tokens });
+    currentTokens += tokens;
+  });
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryDelay(error, attempt) {
+  if (typeof error.retryAfterMs === 'number') return Math.min(error.retryAfterMs, MAX_RETRY_DELAY_MS);
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Embeds texts in batches
+ * @param {Object} provider - LLM provider (its embed() keeps vectors in input order)
+ * @param {Array<{id: string, text: string}>} items - Texts to embed; ids must be unique
+ * @param {Object} limits - Overrides for getEmbeddingBatchLimits()
+ * @returns {Promise<{vectors: Map<string, Array<number>>, failedIds: Array<string>, batchCount: number}>}
+ */
+export async function embedInBatches(provider, items, limits = {}) {
+  const { concurrency, ...batchLimits } = { ...getEmbeddingBatchLimits(), ...limits };
+  const queue = planEmbeddingBatches(items, batchLimits).map(batch => ({ batch, attempt: 0 }));
+  const batchCount = queue.length;
+  const vectors = new Map();
+  const failedIds = [];
+  let pausedUntil = 0;
+  let stopped = false;
+
+  async function runBatch({ batch, attempt }) {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+    if (stopped) {
+      failedIds.push(...batch.map(item => item.id));
+      return;
+    }
+
+    try {
+      // Retries are handled here, where a 429 can pause every worker
+      const batchVectors = await provider.embed(batch.map(item => item.text), { retries: 1 });
+      if (!Array.isArray(batchVectors) || batchVectors.length !== batch.length || !batchVectors.every(Array.isArray)) {
+        throw new Error(`expected ${batch.length} vectors, got ${Array.isArray(batchVectors) ? batchVectors.length : 'none'}`);
+      }
+      batch.forEach((item, index) => vectors.set(item.id, batchVectors[index]));
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        // The embedding host is down; don't queue more calls against it
+        console.error(`Embedding API unavailable (${error.message}); skipping the remaining batches`);
+        stopped = true;
+        failedIds.push(...batch.map(item => item.id));
+        return;
+      }
+
+      const rejected = error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+      if (rejected && batch.length > 1) {
+        const half = Math.ceil(batch.length / 2);
+        console.warn(`⚠️ Embedding batch of ${batch.length} rejected (${error.message}); splitting it`);
+        queue.push({ batch: batch.slice(0, half), attempt }, { batch: batch.slice(half), attempt });
+        return;
+      }
+      if (rejected) {
+        console.error(`Embedding input ${batch[0].id} rejected: ${error.message}`);
+        failedIds.push(batch[0].id);
+        return;
+      }
+      if (attempt + 1 >= MAX_BATCH_ATTEMPTS) {
+        console.error(`Embedding batch of ${batch.length} failed after ${attempt + 1} attempts: ${error.message}`);
+        failedIds.push(...batch.map(item => item.id));
+        return;
+      }
+
+      const delay = retryDelay(error, attempt);
+      if (error.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      console.warn(`⚠️ Embedding batch of ${batch.length} failed (${error.message}). Retrying in ${delay}ms... (Attempt ${attempt + 1}/${MAX_BATCH_ATTEMPTS})`);
+      await sleep(delay);
+      queue.push({ batch, attempt: attempt + 1 });
+    }
+  }
+
+  // Workers take batches off the queue until it's empty (splits and retries are queued too)
+  let active = 0;
+  await new Promise(resolve => {
+    const next = () => {
+      if (queue.length === 0 && active === 0) return resolve();
+      while (active < concurrency && queue.length > 0) {
+        active++;
+        runBatch(queue.shift()).finally(() => {
+          active--;
+          next();
+        });
+      }
+    };
+    next();
+  });
+
+  return { vectors, failedIds, batchCount };
+}
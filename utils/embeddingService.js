@@ -1,95 +1,112 @@
-import { makeRequest } from "./httpClient.js";
-
-const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
-const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
-const EMBEDDING_DEPLOYMENT = process.env.AZURE_OPENAI_EMBEDDING_MODEL || "text-embedding-3-large";
-const API_VERSION = "2024-02-15-preview";
-
-// In-memory vector store (in production, use a proper vector DB)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getLLMProvider } from "./llmProvider.js";
+import { embedInBatches } from "./embeddingBatcher.js";
+import { buildVectorIndex, toUnitVector, getVectorIndexConfig } from "./vectorIndex.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bump when the persisted index layout changes; older files are ignored
+const INDEX_FORMAT_VERSION = 1;
+
+// Aggregated product score: mostly the best-matching field, plus the
+// average of all its matching fields (a product that matches on name and
+// description beats one that only matches on name)
+const BEST_FIELD_WEIGHT = 0.75;
+
+// Field records fetched from the index per product asked for; the candidate
+// products' fields are then all scored exactly
+const PRODUCT_CANDIDATE_RECORDS = 4;
+
+// In-memory vector store (in production, use a proper vector DB), one part
+// for product field records and one for website content. Records:
+// { productId, field, text, metadata } (content: productId null, field
+// "content"); vectors live in each part's index (vectorIndex.js) under the
+// record's position.
+const emptyPart = () => ({ records: [], index: null, idsByProduct: new Map() });
 let vectorStore = {
-  chunks: [],
-  embeddings: [],
+  products: emptyPart(),
+  content: emptyPart(),
+  lastUpdate: null,
+};
+
+// Unit vectors (Float32Array) loaded from / saved to disk, keyed by chunk
+// hash. With int8 quantization they are released once the index is built and
+// read back from disk on the next reindex.
+let persistedVectors = null;
+let persistedModel = null;
+
+// Index freshness, reported on /health
+let indexStatus = {
+  state: 'empty', // empty | indexing | ready | partial | failed
+  model: null,
+  chunkCount: 0,
+  totalChunks: 0,
+  productCount: 0,
+  reusedCount: 0,
+  embeddedCount: 0,
+  loadedFromDisk: false,
+  savedAt: null,
   lastUpdate: null,
 };
 
 /**
- * Creates embeddings for text chunks (optimized for memory)
+ * Location of the persisted embedding index
+ * @returns {string}
+ */
+function getIndexPath() {
+  return process.env.EMBEDDING_INDEX_PATH || path.join(__dirname, '..', '.data', 'embedding_index.json');
+}
+
+/**
+ * Embeds texts keyed by id (batched by token count, in parallel, with retries;
+ * see embeddingBatcher.js)
+ * @param {Array<{id: string, text: string}>} items - Texts to embed; ids must be unique
+ * @returns {Promise<{vectors: Map<string, Array<number>>, failedIds: Array<string>}>} - a failed
+ *   batch only leaves its own ids out of `vectors`
+ */
+export async function embedTexts(items) {
+  const provider = getLLMProvider();
+  if (!provider.isConfigured()) {
+    console.warn(`LLM provider "${provider.name}" not configured for embeddings`);
+    return { vectors: new Map(), failedIds: items.map(item => item.id) };
+  }
+
+  if (!items || items.length === 0) {
+    return { vectors: new Map(), failedIds: [] };
+  }
+
+  const { vectors, failedIds, batchCount } = await embedInBatches(provider, items);
+  if (items.length > 1) {
+    console.log(`Created ${vectors.size}/${items.length} embeddings in ${batchCount} batches${failedIds.length > 0 ? ` (${failedIds.length} failed)` : ''}`);
+  }
+  return { vectors, failedIds };
+}
+
+/**
+ * Creates embeddings for text chunks
  * @param {Array<string>} chunks - Array of text chunks
- * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
+ * @returns {Promise<Array<Array<number>>>} - One vector per chunk, in order; empty if any chunk failed
  */
 export async function createEmbeddings(chunks) {
   try {
-    if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_API_KEY) {
-      console.warn("Azure OpenAI not configured for embeddings");
-      return [];
-    }
-
-    // Check for empty input
     if (!chunks || chunks.length === 0) {
       return [];
     }
 
-    // Process ALL chunks - Removing artificial 100 limit
-    // const maxChunks = 100;
-    // const limitedChunks = chunks.slice(0, maxChunks);
-    const limitedChunks = chunks;
-
-    if (chunks.length > 500) {
-      console.log(`Processing ${chunks.length} chunks for embeddings (this may take a moment)...`);
-    } else {
+    if (chunks.length > 1) {
       console.log(`Creating embeddings for ${chunks.length} chunks...`);
     }
 
-    // Ensure endpoint has trailing slash
-    const endpoint = AZURE_OPENAI_ENDPOINT.endsWith('/')
-      ? AZURE_OPENAI_ENDPOINT
-      : AZURE_OPENAI_ENDPOINT + '/';
-    const apiUrl = `${endpoint}openai/deployments/${EMBEDDING_DEPLOYMENT}/embeddings?api-version=${API_VERSION}`;
-
-    // Process in smaller batches to reduce memory usage
-    const batchSize = 5; // Reduced from 10
-    const allEmbeddings = [];
-
-    for (let i = 0; i < limitedChunks.length; i += batchSize) {
-      const batch = limitedChunks.slice(i, i + batchSize);
-
-      try {
-        const response = await makeRequest(apiUrl, {
-          method: 'POST',
-          headers: {
-            "api-key": AZURE_OPENAI_API_KEY,
-            "Content-Type": "application/json",
-          },
-          body: {
-            input: batch,
-          },
-        });
-
-        if (!response.ok) {
-          console.error(`Embedding API error: ${response.status}`);
-          continue;
-        }
-
-        const responseData = await response.json();
-
-        if (responseData.data && Array.isArray(responseData.data)) {
-          const batchEmbeddings = responseData.data.map(item => item.embedding);
-          allEmbeddings.push(...batchEmbeddings);
-        }
-
-        // Clear response data from memory
-        responseData = null;
-
-        // Shorter delay between batches to improve speed
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error(`Error in embedding batch ${i}:`, error.message);
-        continue;
-      }
+    const { vectors, failedIds } = await embedTexts(chunks.map((text, index) => ({ id: String(index), text })));
+    if (failedIds.length > 0) {
+      console.warn(`${failedIds.length} of ${chunks.length} chunks could not be embedded`);
+      return [];
     }
-
-    console.log(`Created ${allEmbeddings.length} embeddings`);
-    return allEmbeddings;
+    return chunks.map((chunk, index) => vectors.get(String(index)));
   } catch (error) {
     console.error("Error creating embeddings:", error.message);
     return [];
@@ -131,59 +148,162 @@ export function chunkText(text, chunkSize = 800, overlap = 100) {
 }
 
 /**
- * Calculates cosine similarity between two vectors
- * @param {Array<number>} vec1 - First vector
- * @param {Array<number>} vec2 - Second vector
- * @returns {number} - Similarity score (0-1)
+ * Whether a record's metadata passes search filters
+ * @param {Object} metadata - Record metadata (productMetadata from productLoader)
+ * @param {Object} filters - { category, vendor (string or list, any matches), minPrice, maxPrice, billingCycle }
+ * @returns {boolean}
  */
-function cosineSimilarity(vec1, vec2) {
-  if (vec1.length !== vec2.length) return 0;
+export function matchesMetadataFilters(metadata = {}, filters = {}) {
+  const list = value => (Array.isArray(value) ? value : [value]).filter(Boolean).map(item => String(item).toLowerCase());
+
+  const categories = list(filters.category);
+  if (categories.length > 0 &&
+    !categories.includes((metadata.category || '').toLowerCase()) &&
+    !categories.includes((metadata.subCategory || '').toLowerCase())) {
+    return false;
+  }
+
+  const vendors = list(filters.vendor);
+  if (vendors.length > 0 && !vendors.includes((metadata.vendor || '').toLowerCase())) return false;
 
-  let dotProduct = 0;
-  let norm1 = 0;
-  let norm2 = 0;
+  if (filters.billingCycle && !(metadata.billingCycles || []).includes(filters.billingCycle)) return false;
 
-  for (let i = 0; i < vec1.length; i++) {
-    dotProduct += vec1[i] * vec2[i];
-    norm1 += vec1[i] * vec1[i];
-    norm2 += vec2[i] * vec2[i];
+  const hasMin = typeof filters.minPrice === 'number';
+  const hasMax = typeof filters.maxPrice === 'number';
+  if (hasMin || hasMax) {
+    const price = filters.billingCycle ? metadata.pricing?.[filters.billingCycle] : metadata.price;
+    if (typeof price !== 'number') return false;
+    if (hasMin && price < filters.minPrice) return false;
+    if (hasMax && price > filters.maxPrice) return false;
   }
 
-  return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+  return true;
+}
+
+/**
+ * Builds a store part: the records and an index over their vectors
+ * @param {Array<Object>} records - Records without vectors
+ * @param {Array<Float32Array>} vectors - Unit vector of each record
+ */
+async function buildPart(records, vectors) {
+  const idsByProduct = new Map();
+  records.forEach((record, id) => {
+    if (!record.productId) return;
+    if (!idsByProduct.has(record.productId)) idsByProduct.set(record.productId, []);
+    idsByProduct.get(record.productId).push(id);
+  });
+  return { records, index: await buildVectorIndex(vectors), idsByProduct };
+}
+
+function hasFilters(filters) {
+  return Object.values(filters).some(value => value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Embeds a query as a unit vector
+ * @returns {Promise<Float32Array|null>}
+ */
+async function embedQuery(query) {
+  const queryEmbeddings = await createEmbeddings([query]);
+  return queryEmbeddings.length > 0 ? toUnitVector(queryEmbeddings[0]) : null;
+}
+
+/**
+ * Nearest records to a query vector that pass the filters (website content
+ * only matches without filters)
+ * @returns {Array<{part: Object, id: number, record: Object, score: number}>} - Best first
+ */
+function searchParts(queryVector, limit, { filters = {}, products = false } = {}) {
+  const filtered = hasFilters(filters);
+  const parts = [vectorStore.products];
+  if (!products && !filtered) parts.push(vectorStore.content);
+
+  return parts
+    .filter(part => part.index)
+    .flatMap(part => {
+      const filter = filtered ? id => matchesMetadataFilters(part.records[id].metadata, filters) : null;
+      return part.index.search(queryVector, limit, { filter })
+        .map(({ id, score }) => ({ part, id, record: part.records[id], score }));
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
 }
 
 /**
  * Finds most relevant chunks for a query
  * @param {string} query - Search query
  * @param {number} topK - Number of top results
- * @returns {Promise<Array<{chunk: string, score: number}>>} - Relevant chunks with scores
+ * @param {Object} filters - Metadata filters (see matchesMetadataFilters); website content only matches without filters
+ * @returns {Promise<Array<{chunk: string, score: number, productId: string|null, field: string}>>} - Relevant chunks with scores
  */
-export async function findRelevantChunks(query, topK = 5) {
+export async function findRelevantChunks(query, topK = 5, filters = {}) {
   try {
-    if (vectorStore.chunks.length === 0) {
+    if (vectorStore.products.records.length === 0 && vectorStore.content.records.length === 0) {
       console.warn("Vector store is empty");
       return [];
     }
 
-    // Create embedding for query
-    const queryEmbeddings = await createEmbeddings([query]);
-    if (queryEmbeddings.length === 0) {
+    const queryVector = await embedQuery(query);
+    if (!queryVector) return [];
+
+    return searchParts(queryVector, topK, { filters }).map(({ record, score }) => ({
+      chunk: record.text,
+      score,
+      productId: record.productId,
+      field: record.field,
+    }));
+  } catch (error) {
+    console.error("Error finding relevant chunks:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Finds the products whose field records best match a query (one entry per
+ * product; see BEST_FIELD_WEIGHT for how field scores are combined)
+ * @param {string} query - Search query
+ * @param {number} topK - Number of products to return
+ * @param {Object} filters - Metadata filters (see matchesMetadataFilters)
+ * @returns {Promise<Array<{productId: string, score: number, field: string, chunk: string, fieldScores: Object}>>} - Best matches first;
+ *   field/chunk are the best-matching field
+ */
+export async function findRelevantProducts(query, topK = 20, filters = {}) {
+  try {
+    if (!isIndexReady()) {
       return [];
     }
 
-    const queryVector = queryEmbeddings[0];
-
-    // Calculate similarity scores
-    const scores = vectorStore.embeddings.map((embedding, index) => ({
-      chunk: vectorStore.chunks[index],
-      score: cosineSimilarity(queryVector, embedding),
-    }));
+    const queryVector = await embedQuery(query);
+    if (!queryVector) return [];
+
+    // The nearest records pick the candidate products; every field of a
+    // candidate is then scored, so the mean covers all its fields
+    const part = vectorStore.products;
+    const byProduct = new Map();
+    searchParts(queryVector, topK * PRODUCT_CANDIDATE_RECORDS, { filters, products: true }).forEach(({ record }) => {
+      if (byProduct.has(record.productId)) return;
+      const fields = part.idsByProduct.get(record.productId)
+        .map(id => ({ record: part.records[id], score: part.index.score(queryVector, id) }))
+        .sort((a, b) => b.score - a.score);
+      byProduct.set(record.productId, {
+        productId: record.productId,
+        field: fields[0].record.field,
+        chunk: fields[0].record.text,
+        fieldScores: Object.fromEntries(fields.map(field => [field.record.field, field.score])),
+      });
+    });
 
-    // Sort by score and return top K
-    scores.sort((a, b) => b.score - a.score);
-    return scores.slice(0, topK);
+    return [...byProduct.values()]
+      .map(entry => {
+        const scores = Object.values(entry.fieldScores);
+        const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return { ...entry, score: BEST_FIELD_WEIGHT * scores[0] + (1 - BEST_FIELD_WEIGHT) * mean };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
   } catch (error) {
-    console.error("Error finding relevant chunks:", error.message);
+    console.error("Error finding relevant products:", error.message);
     return [];
   }
 }
@@ -204,8 +324,11 @@ export async function indexContent(content) {
     const embeddings = await createEmbeddings(chunks);
 
     if (embeddings.length === chunks.length) {
-      vectorStore.chunks = chunks;
-      vectorStore.embeddings = embeddings;
+      // Replaces earlier website content; product records stay
+      vectorStore.content = await buildPart(
+        chunks.map(chunk => ({ productId: null, field: 'content', text: chunk, metadata: { source: 'website' } })),
+        embeddings.map(toUnitVector)
+      );
       vectorStore.lastUpdate = Date.now();
       console.log(`Indexed ${chunks.length} chunks successfully`);
     } else {
@@ -217,57 +340,219 @@ export async function indexContent(content) {
 }
 
 /**
- * Indexes product chunks directly (for products from JSON)
- * @param {Array<string>} productChunks - Array of product text chunks
+ * Hashes a chunk together with the embedding model, so a vector is reused only
+ * for identical text embedded by the same model
+ */
+function chunkHash(chunk, model) {
+  return crypto.createHash('sha256').update(`${model}\n${chunk}`).digest('hex');
+}
+
+/**
+ * Loads persisted vectors (hash -> unit vector) for the given model.
+ * Files from another format version or model are ignored.
+ * @param {string} model - Embedding model name
+ * @returns {Map<string, Float32Array>}
  */
-export async function indexProductChunks(productChunks) {
+function loadPersistedIndex(model) {
+  const cached = new Map();
+  const indexPath = getIndexPath();
+
   try {
-    console.log(`Indexing ${productChunks.length} product chunks with embeddings...`);
+    if (!fs.existsSync(indexPath)) {
+      console.log(`No persisted embedding index at ${indexPath}`);
+      return cached;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    if (saved.version !== INDEX_FORMAT_VERSION || saved.model !== model) {
+      console.log(`Ignoring persisted embedding index (version ${saved.version}, model ${saved.model})`);
+      return cached;
+    }
+
+    (saved.entries || []).forEach(entry => cached.set(entry.hash, toUnitVector(entry.vector)));
+    indexStatus.loadedFromDisk = true;
+    indexStatus.savedAt = saved.savedAt || null;
+    console.log(`✅ Loaded ${cached.size} persisted embeddings from ${indexPath}`);
+  } catch (error) {
+    console.error("Error loading persisted embedding index:", error.message);
+  }
+
+  return cached;
+}
 
-    if (productChunks.length === 0) {
-      console.warn("No product chunks to index");
+/**
+ * Writes the current vectors to disk (temp file + rename, so a crash never
+ * leaves a half-written index behind)
+ * @param {string} model - Embedding model name
+ * @param {Array<string>} hashes - Hash of each indexed chunk
+ * @param {Array<Float32Array>} embeddings - Vector of each indexed chunk
+ */
+function savePersistedIndex(model, hashes, embeddings) {
+  const indexPath = getIndexPath();
+
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    const savedAt = new Date().toISOString();
+    const payload = {
+      version: INDEX_FORMAT_VERSION,
+      model,
+      dimensions: embeddings[0]?.length || 0,
+      savedAt,
+      entries: hashes.map((hash, index) => ({ hash, vector: Array.from(embeddings[index]) })),
+    };
+
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(payload));
+    fs.renameSync(tempPath, indexPath);
+    indexStatus.savedAt = savedAt;
+    console.log(`💾 Saved ${hashes.length} embeddings to ${indexPath}`);
+  } catch (error) {
+    console.error("Error saving embedding index:", error.message);
+  }
+}
+
+/**
+ * Indexes the catalog's field records (productsToFieldRecords).
+ * Vectors persisted from earlier runs are reused, so only new or changed
+ * texts are sent to the embedding API.
+ * @param {Array<{productId: string, field: string, text: string, metadata: Object}>} records - Records to index
+ */
+export async function indexProductRecords(records) {
+  try {
+    console.log(`Indexing ${records.length} product records with embeddings...`);
+
+    if (records.length === 0) {
+      console.warn("No product records to index");
       return;
     }
 
-    // Create embeddings for product chunks
-    const embeddings = await createEmbeddings(productChunks);
+    const model = getLLMProvider().embeddingModel;
+    indexStatus.state = 'indexing';
+    indexStatus.model = model;
 
-    if (embeddings.length === productChunks.length) {
-      vectorStore.chunks = productChunks;
-      vectorStore.embeddings = embeddings;
-      vectorStore.lastUpdate = Date.now();
-      console.log(`✅ Indexed ${productChunks.length} product chunks successfully`);
-    } else {
-      console.warn(`Embedding count mismatch: ${embeddings.length} vs ${productChunks.length}`);
-      // Still use what we got
-      if (embeddings.length > 0) {
-        vectorStore.chunks = productChunks.slice(0, embeddings.length);
-        vectorStore.embeddings = embeddings;
-        vectorStore.lastUpdate = Date.now();
-        console.log(`✅ Indexed ${embeddings.length} product chunks (partial)`);
+    if (!persistedVectors || persistedModel !== model) {
+      persistedVectors = loadPersistedIndex(model);
+      persistedModel = model;
+    }
+
+    const hashes = records.map(record => chunkHash(record.text, model));
+
+    // Identical texts share a hash and are embedded once
+    const missing = new Map();
+    hashes.forEach((hash, index) => {
+      if (!persistedVectors.has(hash) && !missing.has(hash)) missing.set(hash, records[index].text);
+    });
+
+    console.log(`Reusing ${records.length - missing.size} embeddings, embedding ${missing.size} new or changed records`);
+
+    let embeddedCount = 0;
+    if (missing.size > 0) {
+      // Vectors come back keyed by text hash, so a failed batch only leaves
+      // its own records unindexed (they are retried on the next reindex)
+      const { vectors, failedIds } = await embedTexts([...missing].map(([hash, text]) => ({ id: hash, text })));
+      vectors.forEach((vector, hash) => persistedVectors.set(hash, toUnitVector(vector)));
+      embeddedCount = vectors.size;
+      if (failedIds.length > 0) {
+        console.warn(`${failedIds.length} product records could not be embedded; they will be retried on the next reindex`);
+      }
+    }
+
+    // Keep only records that have a vector, in catalog order
+    const indexedRecords = [];
+    const indexedVectors = [];
+    const keptVectors = new Map();
+    records.forEach((record, index) => {
+      const vector = persistedVectors.get(hashes[index]);
+      if (vector) {
+        indexedRecords.push(record);
+        indexedVectors.push(vector);
+        keptVectors.set(hashes[index], vector);
       }
+    });
+
+    // Forget vectors for products that are no longer in the catalog
+    const prunedCount = persistedVectors.size - keptVectors.size;
+    persistedVectors = keptVectors;
+
+    if (indexedRecords.length > 0) {
+      vectorStore.products = await buildPart(indexedRecords, indexedVectors);
+      vectorStore.lastUpdate = Date.now();
+    }
+
+    if (embeddedCount > 0 || prunedCount > 0) {
+      savePersistedIndex(model, [...keptVectors.keys()], [...keptVectors.values()]);
     }
+    if (vectorStore.products.index?.quantization === 'int8') {
+      // The index holds its own int8 copy; the float vectors are on disk
+      persistedVectors = null;
+    }
+
+    indexStatus.state = indexedRecords.length === records.length ? 'ready' : (indexedRecords.length > 0 ? 'partial' : 'failed');
+    indexStatus.chunkCount = indexedRecords.length;
+    indexStatus.totalChunks = records.length;
+    indexStatus.productCount = new Set(indexedRecords.map(record => record.productId)).size;
+    indexStatus.reusedCount = Math.max(0, indexedRecords.length - embeddedCount);
+    indexStatus.embeddedCount = embeddedCount;
+    indexStatus.lastUpdate = vectorStore.lastUpdate ? new Date(vectorStore.lastUpdate).toISOString() : null;
+
+    console.log(`✅ Indexed ${indexedRecords.length}/${records.length} product records (${indexStatus.state})`);
   } catch (error) {
-    console.error("Error indexing product chunks:", error.message);
+    indexStatus.state = isIndexReady() ? 'partial' : 'failed';
+    console.error("Error indexing product records:", error.message);
   }
 }
 
+/**
+ * Whether product semantic search has vectors to search
+ * @returns {boolean}
+ */
+export function isIndexReady() {
+  return vectorStore.products.records.length > 0;
+}
+
+function describeIndex(index) {
+  const config = getVectorIndexConfig();
+  if (!index) return { type: config.type, quantization: config.quantization, size: 0 };
+  return {
+    type: index.type,
+    quantization: index.quantization,
+    size: index.size,
+    dimensions: index.dimensions,
+    memoryBytes: index.memoryBytes,
+    ...(index.type === 'hnsw' ? { efSearch: index.efSearch } : {}),
+  };
+}
+
+/**
+ * Reports embedding index freshness (for /health)
+ * @returns {Object} - state, model, counts, and when it was last built/saved
+ */
+export function getIndexStatus() {
+  return {
+    ...indexStatus,
+    indexPath: getIndexPath(),
+    vectorIndex: describeIndex(vectorStore.products.index),
+    ageSeconds: vectorStore.lastUpdate ? Math.round((Date.now() - vectorStore.lastUpdate) / 1000) : null,
+  };
+}
+
 /**
  * Gets relevant content for a query using semantic search
  * @param {string} query - User query
  * @param {number} topK - Number of relevant chunks to retrieve
+ * @param {Object} filters - Metadata filters (see matchesMetadataFilters)
  * @returns {Promise<string>} - Relevant content
  */
-export async function getRelevantContent(query, topK = 10) {
+export async function getRelevantContent(query, topK = 10, filters = {}) {
   try {
-    const relevantChunks = await findRelevantChunks(query, topK);
+    const relevantChunks = await findRelevantChunks(query, topK, filters);
 
     if (relevantChunks.length === 0) {
       return "";
     }
 
     let relevantContent = `\n=== MOST RELEVANT CONTENT FOR: "${query}" ===\n\n`;
-    relevantChunks.forEach((item, index) => {
+    relevantChunks.forEach((item) => {
       relevantContent += `[Relevance Score: ${item.score.toFixed(3)}]\n`;
       relevantContent += `${item.chunk}\n\n`;
     });
@@ -285,7 +570,7 @@ export async function getRelevantContent(query, topK = 10) {
  * @returns {boolean}
  */
 export function needsUpdate() {
-  if (vectorStore.chunks.length === 0) return true;
+  if (vectorStore.products.records.length === 0 && vectorStore.content.records.length === 0) return true;
   const cacheAge = 60 * 60 * 1000; // 1 hour
   return !vectorStore.lastUpdate || (Date.now() - vectorStore.lastUpdate) > cacheAge;
 }
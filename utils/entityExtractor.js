@@ -0,0 +1,299 @@
+import { extractProductSpecs } from "./productSearcher.js";
+
+/**
+ * Entity Extractor - structured requirements from a user message
+ * Pulls out the product family, edition, billing term, licence unit,
+ * quantity, hardware specs and budget, so the catalog can be narrowed before
+ * the prompt is built ("SQL Server Standard for 16 cores, yearly" ->
+ * { family: 'SQL Server', edition: 'Standard', term: 'yearly', licenseUnit: 'core', quantity: 16 }).
+ * Anything not mentioned is null.
+ */
+
+// Families are checked in order, so the more specific names come first;
+// perCore families are licensed per core or CAL, never per seat
+const PRODUCT_FAMILIES = [
+  { family: 'Windows 365', patterns: [/\bwindows\s?365\b/, /\bw365\b/, /\bcloud pcs?\b/], nameTerms: ['windows 365'] },
+  { family: 'Windows Server', patterns: [/\bwindows server\b/], nameTerms: ['windows server'], perCore: true },
+  { family: 'SQL Server', patterns: [/\bsql\b/, /\bmssql\b/], nameTerms: ['sql'], perCore: true },
+  { family: 'Exchange', patterns: [/\bexchange\b/, /\bexo\b/], nameTerms: ['exchange'] },
+  { family: 'Dynamics 365', patterns: [/\bdynamics\b/, /\bd365\b/], nameTerms: ['dynamics 365'] },
+  { family: 'Power BI', patterns: [/\bpower\s?bi\b/], nameTerms: ['power bi'] },
+  { family: 'Power Automate', patterns: [/\bpower automate\b/], nameTerms: ['power automate'] },
+  { family: 'Defender', patterns: [/\bdefender\b/], nameTerms: ['defender'] },
+  { family: 'Intune', patterns: [/\bintune\b/], nameTerms: ['intune'] },
+  { family: 'Entra', patterns: [/\bentra\b/, /\baad\b/, /\bazure ad\b/], nameTerms: ['entra'] },
+  { family: 'Teams', patterns: [/\bteams\b/], nameTerms: ['teams'] },
+  { family: 'Copilot', patterns: [/\bcopilot\b/], nameTerms: ['copilot'] },
+  { family: 'Microsoft 365', patterns: [/\bmicrosoft 365\b/, /\bm365\b/, /\boffice\s?365\b/, /\bo365\b/, /\b365\s+(?:e|f|a)\d\b/], nameTerms: ['microsoft 365', 'office 365'] },
+];
+
+// Edition labels as they appear in product names; longer labels first
+const EDITIONS = [
+  { edition: 'Business Basic', pattern: /\bbusiness basic\b/ },
+  { edition: 'Business Standard', pattern: /\bbusiness standard\b/ },
+  { edition: 'Business Premium', pattern: /\bbusiness premium\b/ },
+  { edition: 'Apps for business', pattern: /\bapps for business\b/ },
+  { edition: 'Apps for enterprise', pattern: /\bapps for enterprise\b/ },
+  { edition: 'E3', pattern: /\be3\b/ },
+  { edition: 'E5', pattern: /\be5\b/ },
+  { edition: 'F1', pattern: /\bf1\b/ },
+  { edition: 'F3', pattern: /\bf3\b/ },
+  { edition: 'A3', pattern: /\ba3\b/ },
+  { edition: 'A5', pattern: /\ba5\b/ },
+  { edition: 'P1', pattern: /\bp1\b/ },
+  { edition: 'P2', pattern: /\bp2\b/ },
+  { edition: 'Plan 1', pattern: /\bplan 1\b/ },
+  { edition: 'Plan 2', pattern: /\bplan 2\b/ },
+  { edition: 'Frontline', pattern: /\bfrontline\b|\bflw\b/ },
+  { edition: 'Datacenter', pattern: /\bdatacenter\b|\bdata center\b/ },
+  { edition: 'Enterprise', pattern: /\benterprise\b/ },
+  { edition: 'Standard', pattern: /\bstandard\b/ },
+  { edition: 'Express', pattern: /\bexpress\b/ },
+  { edition: 'Developer', pattern: /\bdeveloper\b/ },
+  { edition: 'Web', pattern: /\bweb edition\b/ },
+  { edition: 'Business', pattern: /\bbusiness\b/ },
+  { edition: 'Premium', pattern: /\bpremium\b/ },
+  { edition: 'Pro', pattern: /\bpro\b/ },
+];
+
+// Billing terms -> pricing keys used in products_normalized.json
+const TERMS = [
+  { term: 'triennial', pattern: /\b(?:3|three)[\s-]?(?:years?|yrs?)\b|\b36 months\b|\btriennial\b/ },
+  { term: 'yearly', pattern: /\byearly\b|\bannual(?:ly)?\b|\b(?:per|a|1|one)[\s-]?(?:year|yr)\b|\/\s?(?:year|yr)\b|\b12 months\b/ },
+  { term: 'monthly', pattern: /\bmonthly\b|\b(?:per|a)\s?month\b|\/\s?(?:month|mo)\b|\bmonth[\s-]to[\s-]month\b/ },
+  { term: 'oneTime', pattern: /\bperpetual\b|\bone[\s-]?time\b/ },
+];
+
+// namePattern (when set) is what marks the unit in a product name
+const LICENSE_UNITS = [
+  { unit: 'user cal', pattern: /\buser cals?\b/ },
+  { unit: 'device cal', pattern: /\bdevice cals?\b/ },
+  { unit: 'cal', pattern: /\bcals?\b|\bclient access licen[cs]es?\b/ },
+  { unit: 'core', pattern: /\bcores?\b|\bcore[\s-]based\b/ },
+  { unit: 'device', pattern: /\bdevices?\b|\bmachines?\b|\bendpoints?\b/ },
+  {
+    unit: 'user',
+    pattern: /\busers?\b|\bseats?\b|\bper user\b|\bemployees?\b|\bpeople\b|\bstaff\b/,
+    namePattern: /\busers?\b|\bper user\b/,
+  },
+];
+
+// A plain "licenses" with no other unit is a per-user count ("20 E3 licenses"),
+// unless the family is licensed per core ("16 SQL Server Standard licenses")
+const PLAIN_LICENSES = /\blicen[cs]es?\b/;
+
+const QUANTITY_UNITS = 'users?|seats?|licen[cs]es?|employees?|people|staff|members?|devices?|machines?|endpoints?|cores?|cals?';
+
+// "50 users", "for 16 cores", "a team of 12", then up to two words between
+// the number and the unit ("20 E3 licenses", "50 Business Premium seats");
+// a billing term is never one of those words ("3 year licenses")
+const QUANTITY_PATTERNS = [
+  { pattern: new RegExp(`\\b(\\d[\\d,]*)\\s*(?:${QUANTITY_UNITS})\\b`, 'g') },
+  { pattern: /\bteam of\s*(\d[\d,]*)\b/g },
+  { pattern: new RegExp(`\\b(\\d[\\d,]*)\\s+(?:(?!(?:years?|yrs?|months?|mo)\\b)[a-z0-9+.-]+\\s+){1,2}(?:${QUANTITY_UNITS})\\b`, 'g'), loose: true },
+];
+
+// A number right after one of these is a version or product name, not a
+// count ("SQL Server 2022 standard licenses", "Office 365 E1 licences")
+const VERSION_PREFIX = /\b(?:server|office|microsoft|windows|dynamics|exchange|sharepoint|sql|visio|project|365)\s+$/;
+
+// A year is only a count when the unit follows it directly ("2000 users")
+const YEAR = /^(?:19|20)\d\d$/;
+
+// "2 servers with 8 cores each", "3 VMs of 4 cores", "2 servers x 16 cores"
+const SERVER_CORES_PATTERN = /\b(\d+)\s*(?:servers?|vms?|virtual machines?|hosts?|machines?)\s*(?:with|of|x|×|\*|,|each with|having)\s*(\d+)\s*(?:physical\s+)?cores?\b/;
+
+const AMOUNT = /(₹|rs\.?|inr)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|thousand|l|lakhs?|lacs?|cr|crores?)?\b/;
+const AMOUNT_MULTIPLIERS = { k: 1e3, thousand: 1e3, l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7 };
+
+// "budget of ₹50,000", "under 5k per month", "max 1 lakh a year"
+const BUDGET_PATTERN = new RegExp(`(?:budget(?:\\s+(?:is|of))?|under|below|less than|up to|upto|max(?:imum)?|within|not more than)\\s*:?\\s*${AMOUNT.source}(.{0,25})`);
+
+/**
+ * Parses an amount like "50,000", "5k", "1.5 lakh"
+ */
+function parseAmount(number, unit) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  return Math.round(value * (AMOUNT_MULTIPLIERS[(unit || '').toLowerCase()] || 1));
+}
+
+/**
+ * Budget and the period it covers ("₹50,000 per month" -> { amount: 50000, period: 'monthly' })
+ */
+function extractBudget(text) {
+  const match = text.match(BUDGET_PATTERN);
+  if (!match) return null;
+
+  const [, currency, number, unit, after] = match;
+  // A bare small number after "under" is more likely a quantity ("under 50 users")
+  if (!currency && !unit && !/budget/.test(match[0]) && parseFloat(number.replace(/,/g, '')) < 1000) return null;
+  if (/^\s*(?:users?|seats?|people|employees?|devices?|cores?|gb|tb)\b/.test(after)) return null;
+
+  const amount = parseAmount(number, unit);
+  if (!amount) return null;
+
+  const periodTerm = TERMS.find(({ term, pattern }) => term !== 'triennial' && term !== 'oneTime' && pattern.test(after));
+  return { amount, period: periodTerm ? periodTerm.term : null };
+}
+
+/**
+ * Extracts structured requirements from a user message
+ * @param {string} message - User message
+ * @returns {Object} - { family, edition, term, licenseUnit ('core', 'user', 'device', 'cal', 'user cal', 'device cal'), quantity,
+ *   servers: { count, coresPerServer } | null (quantity is then the total core count), specs: { vcpu, ram, storage, gpu, cores },
+ *   budget: { amount, period } | null }
+ */
+export function extractEntities(message = '') {
+  const text = (message || '').toLowerCase();
+
+  const family = PRODUCT_FAMILIES.find(({ patterns }) => patterns.some(pattern => pattern.test(text)));
+  const edition = EDITIONS.find(({ pattern }) => pattern.test(text));
+  const term = TERMS.find(({ pattern }) => pattern.test(text));
+  const licenseUnit = LICENSE_UNITS.find(({ pattern }) => pattern.test(text)) ||
+    (PLAIN_LICENSES.test(text) && !family?.perCore ? LICENSE_UNITS.find(({ unit }) => unit === 'user') : null);
+
+  let quantity = null;
+  let servers = null;
+  const serverCores = text.match(SERVER_CORES_PATTERN);
+  if (serverCores) {
+    servers = { count: parseInt(serverCores[1], 10), coresPerServer: parseInt(serverCores[2], 10) };
+    quantity = servers.count * servers.coresPerServer || null;
+  }
+  for (const { pattern, loose } of quantity ? [] : QUANTITY_PATTERNS) {
+    const match = [...text.matchAll(pattern)].find(candidate => {
+      const number = candidate[1].replace(/,/g, '');
+      const start = candidate.index + candidate[0].indexOf(candidate[1]);
+      return !VERSION_PREFIX.test(text.substring(0, start)) && !(loose && YEAR.test(number));
+    });
+    if (match) {
+      quantity = parseInt(match[1].replace(/,/g, ''), 10) || null;
+      break;
+    }
+  }
+
+  // Spec parsing is shared with product names; in a message "16 cores" is a
+  // licence quantity, not a vCPU count
+  const specs = extractProductSpecs(text);
+  if (!/v?cpu/.test(text)) specs.vcpu = null;
+
+  return {
+    family: family ? family.family : null,
+    edition: edition ? edition.edition : null,
+    term: term ? term.term : null,
+    licenseUnit: licenseUnit ? licenseUnit.unit : null,
+    quantity,
+    servers,
+    specs,
+    budget: extractBudget(text),
+  };
+}
+
+/**
+ * Whether anything beyond defaults was extracted
+ * @param {Object} entities - From extractEntities
+ * @returns {boolean}
+ */
+export function hasEntities(entities) {
+  if (!entities) return false;
+  const { specs = {} } = entities;
+  return Boolean(entities.family || entities.edition || entities.term || entities.licenseUnit ||
+    entities.quantity || entities.budget || specs.vcpu || specs.ram || specs.storage || specs.gpu);
+}
+
+/**
+ * Price of a product for a billing term, falling back to its default price
+ */
+function priceForTerm(product, term) {
+  const pricing = product.pricing || {};
+  if (term && pricing[term] > 0) return pricing[term];
+  return product.price || 0;
+}
+
+/**
+ * Narrows the catalog to products matching the extracted entities. Each
+ * filter is applied only if it leaves at least one product, so an entity the
+ * catalog can't satisfy ("Enterprise" for a family with no such edition)
+ * doesn't empty the result.
+ * @param {Array} products - Products from productLoader
+ * @param {Object} entities - From extractEntities
+ * @returns {{products: Array, applied: Array<string>}} - Matching products and the filters that were applied
+ */
+export function filterProductsByEntities(products = [], entities = {}) {
+  const applied = [];
+  let candidates = products;
+
+  const narrow = (name, predicate) => {
+    const matching = candidates.filter(predicate);
+    if (matching.length === 0) return;
+    candidates = matching;
+    applied.push(name);
+  };
+
+  // Without a family the rest of the filters would still leave most of the catalog
+  const family = PRODUCT_FAMILIES.find(entry => entry.family === entities.family);
+  if (!family) return { products: [], applied };
+  narrow('family', product => family.nameTerms.some(term => (product.name || '').toLowerCase().includes(term)));
+  if (!applied.includes('family')) return { products: [], applied };
+
+  if (entities.edition) {
+    const edition = EDITIONS.find(entry => entry.edition === entities.edition);
+    narrow('edition', product => edition.pattern.test((product.name || '').toLowerCase()));
+  }
+
+  if (entities.licenseUnit) {
+    const unit = LICENSE_UNITS.find(entry => entry.unit === entities.licenseUnit);
+    narrow('licenseUnit', product => (unit.namePattern || unit.pattern).test((product.name || '').toLowerCase()));
+  }
+
+  const { specs = {} } = entities;
+  ['vcpu', 'ram', 'storage'].forEach(spec => {
+    if (specs[spec]) narrow(spec, product => extractProductSpecs(product.name || '')[spec] === specs[spec]);
+  });
+  if (specs.gpu) narrow('gpu', product => extractProductSpecs(product.name || '').gpu);
+
+  // Multi-year packs name their term ("... - 3 Year"); other products are priced per cycle
+  if (entities.term) {
+    narrow('term', product => {
+      const namedTerm = TERMS.find(({ pattern }) => pattern.test((product.name || '').toLowerCase()));
+      return namedTerm ? namedTerm.term === entities.term : (product.pricing || {})[entities.term] > 0;
+    });
+  }
+
+  if (entities.budget) {
+    const { amount, period } = entities.budget;
+    const units = entities.licenseUnit === 'core' ? 1 : (entities.quantity || 1);
+    narrow('budget', product => {
+      const price = priceForTerm(product, period || entities.term);
+      return price > 0 && price * units <= amount;
+    });
+  }
+
+  return { products: candidates, applied };
+}
+
+/**
+ * One-line summary of extracted entities for the system prompt
+ * @param {Object} entities - From extractEntities
+ * @returns {string} - Summary (empty if nothing was extracted)
+ */
+export function describeEntities(entities) {
+  if (!hasEntities(entities)) return "";
+
+  const { specs = {} } = entities;
+  const parts = [];
+  if (entities.family) parts.push(`product family ${entities.family}`);
+  if (entities.edition) parts.push(`edition ${entities.edition}`);
+  if (entities.term) parts.push(`billing term ${entities.term}`);
+  if (entities.licenseUnit) parts.push(`licensed per ${entities.licenseUnit}`);
+  if (entities.servers) parts.push(`${entities.servers.count} servers × ${entities.servers.coresPerServer} cores`);
+  if (entities.quantity) parts.push(`quantity ${entities.quantity}`);
+  if (specs.vcpu) parts.push(`${specs.vcpu} vCPU`);
+  if (specs.ram) parts.push(`${specs.ram} GB RAM`);
+  if (specs.storage) parts.push(`${specs.storage} GB storage`);
+  if (specs.gpu) parts.push('GPU');
+  if (entities.budget) {
+    parts.push(`budget up to ₹${entities.budget.amount.toLocaleString('en-IN')}${entities.budget.period ? ` ${entities.budget.period}` : ''}`);
+  }
+  return parts.join('; ');
+}
@@ -0,0 +1,362 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { makeRequest } from './httpClient.js';
+import { retrieveProducts } from './hybridRetriever.js';
+import { getSpellingVocabulary, correctSpelling } from './spellCorrector.js';
+import { validateAgainstSchema, formatSchemaError } from './catalogSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Evaluation Harness - scores the bot against the golden set in
+ * eval/golden_set.json and compares the scores with eval/baseline.json
+ *
+ *   retrieval  in-process: the corrected message goes through hybrid retrieval
+ *              (what search_products runs); recall@k and MRR of the expected products
+ *   answers    over HTTP against a running server, so its LLM_PROVIDER (mock or
+ *              a real model) is what gets scored: expected products among the
+ *              product cards, categories, catalog prices in the text, stage,
+ *              intent route and whether every product link is in the catalog
+ *
+ * Every metric is on a 0-1 scale, higher is better. A metric that drops more
+ * than the tolerance below its baseline value is a regression.
+ */
+
+export const GOLDEN_SET_PATH = path.join(__dirname, '..', 'eval', 'golden_set.json');
+export const BASELINE_PATH = path.join(__dirname, '..', 'eval', 'baseline.json');
+
+export const RECALL_KS = [1, 5, 10];
+export const DEFAULT_TOLERANCE = 0.02;
+
+const CHAT_TIMEOUT_MS = 180000;
+
+const TERMS = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const GOLDEN_CASE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'message', 'expect'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    message: { type: 'string', minLength: 1 },
+    history: TERMS,
+    expect: {
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        products: TERMS,
+        categories: TERMS,
+        prices: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['product'],
+            properties: {
+              product: { type: 'string', minLength: 1 },
+              cycle: { type: 'string', enum: ['monthly', 'yearly', 'triennial', 'oneTime'] },
+            },
+            additionalProperties: false,
+          },
+        },
+        stage: { type: 'string', enum: ['Discovery', 'Narrowing', 'Recommendation', 'Conversion'] },
+        route: { type: 'string', enum: ['catalog', 'greeting', 'support', 'off_topic', 'restart'] },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+export const GOLDEN_SET_SCHEMA = {
+  type: 'object',
+  required: ['version', 'cases'],
+  properties: {
+    version: { type: 'number', minimum: 1 },
+    description: { type: 'string' },
+    cases: { type: 'array', minItems: 1, items: GOLDEN_CASE_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+const PRODUCT_URL = /https:\/\/shop\.skysecure\.ai\/products\/[^\s"')\]]+/gi;
+const PRODUCT_ID_SUFFIX = /--([a-f0-9]{24})\/?$/i;
+const RUPEE_AMOUNT = /₹\s?(\d[\d,]*(?:\.\d+)?)/g;
+
+function mean(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1000) / 1000 : null;
+}
+
+/**
+ * Loads and validates the golden set, and resolves expected product names
+ * against the catalog. A name that is not in the catalog is an error: the
+ * golden set has gone stale.
+ * @param {Array} products - Products from productLoader
+ * @param {string} filePath - Golden set file
+ * @returns {Object} - { version, cases (with expect.productIds), errors }
+ */
+export function loadGoldenSet(products, filePath = GOLDEN_SET_PATH) {
+  const goldenSet = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const errors = validateAgainstSchema(goldenSet, GOLDEN_SET_SCHEMA).map(formatSchemaError);
+  if (errors.length > 0) return { version: goldenSet.version, cases: [], errors };
+
+  const byName = new Map(products.map(product => [product.name.toLowerCase(), product]));
+  const resolve = (name, casePath) => {
+    const product = byName.get(name.toLowerCase());
+    if (!product) errors.push(`${casePath}: "${name}" is not in the catalog`);
+    return product;
+  };
+
+  const seenIds = new Set();
+  const cases = goldenSet.cases.map((goldenCase, index) => {
+    const casePath = `$.cases[${index}] (${goldenCase.id})`;
+    if (seenIds.has(goldenCase.id)) errors.push(`${casePath}: duplicate id`);
+    seenIds.add(goldenCase.id);
+
+    const expect = goldenCase.expect;
+    return {
+      ...goldenCase,
+      history: goldenCase.history || [],
+      expect: {
+        ...expect,
+        productIds: (expect.products || []).map(name => resolve(name, `${casePath}.expect.products`)?.id).filter(Boolean),
+        prices: (expect.prices || []).map(price => ({ ...price, catalogProduct: resolve(price.product, `${casePath}.expect.prices`) }))
+          .filter(price => price.catalogProduct),
+      },
+    };
+  });
+
+  return { version: goldenSet.version, cases, errors };
+}
+
+/**
+ * Scores retrieval for every case that expects products
+ * @param {Array} cases - From loadGoldenSet
+ * @param {Array} products - Products from productLoader
+ * @returns {Promise<Object>} - { metrics: { 'recall@k', mrr }, cases: [{ id, query, 'recall@k', firstRank }] }
+ */
+export async function evaluateRetrieval(cases, products) {
+  const vocabulary = getSpellingVocabulary(products);
+  const topK = Math.max(...RECALL_KS);
+  const results = [];
+
+  for (const goldenCase of cases) {
+    const expectedIds = goldenCase.expect.productIds;
+    if (expectedIds.length === 0) continue;
+
+    const query = correctSpelling(goldenCase.message, vocabulary).corrected;
+    const retrieved = (await retrieveProducts(query, products, { topK })).map(result => result.product.id);
+    const ranks = expectedIds.map(id => retrieved.indexOf(id) + 1).filter(rank => rank > 0);
+
+    const recall = {};
+    RECALL_KS.forEach(k => {
+      recall[`recall@${k}`] = ranks.filter(rank => rank <= k).length / expectedIds.length;
+    });
+    results.push({ id: goldenCase.id, query, ...recall, firstRank: ranks.length > 0 ? Math.min(...ranks) : null });
+  }
+
+  const metrics = {};
+  RECALL_KS.forEach(k => {
+    metrics[`recall@${k}`] = mean(results.map(result => result[`recall@${k}`]));
+  });
+  metrics.mrr = mean(results.map(result => (result.firstRank ? 1 / result.firstRank : 0)));
+
+  return { metrics, cases: results };
+}
+
+/**
+ * Product links in an answer that don't resolve to a catalog product
+ */
+function findInvalidLinks(answer, products) {
+  const ids = new Set(products.map(product => String(product.id).toLowerCase()));
+  const urls = new Set(products.filter(product => product.url).map(product => product.url.toLowerCase()));
+
+  return (answer.match(PRODUCT_URL) || []).filter(url => {
+    const idMatch = url.match(PRODUCT_ID_SUFFIX);
+    return !(idMatch && ids.has(idMatch[1].toLowerCase())) && !urls.has(url.toLowerCase());
+  });
+}
+
+/**
+ * Whether an answer quotes one of a product's catalog prices (within display rounding)
+ */
+function mentionsPrice(answer, product, cycle) {
+  const pricing = product.pricing || {};
+  const expected = cycle ? [pricing[cycle]] : Object.values(pricing);
+  const amounts = [...answer.matchAll(RUPEE_AMOUNT)].map(match => parseFloat(match[1].replace(/,/g, '')));
+
+  return expected.filter(price => price > 0).some(price =>
+    amounts.some(amount => Math.abs(amount - price) <= Math.max(1, price * 0.005))
+  );
+}
+
+/**
+ * Scores one /api/chat response against a case's expectations. Checks the
+ * case doesn't ask for are null; link validity is checked for every answer.
+ * @param {Object} goldenCase - From loadGoldenSet
+ * @param {Object} response - /api/chat JSON body
+ * @param {Array} products - Products from productLoader
+ * @returns {Object} - { id, passed, checks: { productRecall, category, price, stage, route, links }, invalidLinks }
+ */
+export function scoreAnswer(goldenCase, response, products) {
+  const { expect } = goldenCase;
+  const answer = response.message || '';
+  const cards = response.products || [];
+  const cardIds = new Set(cards.map(card => card.id));
+
+  const checks = { productRecall: null, category: null, price: null, stage: null, route: null, links: null };
+
+  if (expect.productIds.length > 0) {
+    checks.productRecall = expect.productIds.filter(id => cardIds.has(id)).length / expect.productIds.length;
+  }
+  if (expect.categories) {
+    const mentioned = new Set(cards.map(card => (card.category || '').toLowerCase()));
+    const lowerAnswer = answer.toLowerCase();
+    checks.category = expect.categories.some(category =>
+      mentioned.has(category.toLowerCase()) || lowerAnswer.includes(category.toLowerCase())
+    ) ? 1 : 0;
+  }
+  if (expect.prices.length > 0) {
+    checks.price = expect.prices.filter(price => mentionsPrice(answer, price.catalogProduct, price.cycle)).length / expect.prices.length;
+  }
+  if (expect.stage) checks.stage = response.conversationStage === expect.stage ? 1 : 0;
+  if (expect.route) checks.route = response.intent?.route === expect.route ? 1 : 0;
+
+  const invalidLinks = findInvalidLinks(answer, products);
+  checks.links = invalidLinks.length === 0 ? 1 : 0;
+
+  const passed = Object.values(checks).every(value => value === null || value === 1);
+  return { id: goldenCase.id, passed, checks, invalidLinks };
+}
+
+/**
+ * Checks for a case whose request failed: 0 on everything it expected
+ */
+function failedChecks({ expect }) {
+  return {
+    productRecall: expect.productIds.length > 0 ? 0 : null,
+    category: expect.categories ? 0 : null,
+    price: expect.prices.length > 0 ? 0 : null,
+    stage: expect.stage ? 0 : null,
+    route: expect.route ? 0 : null,
+    links: 0,
+  };
+}
+
+/**
+ * Posts a JSON body to the chat server
+ */
+async function postJson(url, body) {
+  const response = await makeRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    timeout: CHAT_TIMEOUT_MS,
+  }, 1);
+  const data = await response.json();
+  if (!response.ok || data.success === false) {
+    throw new Error(`${url} returned ${response.status}: ${data.message || data.error || 'request failed'}`);
+  }
+  return data;
+}
+
+/**
+ * Runs every case through a running chat server (one session per case;
+ * history messages are sent first, unscored) and scores the answers
+ * @param {Array} cases - From loadGoldenSet
+ * @param {Array} products - Products from productLoader
+ * @param {Object} options - { apiUrl: server base URL }
+ * @returns {Promise<Object>} - { metrics, cases: [scoreAnswer results, or { id, error }] }
+ */
+export async function evaluateAnswers(cases, products, { apiUrl }) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const results = [];
+
+  for (const goldenCase of cases) {
+    try {
+      const { sessionId } = await postJson(`${baseUrl}/api/sessions`, {});
+      for (const earlierMessage of goldenCase.history) {
+        await postJson(`${baseUrl}/api/chat`, { sessionId, message: earlierMessage });
+      }
+      const response = await postJson(`${baseUrl}/api/chat`, { sessionId, message: goldenCase.message });
+      results.push(scoreAnswer(goldenCase, response, products));
+    } catch (error) {
+      console.error(`❌ ${goldenCase.id}: ${error.message}`);
+      results.push({ id: goldenCase.id, passed: false, checks: failedChecks(goldenCase), error: error.message });
+    }
+  }
+
+  const checkValues = check => results.map(result => result.checks[check]).filter(value => value !== null);
+
+  const metrics = {
+    passRate: mean(results.map(result => (result.passed ? 1 : 0))),
+    productRecall: mean(checkValues('productRecall')),
+    categoryAccuracy: mean(checkValues('category')),
+    priceAccuracy: mean(checkValues('price')),
+    stageAccuracy: mean(checkValues('stage')),
+    routeAccuracy: mean(checkValues('route')),
+    linkValidity: mean(checkValues('links')),
+  };
+
+  return { metrics, cases: results };
+}
+
+/**
+ * Reads eval/baseline.json ({ goldenSetVersion, providers: { name: { retrieval, answers } } })
+ * @returns {Object|null}
+ */
+export function loadBaseline(filePath = BASELINE_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Could not read eval baseline (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Records the scores for a provider as the new baseline (other providers are kept)
+ * @param {string} providerName - LLM provider the scores were measured with
+ * @param {number} goldenSetVersion - Golden set the scores belong to
+ * @param {Object} scores - { retrieval, answers } metric objects
+ */
+export function saveBaseline(providerName, goldenSetVersion, scores, filePath = BASELINE_PATH) {
+  const existing = loadBaseline(filePath);
+  const baseline = existing && existing.goldenSetVersion === goldenSetVersion
+    ? existing
+    : { goldenSetVersion, providers: {} };
+
+  baseline.providers[providerName] = {
+    ...baseline.providers[providerName],
+    ...Object.fromEntries(Object.entries(scores).filter(([, metrics]) => metrics)),
+    recordedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Metrics that dropped more than the tolerance below the baseline
+ * @param {Object} scores - { retrieval, answers } metric objects (either may be null)
+ * @param {Object} providerBaseline - baseline.providers[providerName]
+ * @param {number} tolerance - Allowed drop on the 0-1 scale
+ * @returns {Array<{metric: string, baseline: number, current: number}>}
+ */
+export function findRegressions(scores, providerBaseline, tolerance = DEFAULT_TOLERANCE) {
+  const regressions = [];
+
+  ['retrieval', 'answers'].forEach(section => {
+    const current = scores[section];
+    const previous = providerBaseline?.[section];
+    if (!current || !previous) return;
+
+    Object.entries(previous).forEach(([metric, baselineValue]) => {
+      const value = current[metric];
+      if (baselineValue === null || value === null || value === undefined) return;
+      if (value < baselineValue - tolerance) {
+        regressions.push({ metric: `${section}.${metric}`, baseline: baselineValue, current: value });
+      }
+    });
+  });
+
+  return regressions;
+}
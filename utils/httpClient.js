@@ -1,88 +1,424 @@
 import https from 'https';
 import http from 'http';
+import zlib from 'zlib';
+import { Readable } from 'stream';
 import { URL } from 'url';
+import { getFixtureMode, replayRequest, recordResponse, recordStreamingResponse } from './httpFixtures.js';
 
 /**
- * Simple HTTP client using Node's built-in modules
- * Includes retry logic for ECONNRESET and transient errors
+ * HTTP client on Node's built-in modules
+ *   - keep-alive agents, so calls to the same host reuse sockets
+ *   - retries network errors, 429 and 5xx with jittered exponential backoff;
+ *     a Retry-After (or Azure's retry-after-ms) header sets the wait instead
+ *   - per-host circuit breaker: after repeated failures a host is skipped for
+ *     a cooldown and calls fail fast with code CIRCUIT_OPEN
+ *   - options.signal (AbortSignal) cancels the call, backoff waits included
+ *   - gzip, deflate and br response bodies are decoded
+ *   - per-call metrics, aggregated per host (getHttpMetrics)
+ * HTTP_FIXTURES=record|replay records or replays responses (see httpFixtures.js)
+ *
+ * Options: { method, headers, body (string, object, Buffer or Readable), timeout, signal }
+ * A response that is still 429/5xx after the last retry is returned, not thrown;
+ * it carries `retryAfterMs` so callers can pass the wait on.
  */
-export async function makeRequest(url, options = {}, retries = 3) {
-  let lastError;
 
-  for (let i = 0; i < retries; i++) {
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+// A server asking for a longer wait than this gets its response back instead
+const MAX_RETRY_AFTER_MS = 20000;
+
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+
+const RECENT_CALLS = 50;
+
+const agents = {
+  'http:': new http.Agent({ keepAlive: true, maxSockets: 50, maxFreeSockets: 10, scheduling: 'lifo' }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: 50, maxFreeSockets: 10, scheduling: 'lifo' }),
+};
+
+// host -> { state: 'closed'|'open'|'half_open', failures, openedAt, trialInFlight }
+const circuits = new Map();
+// host -> aggregated counters
+const hostMetrics = new Map();
+const recentCalls = [];
+
+/**
+ * Wait a response asks for before retrying, from retry-after-ms or
+ * Retry-After (seconds or an HTTP date)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Milliseconds, or null without a usable header
+ */
+export function getRetryAfterMs(headers = {}) {
+  const milliseconds = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) return Math.ceil(milliseconds);
+
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds * 1000);
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function abortError(signal) {
+  return Object.assign(new Error('Request aborted', { cause: signal?.reason }), { name: 'AbortError', code: 'ABORT_ERR' });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Throws CIRCUIT_OPEN while a host is cooling down; after the cooldown one
+ * trial call is let through (half-open)
+ */
+function checkCircuit(host) {
+  const circuit = circuits.get(host);
+  if (!circuit || circuit.state === 'closed') return;
+
+  const remaining = circuit.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+  if (circuit.state === 'open' && remaining <= 0) {
+    circuit.state = 'half_open';
+    circuit.trialInFlight = false;
+  }
+  if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return;
+  }
+
+  getHostMetrics(host).circuitRejected++;
+  throw Object.assign(new Error(`Circuit open for ${host} after ${circuit.failures} consecutive failures`), {
+    code: 'CIRCUIT_OPEN',
+    host,
+    retryAfterMs: Math.max(remaining, 1000),
+  });
+}
+
+function recordCircuitOutcome(host, failed) {
+  const circuit = circuits.get(host) || { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+  circuits.set(host, circuit);
+
+  if (!failed) {
+    if (circuit.state !== 'closed') console.log(`✅ Circuit for ${host} closed again`);
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.state === 'half_open' || circuit.failures >= BREAKER_THRESHOLD) {
+    if (circuit.state !== 'open') console.warn(`⚠️ Circuit for ${host} opened (${circuit.failures} consecutive failures); skipping it for ${BREAKER_COOLDOWN_MS / 1000}s`);
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.trialInFlight = false;
+  }
+}
+
+/**
+ * Lets the next call try a half-open host again when the trial never finished
+ */
+function releaseTrial(host) {
+  const circuit = circuits.get(host);
+  if (circuit?.state === 'half_open') circuit.trialInFlight = false;
+}
+
+function getHostMetrics(host) {
+  if (!hostMetrics.has(host)) {
+    hostMetrics.set(host, {
+      requests: 0,
+      failed: 0,
+      retries: 0,
+      throttled: 0,
+      aborted: 0,
+      circuitRejected: 0,
+      totalDurationMs: 0,
+      maxDurationMs: 0,
+      statuses: {},
+    });
+  }
+  return hostMetrics.get(host);
+}
+
+/**
+ * Adds one finished call (all attempts) to the metrics
+ */
+function recordCall({ method, urlObj, status, attempts, throttled, startedAt, error }) {
+  const durationMs = Date.now() - startedAt;
+  const metrics = getHostMetrics(urlObj.host);
+  metrics.requests++;
+  metrics.retries += attempts - 1;
+  metrics.throttled += throttled;
+  metrics.totalDurationMs += durationMs;
+  metrics.maxDurationMs = Math.max(metrics.maxDurationMs, durationMs);
+  if (status) metrics.statuses[status] = (metrics.statuses[status] || 0) + 1;
+  if (error?.code === 'ABORT_ERR') metrics.aborted++;
+  else if (error || status >= 500) metrics.failed++;
+
+  recentCalls.push({
+    method,
+    host: urlObj.host,
+    path: urlObj.pathname,
+    status: status || null,
+    attempts,
+    durationMs,
+    error: error ? (error.code || error.message) : null,
+    at: new Date(startedAt).toISOString(),
+  });
+  if (recentCalls.length > RECENT_CALLS) recentCalls.shift();
+
+  return { attempts, retries: attempts - 1, durationMs };
+}
+
+/**
+ * Per-host call counters, circuit states and the last calls
+ * @returns {Object} - { hosts: { host: { requests, failed, retries, throttled, aborted, circuitRejected, avgDurationMs, maxDurationMs, statuses, circuit } }, recentCalls }
+ */
+export function getHttpMetrics() {
+  const hosts = {};
+  for (const [host, metrics] of hostMetrics) {
+    const circuit = circuits.get(host);
+    const { totalDurationMs, ...counters } = metrics;
+    hosts[host] = {
+      ...counters,
+      statuses: { ...metrics.statuses },
+      avgDurationMs: metrics.requests > 0 ? Math.round(totalDurationMs / metrics.requests) : 0,
+      circuit: circuit ? { state: circuit.state, failures: circuit.failures } : { state: 'closed', failures: 0 },
+    };
+  }
+  return { hosts, recentCalls: [...recentCalls] };
+}
+
+/**
+ * Clears metrics and closes every circuit
+ */
+export function resetHttpState() {
+  circuits.clear();
+  hostMetrics.clear();
+  recentCalls.length = 0;
+}
+
+/**
+ * Body stream with Content-Encoding undone, and headers to match
+ */
+function decodeBody(res) {
+  const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+  const flush = { flush: zlib.constants.Z_SYNC_FLUSH, finishFlush: zlib.constants.Z_SYNC_FLUSH };
+  const decoder = encoding === 'gzip' || encoding === 'x-gzip' ? zlib.createGunzip(flush)
+    : encoding === 'deflate' ? zlib.createInflate(flush)
+      : encoding === 'br' ? zlib.createBrotliDecompress()
+        : null;
+  if (!decoder) return { stream: res, headers: res.headers };
+
+  const { 'content-encoding': _encoding, 'content-length': _length, ...headers } = res.headers;
+  res.on('error', error => decoder.destroy(error));
+  return { stream: res.pipe(decoder), headers };
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers || {}).some(key => key.toLowerCase() === name);
+}
+
+/**
+ * Sends one attempt and resolves when the response headers arrive
+ * @returns {Promise<{req, res, stream, headers}>} - stream is the decoded body
+ */
+function sendOnce(urlObj, options, body) {
+  return new Promise((resolve, reject) => {
+    const { signal } = options;
+    if (signal?.aborted) return reject(abortError(signal));
+
+    const isHttps = urlObj.protocol === 'https:';
+    const client = isHttps ? https : http;
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+      ...(hasHeader(options.headers, 'accept-encoding') ? {} : { 'Accept-Encoding': 'gzip, deflate, br' }),
+      ...(Buffer.isBuffer(body) && !hasHeader(options.headers, 'content-length') ? { 'Content-Length': body.length } : {}),
+      ...options.headers,
+    };
+
+    const req = client.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers,
+      agent: agents[urlObj.protocol],
+      timeout: options.timeout || 30000,
+    }, (res) => {
+      const { stream, headers: responseHeaders } = decodeBody(res);
+      resolve({ req, res, stream, headers: responseHeaders });
+    });
+
+    const onAbort = () => req.destroy(abortError(signal));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    req.on('close', () => signal?.removeEventListener('abort', onAbort));
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(Object.assign(new Error('Request timeout'), { code: 'ETIMEDOUT' }));
+    });
+
+    if (body instanceof Readable) {
+      body.on('error', error => req.destroy(error));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+async function readBody(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function requestBody(body) {
+  if (body === undefined || body === null || body === '') return undefined;
+  if (body instanceof Readable || Buffer.isBuffer(body)) return body;
+  return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Runs the attempts for one call: retries, breaker and metrics shared by the
+ * buffered and streaming variants
+ * @param {Function} finish - (attempt result, retryAfterMs) -> response; runs on the attempt that is returned
+ */
+async function requestWithRetries(url, options, retries, label, finish) {
+  const urlObj = new URL(url);
+  const method = options.method || 'GET';
+  const body = requestBody(options.body);
+  // A streamed request body can only be sent once
+  const maxAttempts = body instanceof Readable ? 1 : Math.max(1, retries);
+  const startedAt = Date.now();
+  let throttled = 0;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const isLastAttempt = attempt === maxAttempts - 1;
+    let status = null;
+
     try {
-      return await new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const isHttps = urlObj.protocol === 'https:';
-        const client = isHttps ? https : http;
-
-        const requestTimeout = options.timeout || 30000;
-
-        const requestOptions = {
-          hostname: urlObj.hostname,
-          port: urlObj.port || (isHttps ? 443 : 80),
-          path: urlObj.pathname + urlObj.search,
-          method: options.method || 'GET',
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-            'Connection': 'close', // Explicitly close to avoid ECONNRESET from pool cleanup
-            ...options.headers,
-          },
-          timeout: requestTimeout,
-        };
-
-        const req = client.request(requestOptions, (res) => {
-          let data = '';
-          res.on('data', (chunk) => { data += chunk; });
-          res.on('end', () => {
-            const response = {
-              status: res.statusCode,
-              statusText: res.statusMessage,
-              ok: res.statusCode >= 200 && res.statusCode < 300,
-              headers: res.headers,
-              text: () => Promise.resolve(data),
-              json: () => {
-                try {
-                  return Promise.resolve(JSON.parse(data));
-                } catch (e) {
-                  return Promise.reject(new Error(`Invalid JSON response: ${data.substring(0, 100)}...`));
-                }
-              },
-            };
-            resolve(response);
-          });
-        });
-
-        req.on('error', (error) => {
-          reject(error);
-        });
-
-        req.on('timeout', () => {
-          req.destroy();
-          reject(new Error('Request timeout'));
-        });
-
-        if (options.body) {
-          req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
-        }
+      checkCircuit(urlObj.host);
+      const result = await sendOnce(urlObj, options, body);
+      status = result.res.statusCode;
+      recordCircuitOutcome(urlObj.host, status >= 500);
+      if (status === 429) throttled++;
 
-        req.end();
-      });
-    } catch (error) {
-      lastError = error;
-      const shouldRetry = error.code === 'ECONNRESET' ||
-        error.code === 'ETIMEDOUT' ||
-        error.message === 'Request timeout';
-
-      if (shouldRetry && i < retries - 1) {
-        const delay = Math.pow(2, i) * 1000;
-        console.warn(`⚠️ Request failed (${error.code || error.message}). Retrying in ${delay}ms... (Attempt ${i + 1}/${retries})`);
-        await new Promise(r => setTimeout(r, delay));
+      const retryAfterMs = getRetryAfterMs(result.headers);
+      const waitTooLong = retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS;
+      if (RETRYABLE_STATUSES.has(status) && !isLastAttempt && !waitTooLong) {
+        result.res.resume();
+        const delay = retryAfterMs ?? backoffDelay(attempt);
+        console.warn(`⚠️ ${label} got ${status} from ${urlObj.host}. Retrying in ${delay}ms... (Attempt ${attempt + 1}/${maxAttempts})`);
+        await sleep(delay, options.signal);
         continue;
       }
+
+      const response = await finish(result, retryAfterMs);
+      response.metrics = recordCall({ method, urlObj, status, attempts: attempt + 1, throttled, startedAt });
+      return response;
+    } catch (error) {
+      const aborted = error.code === 'ABORT_ERR' || Boolean(options.signal?.aborted);
+      if (aborted) releaseTrial(urlObj.host);
+      else if (error.code !== 'CIRCUIT_OPEN' && status === null) recordCircuitOutcome(urlObj.host, true);
+
+      const shouldRetry = !aborted && !isLastAttempt && (RETRYABLE_ERRORS.has(error.code) || error.message === 'Request timeout');
+      if (shouldRetry) {
+        const delay = backoffDelay(attempt);
+        console.warn(`⚠️ ${label} failed (${error.code || error.message}). Retrying in ${delay}ms... (Attempt ${attempt + 1}/${maxAttempts})`);
+        try {
+          await sleep(delay, options.signal);
+          continue;
+        } catch (abortedWhileWaiting) {
+          error = abortedWhileWaiting;
+        }
+      }
+      recordCall({ method, urlObj, status, attempts: attempt + 1, throttled, startedAt, error });
       throw error;
     }
   }
 }
 
+/**
+ * Sends a request and buffers the (decoded) body
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, headers, body, timeout, signal }
+ * @param {number} retries - Maximum attempts
+ * @returns {Promise<{status, statusText, ok, headers, retryAfterMs, metrics, text, json}>}
+ */
+export async function makeRequest(url, options = {}, retries = 3) {
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === 'replay') return replayRequest(url, options);
+
+  return requestWithRetries(url, options, retries, 'Request', async ({ res, stream, headers }, retryAfterMs) => {
+    const data = await readBody(stream);
+    if (fixtureMode === 'record') {
+      recordResponse(url, options, { status: res.statusCode, statusText: res.statusMessage, headers, body: data });
+    }
+    return {
+      status: res.statusCode,
+      statusText: res.statusMessage,
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      headers,
+      retryAfterMs,
+      text: () => Promise.resolve(data),
+      json: () => {
+        try {
+          return Promise.resolve(JSON.parse(data));
+        } catch (e) {
+          return Promise.reject(new Error(`Invalid JSON response: ${data.substring(0, 100)}...`));
+        }
+      },
+    };
+  });
+}
+
+/**
+ * Streaming variant of makeRequest: resolves as soon as response headers
+ * arrive and hands back the decoded body stream (utf8 strings) instead of
+ * buffering it. Retries only cover failures before the response starts.
+ * @returns {Promise<{status, statusText, ok, headers, retryAfterMs, metrics, body, text, abort}>}
+ */
+export async function makeStreamingRequest(url, options = {}, retries = 3) {
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === 'replay') return replayRequest(url, options, true);
 
+  const response = await requestWithRetries(url, options, retries, 'Streaming request', async ({ req, res, stream, headers }, retryAfterMs) => {
+    stream.setEncoding('utf8');
+    return {
+      status: res.statusCode,
+      statusText: res.statusMessage,
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      headers,
+      retryAfterMs,
+      body: stream,
+      text: () => readBody(stream),
+      abort: () => {
+        req.destroy();
+        stream.destroy();
+      },
+    };
+  });
+  return fixtureMode === 'record' ? recordStreamingResponse(url, options, response) : response;
+}
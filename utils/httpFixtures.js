@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { createMockProvider } from './llmProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * HTTP Fixtures - record and replay for makeRequest / makeStreamingRequest
+ * Selected with HTTP_FIXTURES:
+ *   off     (default) every request goes to the network
+ *   record  requests go to the network and each response is saved as a fixture
+ *   replay  nothing goes to the network: responses come from fixtures, chat and
+ *           embedding calls without a fixture are answered by the scripted
+ *           LLM responder, and anything else gets a 404
+ *
+ * Fixtures live in HTTP_FIXTURES_DIR (default fixtures/http), one JSON file per
+ * request under a folder per host:
+ *   GET_products_public_products__<hash>.json   exact request (query string + body)
+ *   GET_products_public_products.json           any request to that path
+ * Recording writes the exact file, and the path file when there is none yet.
+ * Request headers (API keys) are never written.
+ *
+ * The scripted responder (llm_script.json in the fixtures folder) answers
+ * OpenAI-style /chat/completions and /embeddings calls: the first chat rule
+ * whose `match` regex matches the last user message supplies `content` or
+ * `toolCalls`; with no matching rule the mock provider answers.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'http');
+const LLM_SCRIPT_FILE = 'llm_script.json';
+const STREAM_CHUNK_SIZE = 12;
+
+let scriptCache = null;
+
+/**
+ * Current fixture mode (read on every request so .env and tests can switch it)
+ * @returns {'off'|'record'|'replay'}
+ */
+export function getFixtureMode() {
+  const mode = (process.env.HTTP_FIXTURES || 'off').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'off';
+}
+
+function getFixturesDir() {
+  return process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function bodyText(body) {
+  if (!body) return '';
+  if (Buffer.isBuffer(body)) return body.toString('utf-8');
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Fixture files for a request: the exact one and the any-query one for its path
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string|Object} body - Request body
+ * @returns {{exact: string, byPath: string}}
+ */
+export function fixturePaths(method, url, body) {
+  const urlObj = new URL(url);
+  const pathName = urlObj.pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9.-]+/g, '_') || 'root';
+  const base = `${method.toUpperCase()}_${pathName}`;
+
+  const params = [...urlObj.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify(params))
+    .update(bodyText(body))
+    .digest('hex')
+    .substring(0, 12);
+
+  const hostDir = path.join(getFixturesDir(), urlObj.host.replace(/[^a-zA-Z0-9.-]+/g, '_'));
+  return {
+    exact: path.join(hostDir, `${base}__${hash}.json`),
+    byPath: path.join(hostDir, `${base}.json`),
+  };
+}
+
+function readFixture(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`⚠️ Unreadable fixture ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Response object in the shape makeRequest returns
+ */
+function bufferedResponse({ status, statusText = '', headers = {}, body = '' }) {
+  return {
+    status,
+    statusText,
+    ok: status >= 200 && status < 300,
+    headers,
+    text: () => Promise.resolve(body),
+    json: () => {
+      try {
+        return Promise.resolve(JSON.parse(body));
+      } catch (e) {
+        return Promise.reject(new Error(`Invalid JSON response: ${body.substring(0, 100)}...`));
+      }
+    },
+  };
+}
+
+/**
+ * Response object in the shape makeStreamingRequest returns
+ */
+function streamingResponse({ status, statusText = '', headers = {}, body = '' }) {
+  const stream = Readable.from(body ? [body] : []);
+  return {
+    status,
+    statusText,
+    ok: status >= 200 && status < 300,
+    headers,
+    body: stream,
+    text: () => Promise.resolve(body),
+    abort: () => stream.destroy(),
+  };
+}
+
+function loadLlmScript() {
+  if (scriptCache && scriptCache.dir === getFixturesDir()) return scriptCache.script;
+
+  const script = readFixture(path.join(getFixturesDir(), LLM_SCRIPT_FILE)) || {};
+  const chat = (script.chat || []).flatMap(rule => {
+    try {
+      return [{ ...rule, pattern: new RegExp(rule.match || '.', 'i') }];
+    } catch (error) {
+      console.warn(`⚠️ Skipped scripted chat rule "${rule.match}": ${error.message}`);
+      return [];
+    }
+  });
+  scriptCache = { dir: getFixturesDir(), script: { chat, embeddingDimensions: script.embeddingDimensions || 256 } };
+  return scriptCache.script;
+}
+
+/**
+ * Forgets the loaded llm_script.json
+ */
+export function clearFixtureCache() {
+  scriptCache = null;
+}
+
+/**
+ * Scripted answer for an OpenAI-style chat request: the first matching rule
+ * (tool calls only until a tool has run since the user's message), else the
+ * mock provider
+ */
+async function scriptedCompletion(request) {
+  const messages = request.messages || [];
+  const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+  const lastUser = lastUserIndex === -1 ? '' : String(messages[lastUserIndex].content || '');
+  const toolRan = messages.slice(lastUserIndex + 1).some(message => message.role === 'tool');
+
+  const rule = loadLlmScript().chat.find(candidate =>
+    candidate.pattern.test(lastUser) && (candidate.content !== undefined || (candidate.toolCalls && request.tools && !toolRan))
+  );
+  if (!rule) return createMockProvider().chat(messages, { tools: request.tools });
+
+  if (rule.toolCalls && request.tools && !toolRan) {
+    return {
+      content: '',
+      toolCalls: rule.toolCalls.map((toolCall, index) => ({
+        id: `call_script_${lastUserIndex}_${index}`,
+        type: 'function',
+        function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) },
+      })),
+      finishReason: 'tool_calls',
+    };
+  }
+  return { content: rule.content, toolCalls: [], finishReason: 'stop' };
+}
+
+/**
+ * Chat completion as an SSE body (content in small deltas, like the real API)
+ */
+function toEventStream(completion) {
+  const event = (delta, finishReason = null) => `data: ${JSON.stringify({ choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`;
+  let body = '';
+
+  completion.toolCalls.forEach((toolCall, index) => {
+    body += event({ tool_calls: [{ index, id: toolCall.id, type: 'function', function: toolCall.function }] });
+  });
+  for (let i = 0; i < completion.content.length; i += STREAM_CHUNK_SIZE) {
+    body += event({ content: completion.content.substring(i, i + STREAM_CHUNK_SIZE) });
+  }
+  return `${body}${event({}, completion.finishReason)}data: [DONE]\n\n`;
+}
+
+/**
+ * Scripted response for OpenAI-style chat and embedding endpoints
+ * @returns {Promise<Object|null>} - { status, headers, body } or null if the URL is not an LLM endpoint
+ */
+async function scriptedLlmResponse(url, options) {
+  const pathName = new URL(url).pathname;
+  const isChat = pathName.endsWith('/chat/completions');
+  const isEmbeddings = pathName.endsWith('/embeddings');
+  if (!isChat && !isEmbeddings) return null;
+
+  const request = JSON.parse(bodyText(options.body) || '{}');
+  if (isEmbeddings) {
+    const inputs = Array.isArray(request.input) ? request.input : [request.input];
+    const vectors = await createMockProvider({ dimensions: loadLlmScript().embeddingDimensions }).embed(inputs);
+    const body = JSON.stringify({ data: vectors.map((embedding, index) => ({ index, embedding })) });
+    return { status: 200, headers: { 'content-type': 'application/json' }, body };
+  }
+
+  const completion = await scriptedCompletion(request);
+  if (request.stream) {
+    return { status: 200, headers: { 'content-type': 'text/event-stream' }, body: toEventStream(completion) };
+  }
+
+  const message = { role: 'assistant', content: completion.content || null };
+  if (completion.toolCalls.length > 0) message.tool_calls = completion.toolCalls;
+  const body = JSON.stringify({ choices: [{ index: 0, message, finish_reason: completion.finishReason }], usage: null });
+  return { status: 200, headers: { 'content-type': 'application/json' }, body };
+}
+
+/**
+ * Finds the recorded (or scripted) response for a request
+ * @param {string} url - Request URL
+ * @param {Object} options - makeRequest options
+ * @param {boolean} streaming - Return a makeStreamingRequest-shaped response
+ * @returns {Promise<Object>} - Response object; 404 when nothing matches
+ */
+export async function replayRequest(url, options = {}, streaming = false) {
+  const method = options.method || 'GET';
+  const { exact, byPath } = fixturePaths(method, url, options.body);
+  const fixture = readFixture(exact) || readFixture(byPath);
+
+  let response = fixture?.response || await scriptedLlmResponse(url, options);
+  if (!response) {
+    console.warn(`⚠️ No fixture for ${method} ${url} (expected ${path.relative(process.cwd(), exact)})`);
+    response = {
+      status: 404,
+      statusText: 'No Fixture',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ success: false, message: `No fixture for ${method} ${url}` }),
+    };
+  }
+
+  return streaming ? streamingResponse(response) : bufferedResponse(response);
+}
+
+/**
+ * Saves a live response as a fixture (exact file, plus the path file if missing)
+ * @param {string} url - Request URL
+ * @param {Object} options - makeRequest options
+ * @param {Object} response - { status, statusText, headers, body }
+ */
+export function recordResponse(url, options = {}, { status, statusText, headers = {}, body }) {
+  const method = options.method || 'GET';
+  const { exact, byPath } = fixturePaths(method, url, options.body);
+  const fixture = {
+    request: { method, url },
+    response: {
+      status,
+      statusText,
+      headers: headers['content-type'] ? { 'content-type': headers['content-type'] } : {},
+      body,
+    },
+    recordedAt: new Date().toISOString(),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(exact), { recursive: true });
+    const content = `${JSON.stringify(fixture, null, 2)}\n`;
+    fs.writeFileSync(exact, content);
+    if (!fs.existsSync(byPath)) fs.writeFileSync(byPath, content);
+    console.log(`📼 Recorded ${method} ${url} -> ${path.relative(process.cwd(), exact)}`);
+  } catch (error) {
+    console.warn(`⚠️ Could not record fixture for ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Records a streamed response: reads the whole body, saves it, and hands back
+ * an equivalent stream (the caller sees it all at once while recording)
+ * @param {string} url - Request URL
+ * @param {Object} options - makeStreamingRequest options
+ * @param {Object} response - Live makeStreamingRequest response
+ * @returns {Promise<Object>} - Response with a replayable body
+ */
+export async function recordStreamingResponse(url, options, response) {
+  const body = await response.text();
+  recordResponse(url, options, { status: response.status, statusText: response.statusText, headers: response.headers, body });
+  return streamingResponse({ status: response.status, statusText: response.statusText, headers: response.headers, body });
+}
@@ -0,0 +1,109 @@
+import { getLexicalIndex, searchLexical } from "./lexicalIndex.js";
+import { findRelevantProducts, isIndexReady, matchesMetadataFilters } from "./embeddingService.js";
+import { productMetadata } from "./productLoader.js";
+import { matchQueryRules, expandQuery, passesRuleFilters, ruleBoost } from "./queryRules.js";
+
+/**
+ * Hybrid Retriever - the one retrieval path that feeds products to the prompt
+ * BM25 catches exact names and codes ("E5", "2022", "2 core"); embeddings catch
+ * paraphrases ("email for my team"). Both rankings are merged with reciprocal
+ * rank fusion, which needs no score calibration between the two.
+ * Query rules (data/query_rules.json) add synonyms to the query before ranking
+ * and filter and boost the fused results. Metadata filters (category, vendor,
+ * price range, billing cycle) apply to both rankings before fusion.
+ */
+
+const RRF_K = 60;
+const CANDIDATES_PER_RANKER = 50;
+const SEMANTIC_TIMEOUT_MS = 5000;
+
+/**
+ * Runs semantic search, giving up (with no results) after a timeout
+ */
+async function searchSemantic(query, topK, filters) {
+  if (!isIndexReady()) {
+    console.log("Skipping semantic ranking - index not ready yet");
+    return [];
+  }
+
+  let timer;
+  try {
+    return await Promise.race([
+      findRelevantProducts(query, topK, filters),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve([]), SEMANTIC_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (error) {
+    console.warn("Semantic search failed:", error.message);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Retrieves the products most relevant to a query
+ * @param {string} query - User query
+ * @param {Array} products - Products from productLoader
+ * @param {Object} options - { topK, rrfK, candidates, filters } (filters as in matchesMetadataFilters)
+ * @returns {Promise<Array<{product: Object, score: number, lexicalRank: number|null, semanticRank: number|null}>>}
+ */
+export async function retrieveProducts(query, products, { topK = 15, rrfK = RRF_K, candidates = CANDIDATES_PER_RANKER, filters = {} } = {}) {
+  if (!query || !products || products.length === 0) return [];
+
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+  const passesFilters = product => matchesMetadataFilters(productMetadata(product), filters);
+
+  const matchedRules = matchQueryRules(query);
+  const searchQuery = expandQuery(query, matchedRules);
+
+  // With filters, rank the whole catalog lexically so filtering can't empty the candidate list
+  const filtering = Object.values(filters).some(value => value !== undefined && value !== null && value !== '');
+  const lexicalResults = filtering
+    ? searchLexical(getLexicalIndex(products), searchQuery, products.length)
+      .filter(result => passesFilters(result.product))
+      .slice(0, candidates)
+    : searchLexical(getLexicalIndex(products), searchQuery, candidates);
+  const semanticResults = await searchSemantic(searchQuery, candidates, filters);
+
+  const fused = new Map(); // productId -> { product, score, lexicalRank, semanticRank }
+  const addRanking = (productId, rank, rankField) => {
+    const product = productsById.get(String(productId));
+    if (!product) return;
+
+    const entry = fused.get(product.id) || { product, score: 0, lexicalRank: null, semanticRank: null };
+    entry.score += 1 / (rrfK + rank);
+    entry[rankField] = rank;
+    fused.set(product.id, entry);
+  };
+
+  lexicalResults.forEach((result, index) => addRanking(result.product.id, index + 1, 'lexicalRank'));
+  semanticResults.forEach((result, index) => addRanking(result.productId, index + 1, 'semanticRank'));
+
+  let ranked = [...fused.values()];
+  if (matchedRules.length > 0) {
+    // A boost of 1 is worth a first place in both rankings
+    const maxFusedScore = 2 / (rrfK + 1);
+    ranked.forEach(entry => {
+      entry.score += ruleBoost(entry.product, query, matchedRules) * maxFusedScore;
+    });
+
+    // A filter that removes every candidate is ignored rather than answering with nothing
+    const filtered = ranked.filter(entry => passesRuleFilters(entry.product, matchedRules));
+    if (filtered.length > 0) ranked = filtered;
+    else console.log(`Query rule filters removed every candidate for "${query}"; ignoring them`);
+  }
+
+  const results = ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+  const rulesNote = matchedRules.length > 0 ? ` [rules: ${matchedRules.map(rule => rule.id).join(', ')}]` : '';
+  console.log(`🔎 Hybrid retrieval for "${searchQuery}"${rulesNote}: ${lexicalResults.length} lexical + ${semanticResults.length} semantic candidates -> ${results.length} products`);
+  results.slice(0, 5).forEach((result, index) => {
+    console.log(`    ${index + 1}. ${result.product.name} (bm25 #${result.lexicalRank ?? '-'}, vector #${result.semanticRank ?? '-'})`);
+  });
+
+  return results;
+}
@@ -0,0 +1,230 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isComparisonRequest } from "./productComparison.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Intent Classifier - multi-label intents for a chat message, computed locally
+ * Each intent is the centroid of its example utterances in
+ * data/intent_examples.json (TF-IDF over words and character trigrams, so
+ * "licences" still lands near "licenses"); a message is scored by its cosine
+ * similarity to each centroid, averaged with its closest example. Catalog
+ * signals then adjust the scores: a message naming catalog products, IT
+ * vocabulary ("firewall", "backup") or a software vendor ("vmware"), or
+ * carrying requirements (edition, quantity, budget) is a shopping question
+ * even if it starts with "hi". Only a confident, clear off-topic score is
+ * refused; anything less certain goes to the catalog.
+ *
+ * Intents: greeting, browse, product_search, compare, pricing, purchase,
+ * support, order_status, off_topic, restart.
+ */
+
+export const INTENT_EXAMPLES_PATH = path.join(__dirname, 'data', 'intent_examples.json');
+
+export const INTENTS = ['greeting', 'browse', 'product_search', 'compare', 'pricing', 'purchase', 'support', 'order_status', 'off_topic', 'restart'];
+
+// Intents answered from the catalog, with the full prompt and tools
+const CATALOG_INTENTS = ['browse', 'product_search', 'compare', 'pricing', 'purchase'];
+
+// A label is assigned at this confidence or above
+const LABEL_THRESHOLD = 0.35;
+
+// Off-topic is only refused at this confidence, and this far ahead of every catalog intent
+const OFF_TOPIC_THRESHOLD = 0.5;
+const OFF_TOPIC_MARGIN = 0.15;
+
+// Software and IT words, and vendors, that mean shopping even when the
+// catalog has no product named after them ("can you recommend a firewall",
+// "what about vmware")
+const DOMAIN_TERMS = /\b(?:security|cyber ?security|firewalls?|antivirus|anti-virus|malware|ransomware|endpoint|vpn|backups?|disaster recovery|encryption|siem|edr|xdr|mfa|sso|identity|network(?:ing)?|switch(?:es)?|routers?|servers?|storage|database|cloud|hosting|email|licen[cs](?:e|es|ing)|subscriptions?|software|saas|erp|crm|antispam|vmware|cisco|sophos|fortinet|fortigate|palo alto|check ?point|kaspersky|symantec|norton|mcafee|bitdefender|eset|trend micro|quick ?heal|seqrite|crowdstrike|sentinelone|veeam|acronis|citrix|red ?hat|oracle|sap|salesforce|zoho|adobe|autodesk|google workspace|aws|azure|dell|hp|lenovo)\b/i;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'is', 'are', 'to', 'of', 'for', 'and', 'or', 'in', 'on', 'it', 'this', 'that', 'do', 'can', 'please']);
+
+let modelCache = null;
+
+/**
+ * Words and character trigrams of a text, with counts
+ */
+function extractFeatures(text) {
+  const features = new Map();
+  const add = feature => features.set(feature, (features.get(feature) || 0) + 1);
+
+  const words = (text || '').toLowerCase().replace(/_/g, ' ').match(/[a-z0-9']+/g) || [];
+  words.forEach(word => {
+    if (!STOP_WORDS.has(word)) add(`w:${word}`);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.substring(i, i + 3)}`);
+  });
+  return features;
+}
+
+/**
+ * TF-IDF vector, L2-normalized
+ */
+function toVector(features, idf) {
+  const vector = new Map();
+  let norm = 0;
+  for (const [feature, count] of features) {
+    const weight = (1 + Math.log(count)) * (idf.get(feature) || 0);
+    if (weight <= 0) continue;
+    vector.set(feature, weight);
+    norm += weight * weight;
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (const [feature, weight] of vector) vector.set(feature, weight / norm);
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [feature, weight] of small) dot += weight * (large.get(feature) || 0);
+  return dot;
+}
+
+/**
+ * Builds one centroid per intent from example utterances
+ * @param {Object} examples - { intent: [utterance, ...] }
+ * @returns {Object} - { idf, centroids: Map(intent -> vector), exampleVectors: Map(intent -> [vector]) }
+ */
+export function buildIntentModel(examples) {
+  const documents = [];
+  Object.entries(examples).forEach(([intent, utterances]) => {
+    if (!INTENTS.includes(intent) || !Array.isArray(utterances)) return;
+    utterances.forEach(utterance => documents.push({ intent, features: extractFeatures(utterance) }));
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(({ features }) => {
+    for (const feature of features.keys()) documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+  });
+  const idf = new Map();
+  for (const [feature, frequency] of documentFrequency) {
+    idf.set(feature, Math.log(1 + documents.length / frequency));
+  }
+
+  const sums = new Map();
+  const exampleVectors = new Map();
+  documents.forEach(({ intent, features }) => {
+    const vector = toVector(features, idf);
+    const sum = sums.get(intent) || new Map();
+    for (const [feature, weight] of vector) sum.set(feature, (sum.get(feature) || 0) + weight);
+    sums.set(intent, sum);
+    exampleVectors.set(intent, [...(exampleVectors.get(intent) || []), vector]);
+  });
+
+  const centroids = new Map();
+  for (const [intent, sum] of sums) {
+    let norm = 0;
+    for (const weight of sum.values()) norm += weight * weight;
+    norm = Math.sqrt(norm) || 1;
+    centroids.set(intent, new Map([...sum].map(([feature, weight]) => [feature, weight / norm])));
+  }
+
+  return { idf, centroids, exampleVectors };
+}
+
+/**
+ * Loads data/intent_examples.json and builds the model (cached)
+ * @returns {Object} - Intent model (no centroids if the file can't be read)
+ */
+export function loadIntentModel() {
+  if (modelCache) return modelCache;
+
+  try {
+    modelCache = buildIntentModel(JSON.parse(fs.readFileSync(INTENT_EXAMPLES_PATH, 'utf-8')));
+    console.log(`✅ Built intent model (${modelCache.centroids.size} intents)`);
+  } catch (error) {
+    console.warn(`Could not load intent examples (${error.message}); every message will be routed to the catalog`);
+    modelCache = { idf: new Map(), centroids: new Map(), exampleVectors: new Map() };
+  }
+  return modelCache;
+}
+
+/**
+ * Forgets the model so the next message picks up edits to intent_examples.json
+ */
+export function clearIntentModelCache() {
+  modelCache = null;
+}
+
+/**
+ * Classifies a message
+ * @param {string} message - User message (spelling already corrected)
+ * @param {Object} signals - { catalogTerms: catalog words found in the message, entities: from extractEntities, model }
+ * @returns {Object} - { top, confidence, labels: [{ intent, confidence }], scores: { intent: confidence } }
+ */
+export function classifyIntent(message = '', { catalogTerms = [], entities = null, model = loadIntentModel() } = {}) {
+  const vector = toVector(extractFeatures(message), model.idf);
+  const scores = {};
+  INTENTS.forEach(intent => {
+    const centroid = model.centroids.get(intent);
+    if (!centroid) {
+      scores[intent] = 0;
+      return;
+    }
+    // The centroid gives the general direction; the closest example keeps
+    // short messages that match one example exactly ("hi") from being diluted
+    const nearest = Math.max(0, ...model.exampleVectors.get(intent).map(example => cosine(vector, example)));
+    scores[intent] = (cosine(vector, centroid) + nearest) / 2;
+  });
+
+  // Catalog signals: named products and concrete requirements mean shopping,
+  // unless the message is clearly about an existing order or licence
+  const afterSales = Math.max(scores.support, scores.order_status) >= LABEL_THRESHOLD;
+  const namesProduct = catalogTerms.length > 0 || Boolean(entities?.family || entities?.edition) || DOMAIN_TERMS.test(message);
+  if (namesProduct && !afterSales) {
+    scores.product_search = Math.max(scores.product_search, 0.5 + 0.1 * Math.min(catalogTerms.length, 3));
+    scores.off_topic *= 0.3;
+  }
+  if ((entities?.quantity || entities?.budget || entities?.term) && !afterSales) {
+    scores.pricing = Math.max(scores.pricing, 0.45);
+    scores.off_topic *= 0.3;
+  }
+  if (isComparisonRequest(message)) scores.compare = Math.max(scores.compare, 0.8);
+
+  INTENTS.forEach(intent => {
+    scores[intent] = Math.round(Math.min(1, Math.max(0, scores[intent])) * 100) / 100;
+  });
+
+  const ranked = INTENTS.map(intent => ({ intent, confidence: scores[intent] }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const labels = ranked.filter(({ confidence }) => confidence >= LABEL_THRESHOLD);
+
+  return {
+    top: labels.length > 0 ? labels[0].intent : null,
+    confidence: ranked[0].confidence,
+    labels,
+    scores,
+  };
+}
+
+/**
+ * Decides how a classified message is answered
+ *   catalog   - full prompt and catalog tools (also when nothing is certain)
+ *   greeting  - short greeting, only when the message is nothing but a greeting
+ *   restart   - clear the session and start over
+ *   support   - account, order and after-sales questions the bot can't see
+ *   off_topic - polite refusal, only when clearly off topic; a close call is
+ *               answered from the catalog
+ * @param {Object} classification - From classifyIntent
+ * @returns {string}
+ */
+export function routeIntent(classification) {
+  const has = intent => classification.labels.some(label => label.intent === intent);
+
+  if (classification.top === 'restart') return 'restart';
+  if (CATALOG_INTENTS.some(has)) return 'catalog';
+  if (classification.top === 'greeting') return 'greeting';
+  if (classification.top === 'support' || classification.top === 'order_status') return 'support';
+  if (classification.top === 'off_topic') {
+    const scores = classification.scores || {};
+    const bestCatalog = Math.max(0, ...CATALOG_INTENTS.map(intent => scores[intent] || 0));
+    const offTopic = scores.off_topic ?? classification.confidence;
+    if (offTopic >= OFF_TOPIC_THRESHOLD && offTopic - bestCatalog >= OFF_TOPIC_MARGIN) return 'off_topic';
+  }
+  return 'catalog';
+}
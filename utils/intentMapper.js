@@ -1,4 +1,5 @@
 import { fetchCategoryHierarchy } from "./categoryFetcher.js";
+import { extractEntities, hasEntities } from "./entityExtractor.js";
 
 // Cache for dynamic category mapping (refresh every 10 minutes)
 let dynamicCategoryCache = {
@@ -186,7 +187,7 @@ export async function resolveIntent(message, baseUrl = "https://shop.skysecure.a
   // DYNAMIC: Fetch category mapping from API
   const { subCategoryMap, oemMap } = await buildDynamicCategoryMapping();
 
-  const matches = { subCategoryId: null, categoryName: null, oemId: null, listingUrls: [], confidence: 0 };
+  const matches = { subCategoryId: null, categoryName: null, oemId: null, listingUrls: [], confidence: 0, entities: extractEntities(message) };
 
   // Try exact and partial matches for subcategories
   for (const entry of subCategoryMap) {
@@ -236,7 +237,7 @@ export async function resolveIntent(message, baseUrl = "https://shop.skysecure.a
   matches.listingUrls = listingUrls;
 
   // Log final intent resolution
-  if (matches.subCategoryId || matches.oemId) {
+  if (matches.subCategoryId || matches.oemId || hasEntities(matches.entities)) {
     console.log(`Final intent resolution:`, JSON.stringify(matches, null, 2));
   } else {
     console.log(`No specific intent matched for: "${text}"`);
@@ -253,46 +254,3 @@ export function inferConversationStage(conversationHistory = [], message = "", i
   if (lower.includes("buy") || lower.includes("purchase") || lower.includes("price")) return "Conversion";
   return "Narrowing";
 }
-
-/**
- * Checks if the message is related to the SkySecure domain (Software, IT, Marketplace)
- * @param {string} message - User message
- * @param {Object} intent - Resolved intent object
- * @returns {boolean} - True if related to domain
- */
-export function isDomainRelated(message, intent) {
-  // If we already matched a category or OEM, it's definitely in-domain
-  if (intent.subCategoryId || intent.oemId) return true;
-
-  const text = (message || "").toLowerCase();
-
-  // High-confidence tech/marketplace keywords
-  const techKeywords = [
-    'software', 'license', 'subscription', 'price', 'plan', 'billing',
-    'microsoft', 'google', 'aws', 'azure', 'cloud', 'security',
-    'teams', 'office', 'defender', 'sql', 'database', 'server',
-    'marketplace', 'buy', 'purchase', 'trial', 'download', 'install',
-    'it services', 'enterprise', 'saas', 'crm', 'erp',
-    'categories', 'oems', 'best selling', 'best sellers', 'featured', 'browse',
-    'compare', 'comparison', 'options', 'details', 'pricing', 'features', 'show', 'see'
-  ];
-
-  if (techKeywords.some(k => text.includes(k))) return true;
-
-  // Very common "intro" questions that are about the bot itself
-  const botKeywords = ['what can you do', 'who are you', 'how do you work', 'help me', 'products'];
-  if (botKeywords.some(k => text.includes(k))) return true;
-
-  return false;
-}
-
-/**
- * Checks if the message is a simple greeting
- * @param {string} message 
- * @returns {boolean}
- */
-export function isGreeting(message) {
-  const text = (message || "").toLowerCase().trim();
-  const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'hola'];
-  return greetings.some(g => text === g || text.startsWith(g + ' '));
-}
@@ -0,0 +1,141 @@
+/**
+ * Lexical Index - BM25 over the product catalog
+ * Scores exact terms (SKU-ish names, editions, plan codes like "E5", core
+ * counts, years) that embeddings tend to blur together.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Name matches matter most; the other fields mainly break ties
+const DEFAULT_FIELD_WEIGHTS = {
+  name: 3,
+  category: 1,
+  vendor: 1,
+  features: 1,
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'for', 'of', 'to', 'in', 'on', 'with', 'by', 'or',
+  'is', 'are', 'me', 'my', 'i', 'we', 'our', 'you', 'show', 'need', 'want',
+  'what', 'which', 'do', 'have', 'any', 'some', 'please',
+]);
+
+// Built indexes, keyed by the catalog array they were built from
+const indexCache = new WeakMap();
+
+/**
+ * Splits text into lowercase search terms. Numbers and short codes are kept
+ * on purpose: "2", "e5" and "2022" are often the whole point of a query.
+ * Quantities glued to units ("4vCPU", "16GB") are split so they match "4 vCPU".
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+export function tokenize(text) {
+  return ((text || '').toLowerCase().replace(/(\d)([a-z])/g, '$1 $2').match(/[a-z0-9]+/g) || [])
+    .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Gets the searchable text of each field for a product
+ */
+function getProductFields(product) {
+  const features = (product.features || [])
+    .map(feature => (typeof feature === 'string' ? feature : (feature.name || feature.title || '')))
+    .join(' ');
+
+  return {
+    name: product.name || '',
+    category: [product.category, product.subCategory].filter(Boolean).join(' '),
+    vendor: product.vendor || '',
+    features,
+  };
+}
+
+/**
+ * Builds a BM25 index with field-weighted term frequencies (BM25F-style)
+ * @param {Array} products - Products from productLoader
+ * @param {Object} fieldWeights - Weight per field (name, category, vendor, features)
+ * @returns {Object} - Lexical index
+ */
+export function buildLexicalIndex(products, fieldWeights = DEFAULT_FIELD_WEIGHTS) {
+  const postings = new Map(); // term -> Map(docIndex -> weighted term frequency)
+  const docLengths = [];
+
+  products.forEach((product, docIndex) => {
+    const fields = getProductFields(product);
+    let docLength = 0;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = fieldWeights[field] || 0;
+      if (weight === 0) return;
+
+      tokenize(text).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const termPostings = postings.get(term);
+        termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + weight);
+        docLength += weight;
+      });
+    });
+
+    docLengths.push(docLength);
+  });
+
+  const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    products,
+    postings,
+    docLengths,
+    avgDocLength: products.length > 0 ? totalLength / products.length : 0,
+    docCount: products.length,
+  };
+}
+
+/**
+ * Returns the lexical index for a catalog, building it on first use
+ * @param {Array} products - Products from productLoader
+ * @returns {Object} - Lexical index
+ */
+export function getLexicalIndex(products) {
+  let index = indexCache.get(products);
+  if (!index) {
+    index = buildLexicalIndex(products);
+    indexCache.set(products, index);
+    console.log(`✅ Built BM25 index: ${index.docCount} products, ${index.postings.size} terms`);
+  }
+  return index;
+}
+
+/**
+ * Ranks products for a query with BM25
+ * @param {Object} index - Index from buildLexicalIndex/getLexicalIndex
+ * @param {string} query - User query
+ * @param {number} topK - Maximum results
+ * @returns {Array<{product: Object, score: number}>} - Best matches first
+ */
+export function searchLexical(index, query, topK = 20) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || index.docCount === 0) return [];
+
+  const scores = new Map();
+
+  queryTerms.forEach(term => {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) return;
+
+    const docFrequency = termPostings.size;
+    const idf = Math.log(1 + (index.docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+    termPostings.forEach((termFrequency, docIndex) => {
+      const lengthNorm = 1 - BM25_B + BM25_B * (index.docLengths[docIndex] / index.avgDocLength);
+      const termScore = idf * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+      scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topK)
+    .map(([docIndex, score]) => ({ product: index.products[docIndex], score }));
+}
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Link Resolver - canonical product URLs for whatever the model wrote
+ * Resolves full or truncated product URLs, slugs, partial ids / id suffixes and
+ * product names to the catalog URL, and turns bare product names in an answer
+ * into links. The lookup index is built once per catalog load; aliases for
+ * names and slugs the model tends to get wrong live in data/link_aliases.json.
+ */
+
+const ALIASES_PATH = path.join(__dirname, 'data', 'link_aliases.json');
+
+// Splits a product URL into [slug] and [id] at the last '--'
+const PRODUCT_URL_PATTERN = /https:\/\/shop\.skysecure\.ai\/products\/([^\s"')]*)--([a-f0-9]+)/gi;
+
+// Markdown links and bare URLs are left alone when linking product names
+const PROTECTED_PATTERN = /\[[^\]]*\]\([^)]*\)|https?:\/\/[^\s"')\]]+/g;
+
+// Names shorter than this (or single words) are too generic to auto-link
+const MIN_LINKABLE_NAME_LENGTH = 12;
+
+// Shortest id fragment trusted for suffix matching
+const MIN_ID_SUFFIX_LENGTH = 10;
+
+// One index per products array (a catalog reload produces a new array)
+const indexCache = new WeakMap();
+let aliasCache = null;
+
+/**
+ * Loads data/link_aliases.json ({ slugs, slugContains, names }); a missing or
+ * malformed file just means no aliases
+ * @returns {Object}
+ */
+export function loadLinkAliases() {
+  if (aliasCache) return aliasCache;
+
+  try {
+    const aliases = JSON.parse(fs.readFileSync(ALIASES_PATH, 'utf-8'));
+    aliasCache = {
+      slugs: aliases.slugs || {},
+      slugContains: aliases.slugContains || [],
+      names: aliases.names || {},
+    };
+  } catch (error) {
+    console.warn(`Could not load link aliases (${error.message}); continuing without them`);
+    aliasCache = { slugs: {}, slugContains: [], names: {} };
+  }
+  return aliasCache;
+}
+
+/**
+ * Forgets the loaded aliases so the next index picks up edits to link_aliases.json
+ */
+export function clearLinkAliasCache() {
+  aliasCache = null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the lookup maps for a catalog
+ * @param {Array} products - Products from productLoader
+ * @param {Object} aliases - { slugs, slugContains, names } (defaults to data/link_aliases.json)
+ * @returns {Object} - Link index
+ */
+export function buildLinkIndex(products = [], aliases = loadLinkAliases()) {
+  const index = {
+    byId: new Map(),          // Full id -> product
+    bySuffix: new Map(),      // Last 12 id chars -> product
+    bySlug: new Map(),        // Full slug ("category--product-slug") -> product
+    bySimpleSlug: new Map(),  // Last slug segment -> product
+    byName: new Map(),        // Lowercase name -> product
+    aliases,
+    namePattern: null,
+  };
+
+  products.forEach(product => {
+    if (!product.id || !product.url) return;
+    const id = String(product.id).toLowerCase();
+    index.byId.set(id, product);
+    if (id.length === 24) index.bySuffix.set(id.substring(12), product);
+
+    const slugMatch = product.url.match(/\/products\/(.*)--[a-f0-9]{24}/i);
+    if (slugMatch) {
+      const fullSlug = slugMatch[1].toLowerCase();
+      index.bySlug.set(fullSlug, product);
+      index.bySimpleSlug.set(fullSlug.split('--').pop(), product);
+    }
+
+    if (product.name) index.byName.set(product.name.toLowerCase().trim(), product);
+  });
+
+  // Alias names point at a slug; resolve them to products up front
+  Object.entries(aliases.names).forEach(([name, slug]) => {
+    const product = index.bySimpleSlug.get(slug.toLowerCase());
+    if (product && !index.byName.has(name.toLowerCase())) index.byName.set(name.toLowerCase(), product);
+  });
+
+  // Longest names first so "Power BI Premium Per User" wins over "Power BI Premium"
+  const linkableNames = [...index.byName.keys()]
+    .filter(name => name.length >= MIN_LINKABLE_NAME_LENGTH && /\s/.test(name))
+    .sort((a, b) => b.length - a.length);
+  if (linkableNames.length > 0) {
+    index.namePattern = new RegExp(`(\\*\\*)?(?<![\\w-])(${linkableNames.map(escapeRegExp).join('|')})(?![\\w-])(\\*\\*)?`, 'gi');
+  }
+
+  return index;
+}
+
+/**
+ * Cached link index for a products array
+ * @param {Array} products - Products from productLoader
+ * @returns {Object} - Link index
+ */
+export function getLinkIndex(products) {
+  let index = indexCache.get(products);
+  if (!index) {
+    index = buildLinkIndex(products);
+    indexCache.set(products, index);
+  }
+  return index;
+}
+
+/**
+ * Resolves a product reference to a catalog product
+ * @param {Object} index - From getLinkIndex
+ * @param {Object} reference - { slug, id, name } (any subset)
+ * @returns {{product: Object, via: string}|null}
+ */
+export function resolveProductReference(index, { slug = '', id = '', name = '' } = {}) {
+  slug = slug.toLowerCase();
+  id = id.toLowerCase();
+
+  if (id.length === 24 && index.byId.has(id)) return { product: index.byId.get(id), via: 'id' };
+  if (slug && index.bySlug.has(slug)) return { product: index.bySlug.get(slug), via: 'slug' };
+
+  if (slug) {
+    const lastSegment = slug.split('--').pop();
+    const target = (index.aliases.slugs[lastSegment] || lastSegment).toLowerCase();
+    if (index.bySimpleSlug.has(target)) {
+      return { product: index.bySimpleSlug.get(target), via: target === lastSegment ? 'segment' : 'alias' };
+    }
+
+    // Truncated or over-long segments ("power-bi-pro-use" / "power-bi-pro-user"),
+    // only when exactly one product fits: "power-bi" prefixes many products,
+    // and guessing one would send the customer to the wrong page
+    const candidates = lastSegment
+      ? [...index.bySimpleSlug].filter(([validSegment]) => validSegment.startsWith(lastSegment) || lastSegment.startsWith(validSegment))
+      : [];
+    if (candidates.length === 1) return { product: candidates[0][1], via: 'fuzzy-segment' };
+  }
+
+  if (id.length >= MIN_ID_SUFFIX_LENGTH) {
+    const idSuffix = id.length > 12 ? id.substring(id.length - 12) : id;
+    if (index.bySuffix.has(idSuffix)) return { product: index.bySuffix.get(idSuffix), via: 'id-suffix' };
+  }
+
+  if (slug) {
+    const fallback = index.aliases.slugContains.find(rule => slug.includes(rule.contains.toLowerCase()));
+    const product = fallback && index.bySimpleSlug.get(fallback.slug.toLowerCase());
+    if (product) return { product, via: 'alias-fallback' };
+  }
+
+  if (name) {
+    const product = index.byName.get(name.toLowerCase().trim());
+    if (product) return { product, via: 'name' };
+  }
+
+  return null;
+}
+
+/**
+ * Repairs truncated or mangled product URLs in text
+ * @param {string} text - Answer text
+ * @param {Object} index - From getLinkIndex
+ * @returns {string}
+ */
+export function repairProductUrls(text, index) {
+  return text.replace(PRODUCT_URL_PATTERN, (fullMatch, slug, id) => {
+    if (id.length === 24 && index.byId.has(id.toLowerCase())) return fullMatch;
+
+    const resolved = resolveProductReference(index, { slug, id });
+    if (!resolved) {
+      console.log(`🔍 Link fixer: no repair found for ${fullMatch}`);
+      return fullMatch;
+    }
+    console.log(`🔍 Link fixer: ${fullMatch} -> ${resolved.product.url} (via ${resolved.via})`);
+    return resolved.product.url;
+  });
+}
+
+/**
+ * Turns the first bare mention of each product name into a markdown link.
+ * Text inside existing links and URLs is never touched.
+ * @param {string} text - Answer text
+ * @param {Object} index - From getLinkIndex
+ * @returns {string}
+ */
+export function linkProductNames(text, index) {
+  if (!index.namePattern || !text) return text;
+
+  const linked = new Set();
+  const linkNames = segment => segment.replace(index.namePattern, (match, boldOpen, name, boldClose) => {
+    const product = index.byName.get(name.toLowerCase());
+    if (!product || linked.has(product.id)) return match;
+    linked.add(product.id);
+
+    // Keep bold around the link text rather than around the link
+    if (boldOpen && boldClose) return `[**${name}**](${product.url})`;
+    return `${boldOpen || ''}[${name}](${product.url})${boldClose || ''}`;
+  });
+
+  // Products that are already linked somewhere in the answer stay as they are
+  for (const [, link] of text.matchAll(/\]\((https:\/\/shop\.skysecure\.ai\/products\/[^)\s]+)\)/gi)) {
+    const idMatch = link.match(/--([a-f0-9]{24})\/?$/i);
+    const product = idMatch && index.byId.get(idMatch[1].toLowerCase());
+    if (product) linked.add(product.id);
+  }
+
+  let result = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(PROTECTED_PATTERN)) {
+    result += linkNames(text.substring(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  return result + linkNames(text.substring(lastIndex));
+}
+
+/**
+ * Link fixer for a catalog: repairs product URLs and, unless disabled, links
+ * bare product names. Cheap enough to run on every streamed segment.
+ * @param {Array} products - Products from productLoader
+ * @param {Object} options - { linkNames: false to only repair URLs (streamed segments) }
+ * @returns {function(string): string}
+ */
+export function createLinkFixer(products = [], { linkNames = true } = {}) {
+  const index = getLinkIndex(products);
+  return text => {
+    const repaired = repairProductUrls(text, index);
+    return linkNames ? linkProductNames(repaired, index) : repaired;
+  };
+}
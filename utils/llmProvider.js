@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import { makeRequest, makeStreamingRequest } from "./httpClient.js";
+import { readCompletionStream } from "./chatStreaming.js";
+
+/**
+ * LLM Provider - one interface for chat completions and embeddings
+ * Every provider exposes:
+ *   name, chatModel, embeddingModel, isConfigured()
+ *   chat(messages, options)       -> { content, toolCalls, finishReason, usage }
+ *   chatStream(messages, options) -> { deltas: AsyncGenerator<{content?, toolCall?, finishReason?}>, abort() }
+ *   embed(inputs, options)        -> Array<Array<number>> (same order as inputs)
+ * Passing `tools` (OpenAI function definitions) in options lets the model
+ * answer with tool calls instead of text; toolCalls use the OpenAI shape
+ * { id, type: 'function', function: { name, arguments } }.
+ * Selected with LLM_PROVIDER: "azure" (default), "openai" (any OpenAI-compatible
+ * server such as vLLM, Ollama or LM Studio) or "mock" (offline, deterministic).
+ */
+
+const AZURE_API_VERSION = "2024-02-15-preview";
+
+let activeProvider = null;
+
+/**
+ * Error for a failed API response; keeps the status and the server's
+ * Retry-After so throttling can be passed on to the client
+ */
+function apiError(message, response) {
+  return Object.assign(new Error(message), { status: response.status, retryAfterMs: response.retryAfterMs ?? null });
+}
+
+/**
+ * Builds a provider that talks the OpenAI REST dialect over HTTP.
+ * Azure and OpenAI-compatible servers differ only in URLs, auth headers and
+ * whether the model name goes in the body.
+ */
+function createHttpProvider({ name, chatModel, embeddingModel, chatUrl, embeddingsUrl, headers, includeModel, configured }) {
+  const buildBody = (model, body) => (includeModel ? { model, ...body } : body);
+
+  return {
+    name,
+    chatModel,
+    embeddingModel,
+
+    isConfigured() {
+      return configured;
+    },
+
+    async chat(messages, options = {}) {
+      const { timeout = 120000, retries = 3, signal, ...completionOptions } = options;
+      const response = await makeRequest(chatUrl, {
+        method: 'POST',
+        headers,
+        body: buildBody(chatModel, { messages, ...completionOptions }),
+        timeout,
+        signal,
+      }, retries);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw apiError(`${name} chat API error ${response.status}: ${errorText.substring(0, 200)}`, response);
+      }
+      const responseData = await response.json();
+
+      const choice = responseData.choices?.[0];
+      return {
+        content: choice?.message?.content || '',
+        toolCalls: choice?.message?.tool_calls || [],
+        finishReason: choice?.finish_reason || null,
+        usage: responseData.usage || null,
+      };
+    },
+
+    async chatStream(messages, options = {}) {
+      const { timeout = 120000, retries = 3, signal, ...completionOptions } = options;
+      const response = await makeStreamingRequest(chatUrl, {
+        method: 'POST',
+        headers,
+        body: buildBody(chatModel, { messages, ...completionOptions, stream: true }),
+        timeout,
+        signal,
+      }, retries);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw apiError(`${name} chat API error ${response.status}: ${errorText.substring(0, 200)}`, response);
+      }
+
+      return {
+        deltas: readCompletionStream(response.body),
+        abort: response.abort,
+      };
+    },
+
+    async embed(inputs, options = {}) {
+      const { timeout = 30000, retries = 3, signal } = options;
+      const response = await makeRequest(embeddingsUrl, {
+        method: 'POST',
+        headers,
+        body: buildBody(embeddingModel, { input: inputs }),
+        timeout,
+        signal,
+      }, retries);
+
+      if (!response.ok) {
+        throw apiError(`${name} embedding API error: ${response.status}`, response);
+      }
+
+      const responseData = await response.json();
+      if (!Array.isArray(responseData.data)) {
+        throw new Error(`${name} embedding API returned no data`);
+      }
+
+      // Keep vectors aligned with inputs even if the server reorders them
+      return [...responseData.data]
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => item.embedding);
+    },
+  };
+}
+
+/**
+ * Creates the Azure OpenAI provider (deployment-based URLs, api-key header)
+ * @param {Object} config - { endpoint, apiKey, chatDeployment, embeddingDeployment, apiVersion }
+ */
+export function createAzureOpenAIProvider({ endpoint, apiKey, chatDeployment, embeddingDeployment, apiVersion = AZURE_API_VERSION }) {
+  const base = endpoint ? (endpoint.endsWith('/') ? endpoint : endpoint + '/') : '';
+
+  return createHttpProvider({
+    name: 'azure',
+    chatModel: chatDeployment,
+    embeddingModel: embeddingDeployment,
+    chatUrl: `${base}openai/deployments/${chatDeployment}/chat/completions?api-version=${apiVersion}`,
+    embeddingsUrl: `${base}openai/deployments/${embeddingDeployment}/embeddings?api-version=${apiVersion}`,
+    headers: {
+      "api-key": apiKey,
+      "Content-Type": "application/json",
+    },
+    includeModel: false,
+    configured: Boolean(endpoint && apiKey),
+  });
+}
+
+/**
+ * Creates a provider for any OpenAI-compatible server (OpenAI, vLLM, Ollama, LM Studio)
+ * @param {Object} config - { baseUrl, apiKey, chatModel, embeddingModel }
+ */
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, chatModel, embeddingModel }) {
+  const base = baseUrl ? baseUrl.replace(/\/+$/, '') : '';
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+  return createHttpProvider({
+    name: 'openai',
+    chatModel,
+    embeddingModel,
+    chatUrl: `${base}/chat/completions`,
+    embeddingsUrl: `${base}/embeddings`,
+    headers,
+    includeModel: true,
+    configured: Boolean(baseUrl && chatModel),
+  });
+}
+
+/**
+ * Deterministic bag-of-words embedding: each token is hashed into a fixed
+ * number of dimensions, so texts sharing words have similar vectors.
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  tokens.forEach(token => {
+    const hash = crypto.createHash('md5').update(token).digest();
+    const index = hash.readUInt32BE(0) % dimensions;
+    vector[index] += hash[4] % 2 === 0 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Builds the mock answer: echoes the question and lists the first products
+ * (name + link) found in tool results or the system prompt, so link handling
+ * is exercised.
+ */
+function buildMockAnswer(messages) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const system = messages.find(m => m.role === 'system')?.content || '';
+
+  const lines = [`**Mock answer** for: "${(lastUser?.content || '').substring(0, 200)}"`];
+
+  messages.filter(m => m.role === 'tool').forEach(m => {
+    try {
+      const result = JSON.parse(m.content);
+      (result.products || []).forEach(product => {
+        if (lines.length < 4 && product.name && product.url) {
+          const price = product.price > 0 ? ` - ₹${product.price.toLocaleString('en-IN')} / ${product.billingCycle || 'One Time'}` : '';
+          lines.push(`- [**${product.name}**](${product.url})${price}`);
+        }
+      });
+    } catch (e) {
+      // Not JSON - nothing to list
+    }
+  });
+
+  const productPattern = /Product:\s*(.+)\n[\s\S]*?Link:\s*(\S+)/g;
+  let match;
+  while ((match = productPattern.exec(system)) !== null && lines.length < 4) {
+    lines.push(`- [**${match[1].trim()}**](${match[2]})`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Mock tool use: when tools are offered and none has run since the user's last
+ * message, search the catalog for that message
+ */
+function buildMockToolCalls(messages, tools) {
+  const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+  const toolRanSinceUser = messages.slice(lastUserIndex + 1).some(m => m.role === 'tool');
+  const canSearch = (tools || []).some(tool => tool.function?.name === 'search_products');
+  if (!canSearch || lastUserIndex === -1 || toolRanSinceUser) return [];
+
+  return [{
+    id: `call_mock_${lastUserIndex}`,
+    type: 'function',
+    function: {
+      name: 'search_products',
+      arguments: JSON.stringify({ query: messages[lastUserIndex].content }),
+    },
+  }];
+}
+
+/**
+ * Creates the offline mock provider: no network, same output for the same input
+ * @param {Object} config - { dimensions, chunkSize }
+ */
+export function createMockProvider({ dimensions = 256, chunkSize = 12 } = {}) {
+  return {
+    name: 'mock',
+    chatModel: 'mock-chat',
+    embeddingModel: `mock-embedding-${dimensions}`,
+
+    isConfigured() {
+      return true;
+    },
+
+    async chat(messages, options = {}) {
+      const toolCalls = buildMockToolCalls(messages, options.tools);
+      if (toolCalls.length > 0) {
+        return { content: '', toolCalls, finishReason: 'tool_calls', usage: null };
+      }
+      return { content: buildMockAnswer(messages), toolCalls: [], finishReason: 'stop', usage: null };
+    },
+
+    async chatStream(messages, options = {}) {
+      const toolCalls = buildMockToolCalls(messages, options.tools);
+      const content = toolCalls.length > 0 ? '' : buildMockAnswer(messages);
+      let aborted = false;
+
+      async function* deltas() {
+        if (toolCalls.length > 0) {
+          for (const [index, toolCall] of toolCalls.entries()) {
+            yield { toolCall: { index, id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments } };
+          }
+          yield { finishReason: 'tool_calls' };
+          return;
+        }
+
+        for (let i = 0; i < content.length && !aborted; i += chunkSize) {
+          yield { content: content.substring(i, i + chunkSize) };
+        }
+        yield { finishReason: aborted ? 'aborted' : 'stop' };
+      }
+
+      return { deltas: deltas(), abort: () => { aborted = true; } };
+    },
+
+    async embed(inputs) {
+      return inputs.map(text => hashEmbedding(text, dimensions));
+    },
+  };
+}
+
+/**
+ * Creates the provider selected by LLM_PROVIDER from environment settings
+ * @returns {Object} - LLM provider
+ */
+export function createProviderFromEnv() {
+  const providerName = (process.env.LLM_PROVIDER || 'azure').toLowerCase();
+
+  switch (providerName) {
+    case 'mock':
+      return createMockProvider();
+
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        chatModel: process.env.OPENAI_CHAT_MODEL,
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-large",
+      });
+
+    default:
+      if (providerName !== 'azure') {
+        console.warn(`Unknown LLM_PROVIDER "${providerName}", using Azure OpenAI`);
+      }
+      return createAzureOpenAIProvider({
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        chatDeployment: process.env.AZURE_AI_AGENT_MODEL_DEPLOYMENT_NAME || "gpt-4o",
+        embeddingDeployment: process.env.AZURE_OPENAI_EMBEDDING_MODEL || "text-embedding-3-large",
+      });
+  }
+}
+
+/**
+ * Returns the process-wide provider, created on first use so .env is loaded
+ * @returns {Object} - LLM provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replaces the process-wide provider (e.g. a mock in scripts)
+ * @param {Object} provider - LLM provider
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
@@ -1,32 +1,44 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateCatalogFiles, formatSchemaError } from './catalogSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const SIGNAL_FILES = {
+  marketplaceSignals: 'marketplace_signals.json',
+  categoryRankings: 'category_rankings.json',
+  oemRankings: 'oem_rankings.json',
+};
+
 // In-memory cache for marketplace signals
 let signalsCache = {
   marketplaceSignals: null,
   categoryRankings: null,
   oemRankings: null,
-  lastLoad: null,
 };
 
+function emptySignals() {
+  return {
+    marketplaceSignals: { bestSelling: [], featured: [], recentlyAdded: [] },
+    categoryRankings: {},
+    oemRankings: {},
+  };
+}
+
 /**
- * Loads marketplace signals from JSON files
+ * Loads marketplace signals from JSON files. They are read once; later
+ * changes go live through catalogReloader, which validates them first.
+ * Files that fail their schema are not installed (empty signals are served
+ * until a valid reload), the same policy as a reload.
  * @returns {Promise<Object>} - Object containing marketplaceSignals, categoryRankings, and oemRankings
  */
 export async function loadMarketplaceSignals() {
   try {
-    // Return cached data if available (cache for 1 hour)
-    const now = Date.now();
-    const cacheAge = 60 * 60 * 1000; // 1 hour
-    if (signalsCache.marketplaceSignals && 
-        signalsCache.categoryRankings && 
-        signalsCache.oemRankings &&
-        signalsCache.lastLoad &&
-        (now - signalsCache.lastLoad) < cacheAge) {
+    if (signalsCache.marketplaceSignals &&
+        signalsCache.categoryRankings &&
+        signalsCache.oemRankings) {
       console.log("Using cached marketplace signals");
       return {
         marketplaceSignals: signalsCache.marketplaceSignals,
@@ -36,27 +48,19 @@ export async function loadMarketplaceSignals() {
     }
 
     console.log("Loading marketplace signals from JSON files...");
-    
-    // Load marketplace_signals.json
-    const signalsPath = path.join(__dirname, 'data', 'marketplace_signals.json');
-    const signalsContent = fs.readFileSync(signalsPath, 'utf-8');
-    const marketplaceSignals = JSON.parse(signalsContent);
-    
-    // Load category_rankings.json
-    const categoryPath = path.join(__dirname, 'data', 'category_rankings.json');
-    const categoryContent = fs.readFileSync(categoryPath, 'utf-8');
-    const categoryRankings = JSON.parse(categoryContent);
-    
-    // Load oem_rankings.json
-    const oemPath = path.join(__dirname, 'data', 'oem_rankings.json');
-    const oemContent = fs.readFileSync(oemPath, 'utf-8');
-    const oemRankings = JSON.parse(oemContent);
+    const { marketplaceSignals, categoryRankings, oemRankings } = readMarketplaceSignalFiles();
+
+    const schemaErrors = validateCatalogFiles({ marketplaceSignals, categoryRankings, oemRankings });
+    if (schemaErrors.length > 0) {
+      console.error(`❌ Marketplace signals have ${schemaErrors.length} schema errors; serving none until a valid catalog reload:`);
+      schemaErrors.slice(0, 10).forEach(error => console.error(`   - ${formatSchemaError(error)}`));
+      const empty = emptySignals();
+      replaceMarketplaceSignals(empty);
+      return empty;
+    }
     
     // Update cache
-    signalsCache.marketplaceSignals = marketplaceSignals;
-    signalsCache.categoryRankings = categoryRankings;
-    signalsCache.oemRankings = oemRankings;
-    signalsCache.lastLoad = now;
+    replaceMarketplaceSignals({ marketplaceSignals, categoryRankings, oemRankings });
     
     console.log(`✅ Loaded marketplace signals:`);
     console.log(`   - Best Selling: ${marketplaceSignals.bestSelling?.length || 0} products`);
@@ -73,15 +77,44 @@ export async function loadMarketplaceSignals() {
   } catch (error) {
     console.error("Error loading marketplace signals:", error.message);
     console.error("Stack:", error.stack);
+    // Keep serving the last good signals if a refresh hits a broken file
+    if (signalsCache.marketplaceSignals) {
+      return {
+        marketplaceSignals: signalsCache.marketplaceSignals,
+        categoryRankings: signalsCache.categoryRankings,
+        oemRankings: signalsCache.oemRankings,
+      };
+    }
     // Return empty structure on error
-    return {
-      marketplaceSignals: { bestSelling: [], featured: [], recentlyAdded: [] },
-      categoryRankings: {},
-      oemRankings: {},
-    };
+    return emptySignals();
   }
 }
 
+/**
+ * Reads and parses the three signal files without touching the cache
+ * (throws on a missing or malformed file)
+ * @returns {Object} - { marketplaceSignals, categoryRankings, oemRankings }
+ */
+export function readMarketplaceSignalFiles() {
+  const readJson = (fileName) => JSON.parse(fs.readFileSync(path.join(__dirname, 'data', fileName), 'utf-8'));
+
+  return {
+    marketplaceSignals: readJson(SIGNAL_FILES.marketplaceSignals),
+    categoryRankings: readJson(SIGNAL_FILES.categoryRankings),
+    oemRankings: readJson(SIGNAL_FILES.oemRankings),
+  };
+}
+
+/**
+ * Swaps in new signals (used by catalog reloads)
+ * @param {Object} signals - { marketplaceSignals, categoryRankings, oemRankings }
+ */
+export function replaceMarketplaceSignals({ marketplaceSignals, categoryRankings, oemRankings }) {
+  signalsCache.marketplaceSignals = marketplaceSignals;
+  signalsCache.categoryRankings = categoryRankings;
+  signalsCache.oemRankings = oemRankings;
+}
+
 /**
  * Resolves product IDs to actual product objects
  * @param {Array<string>} productIds - Array of product IDs
@@ -0,0 +1,139 @@
+/**
+ * Price Text Parser - typed fields from a product page's scraped text
+ * raw.priceText is the product page flattened to lines:
+ *
+ *   Home / Software / <Category> / <Name> / <Vendor> / ✓ In Stock / ★ x6 / 4.5 /
+ *   <Name> / <tagline> / ₹5140.08 / ₹ / 5841 / 12% off / Quantity ... /
+ *   Subscription Plan / Yearly / ₹5140.08 / Monthly / ₹514.01 / Buy Now ...
+ *
+ * The price block (selling price, list price, "% off") shows whichever plan the
+ * page selects by default, which is not always the catalog's default cycle; its
+ * list price and discount are attached to the plan with that selling price, so
+ * they can be read per billing cycle.
+ *
+ * Everything is optional: a field that can't be found is null (or [] for lists).
+ */
+
+const PRICE_LINE = /^₹\s*([\d,]+(?:\.\d+)?)$/;
+const NUMBER_LINE = /^[\d,]+(?:\.\d+)?$/;
+const RATING_LINE = /^\d(?:\.\d+)?$/;
+const DISCOUNT_LINE = /^(\d+(?:\.\d+)?)\s*%\s*off$/i;
+
+// Lines that are page chrome rather than a vendor name
+const NOT_A_VENDOR = ['home', 'software', 'category', 'in stock', '✓ in stock', 'out of stock', 'add to cart', 'buy now'];
+
+// Subscription plan labels -> pricing keys used in products_normalized.json
+const PLAN_CYCLES = {
+  monthly: 'monthly',
+  yearly: 'yearly',
+  annual: 'yearly',
+  '1 year': 'yearly',
+  '3 year': 'triennial',
+  '3 years': 'triennial',
+  triennial: 'triennial',
+  'one time': 'oneTime',
+  onetime: 'oneTime',
+  perpetual: 'oneTime',
+};
+
+function parseAmount(text) {
+  const value = parseFloat(String(text).replace(/,/g, ''));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parses one product's priceText
+ * @param {string} priceText - raw.priceText from products_normalized.json
+ * @param {string} productName - Product name, used to find where the breadcrumb ends
+ * @returns {Object} - { rating, listPrice, sellingPrice, discountPercent (the price block, whichever plan it shows), inStock,
+ *   plans: [{ label, cycle, price, listPrice, discountPercent }], categoryPath, vendor }
+ */
+export function parsePriceText(priceText = '', productName = '') {
+  const parsed = {
+    rating: null,
+    listPrice: null,
+    sellingPrice: null,
+    discountPercent: null,
+    inStock: null,
+    plans: [],
+    categoryPath: [],
+    vendor: null,
+  };
+  if (!priceText) return parsed;
+
+  const lines = priceText.split('\n').map(line => line.trim()).filter(Boolean);
+  const name = productName.trim().toLowerCase();
+
+  // Breadcrumb: "Home" > ... up to the product name (3 levels if the name isn't found)
+  let nameIndex = name ? lines.findIndex(line => line.toLowerCase() === name) : -1;
+  if (nameIndex === -1 || nameIndex > 6) nameIndex = 3;
+  parsed.categoryPath = lines.slice(0, nameIndex).filter(line => line.toLowerCase() !== 'home');
+
+  const vendorLine = lines[nameIndex + 1];
+  if (vendorLine && vendorLine.length < 50 && !NOT_A_VENDOR.includes(vendorLine.toLowerCase()) && !vendorLine.startsWith('★')) {
+    parsed.vendor = vendorLine;
+  }
+
+  // Stock badge
+  if (lines.some(line => /out of stock/i.test(line))) parsed.inStock = false;
+  else if (lines.some(line => /^✓?\s*in stock$/i.test(line))) parsed.inStock = true;
+
+  // Rating: the number right after the row of stars
+  const firstStar = lines.findIndex(line => line === '★');
+  if (firstStar !== -1) {
+    const ratingLine = lines.slice(firstStar).find(line => line !== '★');
+    const rating = ratingLine && RATING_LINE.test(ratingLine) ? parseFloat(ratingLine) : null;
+    if (rating !== null && rating <= 5) parsed.rating = rating;
+  }
+
+  // Price block: selling price, then the struck-through list price ("₹" / "5841"), then "12% off"
+  const quantityIndex = lines.findIndex(line => line.toLowerCase() === 'quantity');
+  const priceBlockEnd = quantityIndex === -1 ? lines.length : quantityIndex;
+  for (let i = Math.max(firstStar, 0); i < priceBlockEnd; i++) {
+    const line = lines[i];
+    const priceMatch = line.match(PRICE_LINE);
+    if (priceMatch && parsed.sellingPrice === null) {
+      parsed.sellingPrice = parseAmount(priceMatch[1]);
+    } else if (priceMatch && parsed.listPrice === null) {
+      parsed.listPrice = parseAmount(priceMatch[1]);
+    } else if (line === '₹' && NUMBER_LINE.test(lines[i + 1] || '') && parsed.sellingPrice !== null) {
+      parsed.listPrice = parseAmount(lines[i + 1]);
+      i++;
+    } else {
+      const discountMatch = line.match(DISCOUNT_LINE);
+      if (discountMatch) parsed.discountPercent = parseFloat(discountMatch[1]);
+    }
+  }
+
+  // The page rounds the badge; fall back to computing it when there is no badge
+  if (parsed.discountPercent === null && parsed.listPrice > 0 && parsed.sellingPrice !== null && parsed.listPrice > parsed.sellingPrice) {
+    parsed.discountPercent = Math.round((1 - parsed.sellingPrice / parsed.listPrice) * 100);
+  }
+
+  // Subscription plans: label line followed by its price, until "Buy Now"
+  const planIndex = lines.findIndex(line => line.toLowerCase() === 'subscription plan');
+  if (planIndex !== -1) {
+    for (let i = planIndex + 1; i < lines.length - 1; i++) {
+      if (/^buy now$/i.test(lines[i])) break;
+      const priceMatch = lines[i + 1].match(PRICE_LINE);
+      if (!priceMatch) continue;
+      parsed.plans.push({
+        label: lines[i],
+        cycle: PLAN_CYCLES[lines[i].toLowerCase()] || null,
+        price: parseAmount(priceMatch[1]),
+        listPrice: null,
+        discountPercent: null,
+      });
+      i++;
+    }
+  }
+
+  // Only a plan that unambiguously matches the price block gets its list price
+  const shownPlans = parsed.plans.filter(plan => plan.price === parsed.sellingPrice);
+  if (shownPlans.length === 1 && parsed.listPrice !== null && parsed.listPrice >= parsed.sellingPrice) {
+    shownPlans[0].listPrice = parsed.listPrice;
+    shownPlans[0].discountPercent = parsed.discountPercent;
+  }
+
+  return parsed;
+}
@@ -0,0 +1,73 @@
+/**
+ * Product Cards - structured products for the chat widget
+ * Pulls the products an answer recommends out of its markdown and returns
+ * them as catalog-validated cards, so the frontend never has to regex links
+ * back out of the message.
+ */
+
+const PRODUCT_URL_PATTERN = /https:\/\/shop\.skysecure\.ai\/products\/[^\s"')\]]+/gi;
+const PRODUCT_ID_SUFFIX = /--([a-f0-9]{24})\/?$/i;
+
+// Cards never list more products than a reasonable answer would recommend
+const MAX_CARDS = 20;
+
+/**
+ * Card view of a catalog product
+ * @param {Object} product - Product from productLoader
+ * @returns {Object} - { id, name, vendor, price, listPrice, discountPercent, rating, inStock, billingCycle, category, url, badges }
+ */
+export function toProductCard(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    vendor: product.vendor,
+    price: product.price,
+    listPrice: product.listPrice ?? null,
+    discountPercent: product.discountPercent ?? null,
+    rating: product.rating ?? null,
+    inStock: product.inStock ?? null,
+    billingCycle: product.billingCycle,
+    category: product.category,
+    url: product.url,
+    badges: {
+      isTopSelling: Boolean(product.isTopSelling),
+      isFeatured: Boolean(product.isFeatured),
+      isLatest: Boolean(product.isLatest),
+    },
+  };
+}
+
+/**
+ * Finds the catalog products linked in an answer, in the order they appear.
+ * Links are matched by the product id at the end of the URL, then by the
+ * full URL; anything that is not in the catalog is dropped.
+ * @param {string} answer - Final (link-fixed) bot answer
+ * @param {Array} products - Products from productLoader
+ * @returns {Array<Object>} - Product cards
+ */
+export function extractProductCards(answer, products = []) {
+  if (!answer || products.length === 0) return [];
+
+  const byId = new Map();
+  const byUrl = new Map();
+  products.forEach(product => {
+    if (product.id) byId.set(String(product.id).toLowerCase(), product);
+    if (product.url) byUrl.set(product.url.toLowerCase(), product);
+  });
+
+  const cards = [];
+  const seen = new Set();
+
+  for (const [url] of answer.matchAll(PRODUCT_URL_PATTERN)) {
+    const idMatch = url.match(PRODUCT_ID_SUFFIX);
+    const product = (idMatch && byId.get(idMatch[1].toLowerCase())) || byUrl.get(url.toLowerCase());
+
+    if (!product || seen.has(product.id)) continue;
+    seen.add(product.id);
+    cards.push(toProductCard(product));
+
+    if (cards.length >= MAX_CARDS) break;
+  }
+
+  return cards;
+}
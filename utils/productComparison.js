@@ -0,0 +1,220 @@
+import { getLexicalIndex, searchLexical, tokenize } from "./lexicalIndex.js";
+import { searchProducts, extractProductSpecs } from "./productSearcher.js";
+
+/**
+ * Product Comparison - side-by-side attribute matrix for 2-4 products
+ * Used by POST /api/compare and by the chat's compare_products tool, so both
+ * show exactly the same numbers.
+ */
+
+export const MIN_COMPARE_PRODUCTS = 2;
+export const MAX_COMPARE_PRODUCTS = 4;
+
+// Pricing cycles in display order
+const PRICE_CYCLES = [
+  { key: 'monthly', label: 'Price (Monthly)' },
+  { key: 'yearly', label: 'Price (Yearly)' },
+  { key: 'triennial', label: 'Price (3 Years)' },
+  { key: 'oneTime', label: 'Price (One Time)' },
+];
+
+// Share of a requested name's terms a BM25 match must contain
+const MIN_NAME_COVERAGE = 0.6;
+
+// More specific names first so "Business Premium" wins over "Premium"
+const EDITIONS = [
+  'Business Basic', 'Business Standard', 'Business Premium', 'Apps for Business', 'Apps for Enterprise',
+  'Datacenter', 'Enterprise', 'Standard', 'Professional', 'Premium', 'Essentials', 'Developer',
+  'Express', 'Basic', 'Home', 'Pro', 'Web',
+  'E1', 'E3', 'E5', 'F1', 'F3', 'A1', 'A3', 'A5', 'G3', 'G5', 'P1', 'P2',
+];
+
+/**
+ * True if two terms are equal or, for longer words, one edit apart ("powr"/"power")
+ */
+function termsMatch(a, b, allowTypo) {
+  if (a === b) return true;
+  if (!allowTypo || Math.min(a.length, b.length) < 4 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Whether a product's name covers enough of the requested name's terms
+ */
+function nameCovers(product, needle, allowTypo) {
+  const nameTerms = tokenize(product.name);
+  const needleTerms = tokenize(needle);
+  if (needleTerms.length === 0) return false;
+
+  const covered = needleTerms.filter(term => nameTerms.some(nameTerm => termsMatch(term, nameTerm, allowTypo))).length;
+  return covered / needleTerms.length >= MIN_NAME_COVERAGE;
+}
+
+/**
+ * Resolves a product from an id or a (possibly misspelled) name: exact id,
+ * exact name, best BM25 match on the name, then the fuzzy scorer for typos
+ * @param {string} idOrName - Product id or name
+ * @param {Array} products - Products from productLoader
+ * @returns {Object|null}
+ */
+export function resolveProduct(idOrName, products) {
+  if (!idOrName || !products || products.length === 0) return null;
+  const needle = String(idOrName).trim();
+
+  const byId = products.find(product => product.id === needle || product._id === needle);
+  if (byId) return byId;
+
+  const lower = needle.toLowerCase();
+  const byName = products.find(product => (product.name || '').toLowerCase() === lower);
+  if (byName) return byName;
+
+  // A match only counts if its name covers most of the requested terms;
+  // otherwise "Microsoft anything" would resolve to some Microsoft product
+  const [best] = searchLexical(getLexicalIndex(products), needle, 1);
+  if (best && nameCovers(best.product, needle, false)) return best.product;
+
+  const [fuzzy] = searchProducts(needle, products, 0.3);
+  const fuzzyProduct = fuzzy ? products.find(product => product.id === fuzzy.id) : null;
+  return fuzzyProduct && nameCovers(fuzzyProduct, needle, true) ? fuzzyProduct : null;
+}
+
+/**
+ * Licence term from the name ("... 3 Year"), the subscription hint or the billing cycle
+ */
+function extractTerm(product) {
+  const name = product.name || '';
+  const yearMatch = name.match(/(\d+)[\s-]*years?\b/i);
+  if (yearMatch) {
+    const years = parseInt(yearMatch[1], 10);
+    return `${years} ${years === 1 ? 'Year' : 'Years'}`;
+  }
+
+  const hint = product._fullData?.raw?.subscriptionHint;
+  if (hint) return hint;
+
+  switch ((product.billingCycle || '').toLowerCase()) {
+    case 'monthly': return 'Monthly';
+    case 'yearly': return '1 Year';
+    case 'one time': return 'One Time';
+    default: return product.billingCycle || null;
+  }
+}
+
+/**
+ * Edition named in the product name (Standard, Datacenter, E5, Business Premium, ...)
+ */
+function extractEdition(productName = '') {
+  const edition = EDITIONS.find(candidate =>
+    new RegExp(`\\b${candidate.replace(/ /g, '\\s+')}\\b`, 'i').test(productName)
+  );
+  return edition || null;
+}
+
+/**
+ * Users/seats/devices named in the product name ("25 Users", "5 Devices")
+ */
+function extractUsers(productName = '') {
+  const match = productName.match(/(\d+)\s*(?:users?|seats?|devices?)\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Normalized attributes of one product
+ * @param {Object} product - Product from productLoader
+ * @returns {Object}
+ */
+export function getComparableAttributes(product) {
+  const specs = extractProductSpecs(product.name || '');
+  const pricing = product.pricing || {};
+
+  return {
+    vendor: product.vendor || null,
+    category: product.category || null,
+    ...Object.fromEntries(PRICE_CYCLES.map(cycle => [`price_${cycle.key}`, pricing[cycle.key] ?? null])),
+    term: extractTerm(product),
+    edition: extractEdition(product.name),
+    cores: /core/i.test(product.name || '') ? specs.cores : null,
+    vcpu: /vcpu/i.test(product.name || '') ? specs.vcpu : null,
+    ram: specs.ram,
+    storage: specs.storage,
+    users: extractUsers(product.name),
+    features: product.features || [],
+  };
+}
+
+/**
+ * Compares 2-4 products given as ids or names
+ * @param {Array<string>} idsOrNames - Product ids and/or names
+ * @param {Array} products - Products from productLoader
+ * @returns {Object} - { products, notFound, attributes: [{ key, label, values, differs }], currency }
+ */
+export function compareProducts(idsOrNames, products) {
+  const resolved = [];
+  const notFound = [];
+
+  (idsOrNames || []).forEach(idOrName => {
+    const product = resolveProduct(idOrName, products);
+    if (!product) notFound.push(idOrName);
+    else if (!resolved.includes(product)) resolved.push(product);
+  });
+
+  const attributesByProduct = resolved.map(getComparableAttributes);
+
+  const rows = [
+    { key: 'vendor', label: 'Vendor' },
+    { key: 'category', label: 'Category' },
+    ...PRICE_CYCLES.map(cycle => ({ key: `price_${cycle.key}`, label: cycle.label })),
+    { key: 'term', label: 'Term' },
+    { key: 'edition', label: 'Edition' },
+    { key: 'cores', label: 'Cores' },
+    { key: 'vcpu', label: 'vCPU' },
+    { key: 'ram', label: 'RAM (GB)' },
+    { key: 'storage', label: 'Storage (GB)' },
+    { key: 'users', label: 'Users' },
+    { key: 'features', label: 'Features' },
+  ];
+
+  const attributes = rows
+    .map(row => {
+      const values = attributesByProduct.map(attributes => attributes[row.key]);
+      const distinct = new Set(values.map(value => JSON.stringify(value)));
+      return { ...row, values, differs: distinct.size > 1 };
+    })
+    // Drop rows no compared product has a value for
+    .filter(row => row.values.some(value => value !== null && !(Array.isArray(value) && value.length === 0)));
+
+  return {
+    products: resolved.map(product => ({ id: product.id, name: product.name, url: product.url })),
+    notFound,
+    attributes,
+    currency: resolved[0]?.currency || 'INR',
+  };
+}
+
+/**
+ * Whether a chat message asks for a comparison ("compare", "X vs Y",
+ * "difference between ...", or the "Compare Options" quick reply)
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+export function isComparisonRequest(message = '') {
+  return /\b(compare|comparison|versus|vs)\b|\bdifferences? between\b/i.test(message);
+}
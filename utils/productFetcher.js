@@ -731,7 +731,7 @@ export async function fetchAllProducts(websiteContent = "", intentInfo = null) {
       });
     }
 
-    console.log(`  - Grouped by Final Category: ${Object.keys(finalByCategory).length}`);
+    console.log(`  - Grouped by Final Category: ${new Set(products.map(product => product.category)).size}`);
 
     console.log(`${'='.repeat(80)}\n`);
 
@@ -809,6 +809,15 @@ function formatPriceDetails(product) {
   return details.join(" | ");
 }
 
+/**
+ * Drops the formatted knowledge base so it is rebuilt from the current catalog
+ */
+export function clearKnowledgeBaseCache() {
+  kbCache.base = null;
+  kbCache.full = null;
+  kbCache.lastUpdate = null;
+}
+
 /**
  * Formats product data into a knowledge base string
  * @param {Array} products - Array of product objects
@@ -1,10 +1,17 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { PRODUCT_SCHEMA, validateAgainstSchema, formatSchemaError } from './catalogSchema.js';
+import { parsePriceText } from './priceTextParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const PRODUCTS_FILE_PATH = path.join(__dirname, 'data', 'products_normalized.json');
+
+// Keys of product.pricing
+export const BILLING_CYCLES = ['monthly', 'yearly', 'triennial', 'oneTime'];
+
 // Cache for loaded products
 let productCache = null;
 
@@ -20,23 +27,102 @@ export async function loadProductsFromJSON() {
       return productCache;
     }
 
-    const jsonPath = path.join(__dirname, 'data', 'products_normalized.json');
-    console.log(`Loading products from: ${jsonPath}`);
-
-    const fileContent = fs.readFileSync(jsonPath, 'utf-8');
-    const products = JSON.parse(fileContent);
+    console.log(`Loading products from: ${PRODUCTS_FILE_PATH}`);
+    const products = readProductsFile();
 
     console.log(`✅ Loaded ${products.length} products from JSON file`);
 
-    // Convert JSON format to expected format for the system
-    productCache = products.map(product => ({
+    // Same policy as catalog reloads: invalid products are left out (and
+    // reported) instead of being filled with defaults
+    const { products: validProducts } = selectValidProducts(products);
+    if (validProducts.length === 0) {
+      throw new Error('products_normalized.json has no valid products');
+    }
+
+    productCache = normalizeProducts(validProducts);
+    return productCache;
+  } catch (error) {
+    console.error("Error loading products from JSON:", error.message);
+    console.error("Stack:", error.stack);
+    return [];
+  }
+}
+
+/**
+ * Reads and parses products_normalized.json without touching the cache
+ * (throws on a missing or malformed file)
+ * @param {string} jsonPath - File to read
+ * @returns {Array} - Raw products as stored in the file
+ */
+export function readProductsFile(jsonPath = PRODUCTS_FILE_PATH) {
+  const fileContent = fs.readFileSync(jsonPath, 'utf-8');
+  return JSON.parse(fileContent);
+}
+
+/**
+ * Drops products that fail PRODUCT_SCHEMA or repeat an earlier product's id,
+ * logging why. Used both at startup and on catalog reloads, so one bad product
+ * never holds back the rest of the catalog.
+ * @param {Array} products - Raw products from products_normalized.json
+ * @returns {{products: Array, skipped: Array<string>}} - Valid products, and one message per skipped product
+ */
+export function selectValidProducts(products) {
+  if (!Array.isArray(products)) {
+    throw new Error('products_normalized.json must contain an array');
+  }
+
+  const skipped = [];
+  const seenIds = new Set();
+  const validProducts = products.filter((product, index) => {
+    const errors = validateAgainstSchema(product, PRODUCT_SCHEMA, `$[${index}]`);
+    if (errors.length === 0 && seenIds.has(product.id)) {
+      errors.push({ path: `$[${index}].id`, message: `duplicate id ${product.id}` });
+    }
+    if (errors.length > 0) {
+      skipped.push(errors.map(error => formatSchemaError({ file: 'products_normalized.json', ...error })).join('; '));
+      return false;
+    }
+    seenIds.add(product.id);
+    return true;
+  });
+
+  if (skipped.length > 0) {
+    console.warn(`⚠️ Skipped ${skipped.length} products that failed schema validation:`);
+    skipped.slice(0, 10).forEach(message => console.warn(`   - ${message}`));
+  }
+  return { products: validProducts, skipped };
+}
+
+/**
+ * Swaps in a new product list (used by catalog reloads)
+ * @param {Array} products - Products from normalizeProducts
+ */
+export function replaceProductCache(products) {
+  productCache = products;
+}
+
+/**
+ * Converts products from the JSON file format to the format used by the system
+ * @param {Array} products - Raw products from products_normalized.json
+ * @returns {Array} - Normalized products
+ */
+export function normalizeProducts(products) {
+  return products.map(product => {
+    const page = parsePriceText(product.raw?.priceText, product.name);
+    const price = getPrice(product);
+    // The page's plan for the cycle `price` is for; its list price and discount
+    // only count when the page shows the same price (null otherwise)
+    const cyclePlan = page.plans.find(plan => plan.cycle === getPriceCycle(product));
+    const pricedPlan = cyclePlan?.price === price ? cyclePlan : null;
+
+    return {
       id: product.id,
       _id: product.id,
       name: product.name,
       category: product.category || 'Uncategorized',
       subCategory: product.category || 'General', // Use category as subCategory if not specified
-      vendor: extractVendorFromProduct(product),
-      price: getPrice(product),
+      vendor: extractVendorFromProduct(product, page),
+      price,
       billingCycle: getBillingCycle(product),
       description: product.description?.clean || product.description?.raw || '',
       descriptionRaw: product.description?.raw || '',
@@ -44,37 +130,30 @@ export async function loadProductsFromJSON() {
       features: product.features || [],
       pricing: product.pricing || {},
       currency: product.currency || 'INR',
+      // Parsed from the product page text (null when the page doesn't show it)
+      rating: page.rating,
+      listPrice: pricedPlan?.listPrice ?? null,
+      sellingPrice: cyclePlan?.price ?? null,
+      discountPercent: pricedPlan?.discountPercent ?? null,
+      inStock: page.inStock,
+      plans: page.plans,
+      categoryPath: page.categoryPath,
       isFeatured: false,
       isTopSelling: false,
       isLatest: false,
       // Store full product data for semantic search
       _fullData: product
-    }));
-
-    return productCache;
-  } catch (error) {
-    console.error("Error loading products from JSON:", error.message);
-    console.error("Stack:", error.stack);
-    return [];
-  }
+    };
+  });
 }
 
 /**
  * Extracts vendor/OEM from product data
  */
-function extractVendorFromProduct(product) {
-  // 1. Try to extract from raw priceText (most accurate if available from scraper)
-  if (product.raw && product.raw.priceText) {
-    const lines = product.raw.priceText.split('\n');
-    // Usually line 4 (index 4) is the vendor in the standard layout
-    // Home > Software > Category > Name > Vendor
-    if (lines.length > 5) {
-      const potentialVendor = lines[4].trim();
-      const ignoredLines = ['home', 'software', 'category', 'in stock', 'out of stock', 'add to cart', 'buy now'];
-      if (potentialVendor && !ignoredLines.includes(potentialVendor.toLowerCase()) && potentialVendor.length < 50) {
-        return potentialVendor;
-      }
-    }
+function extractVendorFromProduct(product, page = parsePriceText(product.raw?.priceText, product.name)) {
+  // 1. The vendor line under the product name on the scraped page (most accurate)
+  if (page.vendor) {
+    return page.vendor;
   }
 
   // 2. Keyword matching from name/description
@@ -150,12 +229,20 @@ function extractVendorFromProduct(product) {
  * Gets price from product
  */
 function getPrice(product) {
+  const cycle = getPriceCycle(product);
+  return cycle ? product.pricing[cycle] : 0;
+}
+
+/**
+ * Pricing key getPrice reads (null when the product has no price)
+ */
+function getPriceCycle(product) {
   if (product.pricing) {
-    if (product.pricing.yearly) return product.pricing.yearly;
-    if (product.pricing.monthly) return product.pricing.monthly;
-    if (product.pricing.oneTime) return product.pricing.oneTime;
+    if (product.pricing.yearly) return 'yearly';
+    if (product.pricing.monthly) return 'monthly';
+    if (product.pricing.oneTime) return 'oneTime';
   }
-  return 0;
+  return null;
 }
 
 /**
@@ -179,80 +266,92 @@ function getBillingCycle(product) {
 }
 
 /**
- * Converts products to searchable text chunks for semantic search
- * @param {Array} products - Array of product objects
- * @returns {Array<string>} - Array of text chunks
+ * "Pricing: ₹x / Monthly | ₹y / Yearly" line for a product (null without a price)
+ * @param {Object} product - Normalized product
+ * @returns {string|null}
  */
-export function productsToTextChunks(products) {
-  const chunks = [];
+function formatPricingLine(product) {
+  if (product.pricing && Object.keys(product.pricing).length > 0) {
+    const prices = [];
+    if (product.pricing.monthly) prices.push(`₹${product.pricing.monthly.toLocaleString('en-IN')} / Monthly`);
+    if (product.pricing.yearly) prices.push(`₹${product.pricing.yearly.toLocaleString('en-IN')} / Yearly`);
+
+    const isTriennial = product.pricing.triennial ||
+      (product.pricing.oneTime &&
+        ((product.name && product.name.toLowerCase().includes("3 year")) ||
+          (product.subscriptionHint && product.subscriptionHint.toLowerCase().includes("3 year")) ||
+          (product.raw && product.raw.subscriptionHint && product.raw.subscriptionHint.toLowerCase().includes("3 year")) ||
+          (product.billingCycle && product.billingCycle.toLowerCase().includes("3 year"))));
+
+    if (product.pricing.triennial) {
+      prices.push(`₹${product.pricing.triennial.toLocaleString('en-IN')} / 3 Years`);
+    } else if (isTriennial && product.pricing.oneTime) {
+      prices.push(`₹${product.pricing.oneTime.toLocaleString('en-IN')} / 3 Years`);
+    } else if (product.pricing.oneTime) {
+      prices.push(`₹${product.pricing.oneTime.toLocaleString('en-IN')} / One Time`);
+    }
 
-  products.forEach((product, index) => {
-    // Create a comprehensive text chunk for each product
-    let chunk = `Product: ${product.name}\n`;
+    return prices.length > 0 ? `Pricing: ${prices.join(' | ')}` : null;
+  }
+  if (product.price > 0) {
+    return `Price: ₹${product.price.toLocaleString('en-IN')} / ${product.billingCycle}`;
+  }
+  return null;
+}
 
-    if (product.category) {
-      chunk += `Category: ${product.category}\n`;
-    }
+/**
+ * Filterable attributes stored with each of a product's vector records
+ * @param {Object} product - Normalized product
+ * @returns {Object} - { category, subCategory, vendor, price, pricing, billingCycles }
+ */
+export function productMetadata(product) {
+  const pricing = product.pricing || {};
+  return {
+    category: product.category || null,
+    subCategory: product.subCategory || null,
+    vendor: product.vendor || null,
+    price: typeof product.price === 'number' ? product.price : null,
+    pricing,
+    billingCycles: BILLING_CYCLES.filter(cycle => typeof pricing[cycle] === 'number'),
+  };
+}
 
-    if (product.subCategory) {
-      chunk += `SubCategory: ${product.subCategory}\n`;
-    }
+/**
+ * Splits each product into one record per field (name, description, features,
+ * pricing) for the vector store, so a query about what a product does is
+ * matched against its description and not diluted by its price list.
+ * Every text starts with the product name to keep the field in context.
+ * @param {Array} products - Normalized products
+ * @returns {Array<{productId: string, field: string, text: string, metadata: Object}>}
+ */
+export function productsToFieldRecords(products) {
+  const records = [];
 
-    if (product.vendor) {
-      chunk += `Vendor: ${product.vendor}\n`;
-    }
+  products.forEach(product => {
+    const metadata = productMetadata(product);
+    const add = (field, body) => {
+      if (body) records.push({ productId: product.id, field, text: `Product: ${product.name}\n${body}`, metadata });
+    };
 
-    // Include all pricing options
-    if (product.pricing && Object.keys(product.pricing).length > 0) {
-      const prices = [];
-      if (product.pricing.monthly) prices.push(`₹${product.pricing.monthly.toLocaleString('en-IN')} / Monthly`);
-      if (product.pricing.yearly) prices.push(`₹${product.pricing.yearly.toLocaleString('en-IN')} / Yearly`);
-
-      const isTriennial = product.pricing.triennial ||
-        (product.pricing.oneTime &&
-          ((product.name && product.name.toLowerCase().includes("3 year")) ||
-            (product.subscriptionHint && product.subscriptionHint.toLowerCase().includes("3 year")) ||
-            (product.raw && product.raw.subscriptionHint && product.raw.subscriptionHint.toLowerCase().includes("3 year")) ||
-            (product.billingCycle && product.billingCycle.toLowerCase().includes("3 year"))));
-
-      if (product.pricing.triennial) {
-        prices.push(`₹${product.pricing.triennial.toLocaleString('en-IN')} / 3 Years`);
-      } else if (isTriennial && product.pricing.oneTime) {
-        prices.push(`₹${product.pricing.oneTime.toLocaleString('en-IN')} / 3 Years`);
-      } else if (product.pricing.oneTime) {
-        prices.push(`₹${product.pricing.oneTime.toLocaleString('en-IN')} / One Time`);
-      }
-
-      if (prices.length > 0) {
-        chunk += `Pricing: ${prices.join(' | ')}\n`;
-      }
-    } else if (product.price > 0) {
-      chunk += `Price: ₹${product.price.toLocaleString('en-IN')} / ${product.billingCycle}\n`;
-    }
+    const nameLines = [`Category: ${product.category}`];
+    if (product.subCategory && product.subCategory !== product.category) nameLines.push(`SubCategory: ${product.subCategory}`);
+    if (product.vendor) nameLines.push(`Vendor: ${product.vendor}`);
+    add('name', nameLines.join('\n'));
 
     if (product.description) {
-      // Use clean description if available, otherwise raw
-      const desc = product.description.length > 500
-        ? product.description.substring(0, 500) + '...'
+      const description = product.description.length > 1000
+        ? product.description.substring(0, 1000) + '...'
         : product.description;
-      chunk += `Description: ${desc}\n`;
-    }
-
-    if (product.features && product.features.length > 0) {
-      chunk += `Features: ${product.features.join(', ')}\n`;
+      add('description', `Description: ${description}`);
     }
 
-    if (product.url) {
-      chunk += `Link: ${product.url}\n`;
-    }
-
-    // Add full product name for better searchability
-    chunk += `\nFull Product Name: ${product.name}`;
+    const features = (product.features || [])
+      .map(feature => (typeof feature === 'string' ? feature : (feature.name || feature.title || '')))
+      .filter(Boolean);
+    if (features.length > 0) add('features', `Features: ${features.join(', ')}`);
 
-    chunks.push(chunk);
+    add('pricing', formatPricingLine(product));
   });
 
-  return chunks;
+  return records;
 }
-
-
@@ -1,3 +1,5 @@
+import { matchQueryRules, ruleBoost } from "./queryRules.js";
+
 /**
  * Product Search Utility - Fuzzy and Partial Matching
  * Handles product name searches with typos, partial matches, and variations
@@ -17,9 +19,10 @@ export function searchProducts(searchQuery, products, threshold = 0.2) { // Lowe
 
   const query = searchQuery.toLowerCase().trim();
   const queryWords = query.split(/\s+/).filter(w => w.length > 2);
+  const matchedRules = matchQueryRules(query);
 
   const results = products.map(product => {
-    const score = calculateProductMatchScore(query, queryWords, product);
+    const score = calculateProductMatchScore(query, queryWords, product, matchedRules);
     return { product, score };
   })
     .filter(result => result.score >= threshold)
@@ -77,7 +80,7 @@ export function searchProducts(searchQuery, products, threshold = 0.2) { // Lowe
 
     // Show closest partial matches (even below threshold)
     const allScores = products.map(product => {
-      const score = calculateProductMatchScore(query, queryWords, product);
+      const score = calculateProductMatchScore(query, queryWords, product, matchedRules);
       return { product, score };
     })
       .filter(result => result.score > 0)
@@ -107,9 +110,10 @@ export function searchProducts(searchQuery, products, threshold = 0.2) { // Lowe
  * @param {string} query - Normalized search query
  * @param {Array<string>} queryWords - Individual query words
  * @param {Object} product - Product object
+ * @param {Array} matchedRules - Query rules matching the query
  * @returns {number} - Match score (0-1)
  */
-function calculateProductMatchScore(query, queryWords, product) {
+function calculateProductMatchScore(query, queryWords, product, matchedRules = []) {
   let score = 0;
   const weights = {
     exactName: 1.0,
@@ -192,121 +196,23 @@ function calculateProductMatchScore(query, queryWords, product) {
     score += weights.category;
   }
 
-  // Special handling for common patterns
-  score += handleSpecialPatterns(query, queryWords, product);
+  // Product-family boosts (editions, plan codes, acronyms) come from data/query_rules.json
+  score += ruleBoost(product, query, matchedRules);
+  score += matchVersionNumbers(query, product);
 
   return Math.min(score, 1.0); // Cap at 1.0
 }
 
 /**
- * Handles special matching patterns (e.g., "GPU" matching "vCPU", version numbers, etc.)
+ * Bonus for version numbers (2019, 2022, 365) found in both query and product name
  * @param {string} query - Search query
- * @param {Array<string>} queryWords - Query words
  * @param {Object} product - Product object
  * @returns {number} - Additional score bonus
  */
-function handleSpecialPatterns(query, queryWords, product) {
-  let bonus = 0;
-  const productName = (product.name || '').toLowerCase();
-
-  // Pattern 1: Windows 365 variations
-  if (query.includes('windows 365') || query.includes('windows365')) {
-    if (productName.includes('windows 365') || productName.includes('windows365')) {
-      bonus += 0.2;
-
-      // Check for specific variants (Frontline, Enterprise, Business)
-      const variants = ['frontline', 'enterprise', 'business', 'shared'];
-      for (const variant of variants) {
-        if (query.includes(variant) && productName.includes(variant)) {
-          bonus += 0.3;
-        }
-      }
-
-      // Check for specs (GPU, vCPU, RAM, Storage)
-      const specPatterns = [
-        { query: ['gpu', 'graphic'], product: ['gpu', 'graphic'] },
-        { query: ['vcpu', 'cpu', 'core'], product: ['vcpu', 'cpu', 'core'] },
-        { query: ['ram', 'memory', 'gb'], product: ['gb', 'ram', 'memory'] },
-        { query: ['storage', 'disk'], product: ['storage', 'disk', 'gb'] }
-      ];
-
-      for (const pattern of specPatterns) {
-        const queryHasSpec = pattern.query.some(s => query.includes(s));
-        const productHasSpec = pattern.product.some(s => productName.includes(s));
-        if (queryHasSpec && productHasSpec) {
-          bonus += 0.25;
-        }
-      }
-    }
-  }
-
-  // Pattern 2: Microsoft 365 variations
-  if (query.includes('365') || query.includes('office')) {
-    if (productName.includes('365') || productName.includes('office')) {
-      bonus += 0.1;
-
-      // Check for plan variants (E3, E5, F1, F3, Business, Apps)
-      const plans = ['e3', 'e5', 'f1', 'f3', 'a3', 'a5', 'business', 'apps', 'copilot'];
-      for (const plan of plans) {
-        if (query.includes(plan) && productName.includes(plan)) {
-          bonus += 0.3;
-        }
-      }
-    }
-  }
-
-  // Pattern 3: SQL Server variations
-  if (query.includes('sql')) {
-    if (productName.includes('sql')) {
-      bonus += 0.4; // Increased from 0.2
-
-      // Check for editions (Standard, Enterprise, Express, Web)
-      const editions = ['standard', 'enterprise', 'express', 'web', 'developer'];
-      for (const edition of editions) {
-        if (query.includes(edition) && productName.includes(edition)) {
-          bonus += 0.2;
-        }
-      }
-
-      // Check for licensing types (Core, CAL, User, Device)
-      const licenses = ['core', 'cal', 'user', 'device'];
-      for (const license of licenses) {
-        if (query.includes(license) && productName.includes(license)) {
-          bonus += 0.15;
-        }
-      }
-    }
-  }
-
-  // Pattern 4: Version numbers (2019, 2022, 365, etc.)
+function matchVersionNumbers(query, product) {
   const queryVersions = query.match(/\b(201\d|202\d|365)\b/g) || [];
-  const productVersions = productName.match(/\b(201\d|202\d|365)\b/g) || [];
-  if (queryVersions.length > 0 && productVersions.length > 0) {
-    const matchingVersions = queryVersions.filter(qv => productVersions.includes(qv));
-    if (matchingVersions.length > 0) {
-      bonus += 0.2;
-    }
-  }
-
-  // Pattern 5: Acronyms and abbreviations
-  const acronymPatterns = [
-    { full: ['defender'], short: ['def', 'atp', 'edr'] },
-    { full: ['intune'], short: ['mdm', 'mem'] },
-    { full: ['entra'], short: ['aad', 'azure ad'] },
-    { full: ['exchange'], short: ['exo', 'exchange online'] }
-  ];
-
-  for (const pattern of acronymPatterns) {
-    const queryHasFull = pattern.full.some(f => query.includes(f));
-    const queryHasShort = pattern.short.some(s => query.includes(s));
-    const productHasFull = pattern.full.some(f => productName.includes(f));
-
-    if ((queryHasFull || queryHasShort) && productHasFull) {
-      bonus += 0.2;
-    }
-  }
-
-  return bonus;
+  const productVersions = (product.name || '').toLowerCase().match(/\b(201\d|202\d|365)\b/g) || [];
+  return queryVersions.some(version => productVersions.includes(version)) ? 0.2 : 0;
 }
 
 /**
@@ -332,16 +238,17 @@ export function extractProductSpecs(productName) {
     specs.cores = parseInt(vcpuMatch[1]);
   }
 
-  // Extract RAM (e.g., "8GB", "16 GB RAM")
-  const ramMatch = name.match(/(\d+)\s*gb(?:\s+ram)?/i);
-  if (ramMatch) {
-    specs.ram = parseInt(ramMatch[1]);
-  }
-
-  // Extract Storage (e.g., "128GB", "256 GB")
-  const storageMatch = name.match(/(\d+)\s*gb/i);
-  if (storageMatch && !ramMatch) { // Avoid double-counting RAM as storage
-    specs.storage = parseInt(storageMatch[1]);
+  // Extract RAM and storage (e.g., "8 vCPU, 32 GB, 512 GB", "16GB RAM", "1 TB storage"):
+  // with two sizes the first is RAM; a single size is RAM unless it is in TB or labelled as storage
+  const sizes = [...name.matchAll(/(\d+)\s*(gb|tb)(\s+(?:ram|memory|storage|ssd|disk))?/gi)].map(match => ({
+    gb: parseInt(match[1]) * (match[2].toLowerCase() === 'tb' ? 1024 : 1),
+    isStorage: match[2].toLowerCase() === 'tb' || /storage|ssd|disk/i.test(match[3] || ''),
+  }));
+  if (sizes.length >= 2) {
+    specs.ram = sizes[0].gb;
+    specs.storage = sizes[1].gb;
+  } else if (sizes.length === 1) {
+    specs[sizes[0].isStorage ? 'storage' : 'ram'] = sizes[0].gb;
   }
 
   // Check for GPU
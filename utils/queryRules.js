@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { QUERY_RULE_SCHEMA, QUERY_RULES_FILE_SCHEMA, validateAgainstSchema, formatSchemaError } from "./catalogSchema.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Query Rules - declarative merchandising rules for search and chat
+ * Each rule in data/query_rules.json fires when its triggers match the query:
+ *
+ *   triggers      { any, all, none, pattern } - whole words/phrases in the query
+ *   synonyms      terms appended to the search query (e.g. "aad" -> "entra")
+ *   include       only keep products whose name/category/vendor contain a term
+ *   exclude       drop products whose name/category/vendor contain a term
+ *   boosts        [{ name|category|vendor, query, shared, product, weight }] score bonuses
+ *   instructions  text added to the chat system prompt
+ *
+ * Query terms match whole words; product terms match substrings of the field.
+ * Boost weights are on the 0-1 match-score scale used by productSearcher.
+ */
+
+export const QUERY_RULES_PATH = path.join(__dirname, 'data', 'query_rules.json');
+
+const PRODUCT_FIELDS = ['name', 'category', 'vendor'];
+
+let rulesCache = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word (or whole-phrase) matcher for a query term
+ */
+function termMatcher(term) {
+  return new RegExp(`(?<![a-z0-9])${escapeRegExp(term.toLowerCase())}(?![a-z0-9])`);
+}
+
+/**
+ * Pre-compiles a validated rule's query terms
+ */
+function compileRule(rule) {
+  const compileTerms = terms => (terms || []).map(term => ({ term: term.toLowerCase(), matcher: termMatcher(term) }));
+  return {
+    ...rule,
+    compiled: {
+      any: compileTerms(rule.triggers.any),
+      all: compileTerms(rule.triggers.all),
+      none: compileTerms(rule.triggers.none),
+      pattern: rule.triggers.pattern ? new RegExp(rule.triggers.pattern, 'i') : null,
+      boosts: (rule.boosts || []).map(boost => ({
+        ...boost,
+        query: compileTerms(boost.query),
+        shared: compileTerms(boost.shared),
+      })),
+    },
+  };
+}
+
+/**
+ * Loads and compiles data/query_rules.json. Rules that fail the schema (or
+ * have an invalid pattern) are skipped with a warning; a missing or malformed
+ * file just means no rules.
+ * @returns {Array} - Compiled rules, in file order
+ */
+export function loadQueryRules() {
+  if (rulesCache) return rulesCache;
+
+  try {
+    const file = JSON.parse(fs.readFileSync(QUERY_RULES_PATH, 'utf-8'));
+    const fileErrors = validateAgainstSchema(file, QUERY_RULES_FILE_SCHEMA);
+    if (fileErrors.length > 0) throw new Error(fileErrors.map(formatSchemaError).join('; '));
+
+    const rules = [];
+    const seenIds = new Set();
+    file.rules.forEach((rule, index) => {
+      const errors = validateAgainstSchema(rule, QUERY_RULE_SCHEMA, `$.rules[${index}]`).map(formatSchemaError);
+      if (seenIds.has(rule.id)) errors.push(`$.rules[${index}].id: duplicate id ${rule.id}`);
+      if (errors.length > 0) {
+        console.warn(`⚠️ Skipped query rule ${rule.id || index}: ${errors.join('; ')}`);
+        return;
+      }
+
+      try {
+        rules.push(compileRule(rule));
+        seenIds.add(rule.id);
+      } catch (error) {
+        console.warn(`⚠️ Skipped query rule ${rule.id}: ${error.message}`);
+      }
+    });
+
+    console.log(`✅ Loaded ${rules.length} query rules`);
+    rulesCache = rules;
+  } catch (error) {
+    console.warn(`Could not load query rules (${error.message}); continuing without them`);
+    rulesCache = [];
+  }
+  return rulesCache;
+}
+
+/**
+ * Forgets the loaded rules so the next query picks up edits to query_rules.json
+ */
+export function clearQueryRulesCache() {
+  rulesCache = null;
+}
+
+/**
+ * Rules whose triggers match a query
+ * @param {string} query - User message or search query
+ * @param {Array} rules - Compiled rules (defaults to data/query_rules.json)
+ * @returns {Array} - Matching rules, in file order
+ */
+export function matchQueryRules(query, rules = loadQueryRules()) {
+  if (!query) return [];
+  const text = query.toLowerCase();
+
+  return rules.filter(({ compiled }) => {
+    if (compiled.any.length > 0 && !compiled.any.some(({ matcher }) => matcher.test(text))) return false;
+    if (!compiled.all.every(({ matcher }) => matcher.test(text))) return false;
+    if (compiled.none.some(({ matcher }) => matcher.test(text))) return false;
+    if (compiled.pattern && !compiled.pattern.test(query)) return false;
+    return true;
+  });
+}
+
+/**
+ * Appends the matched rules' synonyms that the query doesn't already contain
+ * @param {string} query - Search query
+ * @param {Array} matchedRules - From matchQueryRules
+ * @returns {string} - Expanded query
+ */
+export function expandQuery(query, matchedRules) {
+  const text = query.toLowerCase();
+  const additions = new Set();
+
+  matchedRules.forEach(rule => (rule.synonyms || []).forEach(synonym => {
+    if (!termMatcher(synonym).test(text)) additions.add(synonym.toLowerCase());
+  }));
+
+  return additions.size > 0 ? `${query} ${[...additions].join(' ')}` : query;
+}
+
+/**
+ * Whether any of a product's fields contains one of the listed terms
+ */
+function productHasTerms(product, fieldTerms) {
+  return PRODUCT_FIELDS.some(field => {
+    const terms = fieldTerms[field];
+    if (!terms) return false;
+    const value = (product[field] || '').toLowerCase();
+    return terms.some(term => value.includes(term.toLowerCase()));
+  });
+}
+
+/**
+ * Whether a product passes the matched rules' include and exclude filters
+ * @param {Object} product - Product from productLoader
+ * @param {Array} matchedRules - From matchQueryRules
+ * @returns {boolean}
+ */
+export function passesRuleFilters(product, matchedRules) {
+  return matchedRules.every(rule =>
+    (!rule.include || productHasTerms(product, rule.include)) &&
+    (!rule.exclude || !productHasTerms(product, rule.exclude))
+  );
+}
+
+/**
+ * Total boost the matched rules give a product for a query. A boost applies
+ * when the product has one of its field terms and the query has one of its
+ * query terms (each part optional); "shared" terms add the weight once per
+ * term found in both the query and the product name. A "product" gate
+ * ({ name|category|vendor }) limits any boost to products with one of those
+ * terms, so "standard" in a SQL query only boosts SQL products.
+ * @param {Object} product - Product from productLoader
+ * @param {string} query - Search query
+ * @param {Array} matchedRules - From matchQueryRules
+ * @returns {number}
+ */
+export function ruleBoost(product, query, matchedRules) {
+  const text = query.toLowerCase();
+  const productName = (product.name || '').toLowerCase();
+  let boost = 0;
+
+  matchedRules.forEach(rule => rule.compiled.boosts.forEach(entry => {
+    if (entry.product && !productHasTerms(product, entry.product)) return;
+
+    if (entry.shared.length > 0) {
+      entry.shared.forEach(({ term, matcher }) => {
+        if (matcher.test(text) && productName.includes(term)) boost += entry.weight;
+      });
+      return;
+    }
+
+    if (entry.query.length > 0 && !entry.query.some(({ matcher }) => matcher.test(text))) return;
+    if (PRODUCT_FIELDS.some(field => entry[field]) && !productHasTerms(product, entry)) return;
+    boost += entry.weight;
+  }));
+
+  return boost;
+}
+
+/**
+ * System prompt section with the matched rules' instructions
+ * @param {Array} matchedRules - From matchQueryRules
+ * @returns {string} - Prompt section (empty if no rule has instructions)
+ */
+export function formatRuleInstructions(matchedRules) {
+  const instructions = matchedRules.filter(rule => rule.instructions);
+  if (instructions.length === 0) return "";
+
+  return `QUERY RULES FOR THIS MESSAGE:\n${instructions.map(rule => `- ${rule.instructions}`).join('\n')}\n`;
+}
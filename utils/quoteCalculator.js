@@ -0,0 +1,208 @@
+import { resolveProduct } from "./productComparison.js";
+
+/**
+ * Quote Calculator - licence quantities and total cost in INR
+ * Seat-based products are priced per user; core-licensed products (Windows
+ * Server, System Center, SQL Server, ESUs) are sold in packs, so the requested
+ * core count is raised to the licensing minimum and rounded up to whole packs.
+ * Catalog prices are treated as exclusive of GST.
+ */
+
+export const GST_RATE = 0.18;
+const DEFAULT_YEARS = 3;
+const MAX_ITEMS = 20;
+
+// Minimum licensed cores per server, by product family
+const CORE_MINIMUMS = [
+  { pattern: /\b(windows|win)\s+server\b|\bsystem center\b/i, minCores: 16, rule: 'Windows Server / System Center: at least 16 core licenses per server' },
+  { pattern: /\bsql\b/i, minCores: 4, rule: 'SQL Server: at least 4 core licenses per server or VM' },
+];
+
+const CYCLE_ALIASES = {
+  monthly: 'monthly',
+  month: 'monthly',
+  yearly: 'yearly',
+  annual: 'yearly',
+  year: 'yearly',
+  onetime: 'oneTime',
+  'one time': 'oneTime',
+  'one-time': 'oneTime',
+  perpetual: 'oneTime',
+};
+
+/**
+ * Normalizes a billing cycle name ("Yearly", "one time", ...) to a pricing key
+ */
+function normalizeCycle(cycle) {
+  if (!cycle) return null;
+  return CYCLE_ALIASES[String(cycle).toLowerCase().trim()] || null;
+}
+
+/**
+ * Rounds to paise
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Adds GST to a pre-tax amount
+ * @param {number|null} subtotal - Amount before tax
+ * @param {number} gstRate - GST rate (0.18 = 18%)
+ * @returns {{subtotal: number, gst: number, total: number}|null}
+ */
+function withGst(subtotal, gstRate) {
+  if (subtotal === null || subtotal === undefined) return null;
+  const gst = subtotal * gstRate;
+  return { subtotal: roundMoney(subtotal), gst: roundMoney(gst), total: roundMoney(subtotal + gst) };
+}
+
+/**
+ * Cores in one pack for core-licensed products ("2 Core License Pack", "- 16 Core")
+ * @param {string} productName - Product name
+ * @returns {number|null} - Cores per pack, or null for seat-based products
+ */
+export function getCoresPerPack(productName = '') {
+  const match = productName.match(/(\d+)\s*core\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Years of cover bought up front ("... 3 Year"); null when not stated
+ */
+function getTermYears(product) {
+  const text = `${product.name || ''} ${product._fullData?.raw?.subscriptionHint || ''}`;
+  const match = text.match(/(\d+)[\s-]*years?\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Prices one line of a quote
+ * @param {Object} product - Product from productLoader
+ * @param {Object} line - { quantity, billingCycle, servers }
+ * @param {Object} options - { years, gstRate }
+ * @returns {Object} - Priced line
+ */
+function priceLine(product, { quantity, billingCycle, servers = 1 }, { years, gstRate }) {
+  const pricing = product.pricing || {};
+  const warnings = [];
+
+  // Use the requested cycle when the product is sold that way, else its own cycle
+  const requestedCycle = normalizeCycle(billingCycle);
+  const defaultCycle = normalizeCycle(product.billingCycle) || Object.keys(pricing).find(key => pricing[key] > 0);
+  let cycle = requestedCycle && pricing[requestedCycle] > 0 ? requestedCycle : defaultCycle;
+  if (requestedCycle && cycle !== requestedCycle) {
+    warnings.push(`${product.name} is not sold ${billingCycle}; priced ${cycle} instead`);
+  }
+  if (!cycle && product.price > 0) cycle = 'oneTime';
+  const unitPrice = pricing[cycle] ?? product.price ?? 0;
+
+  // Seats, or whole core packs after applying the licensing minimum
+  const coresPerPack = getCoresPerPack(product.name);
+  let units = Math.max(1, Math.ceil(quantity));
+  let coresLicensed = null;
+  let minimumRule = null;
+  if (coresPerPack) {
+    const minimum = CORE_MINIMUMS.find(entry => entry.pattern.test(product.name));
+    const requiredCores = Math.max(quantity, minimum ? minimum.minCores * servers : 0);
+    if (minimum && requiredCores > quantity) {
+      minimumRule = minimum.rule;
+      warnings.push(`${minimum.rule}; ${quantity} cores raised to ${requiredCores}`);
+    }
+    units = Math.ceil(requiredCores / coresPerPack);
+    coresLicensed = units * coresPerPack;
+  }
+
+  // Spread the charge over monthly / yearly / multi-year views
+  const charge = unitPrice * units;
+  const termYears = getTermYears(product);
+  let monthly = null;
+  let yearly = null;
+  let multiYear = null;
+  if (cycle === 'monthly') {
+    monthly = charge;
+    yearly = charge * 12;
+    multiYear = charge * 12 * years;
+  } else if (cycle === 'yearly') {
+    monthly = charge / 12;
+    yearly = charge;
+    multiYear = charge * years;
+  } else if (termYears) {
+    // One payment covering termYears (e.g. "3 Year" packs)
+    monthly = charge / (termYears * 12);
+    yearly = charge / termYears;
+    multiYear = charge * Math.ceil(years / termYears);
+  } else {
+    // Perpetual licence: paid once, no recurring cost
+    multiYear = charge;
+  }
+
+  return {
+    productId: product.id,
+    name: product.name,
+    url: product.url,
+    billingCycle: cycle,
+    unitPrice: roundMoney(unitPrice),
+    licenseType: coresPerPack ? 'core-pack' : 'seat',
+    quantity,
+    units,
+    coresPerPack,
+    coresLicensed,
+    minimumRule,
+    termYears,
+    charge: withGst(charge, gstRate),
+    totals: {
+      monthly: withGst(monthly, gstRate),
+      yearly: withGst(yearly, gstRate),
+      multiYear: withGst(multiYear, gstRate),
+    },
+    warnings,
+  };
+}
+
+/**
+ * Sums one total (monthly / yearly / multiYear) across lines that have it
+ */
+function sumTotals(lines, key, gstRate) {
+  const priced = lines.filter(line => line.totals[key]);
+  if (priced.length === 0) return null;
+  return withGst(priced.reduce((sum, line) => sum + line.totals[key].subtotal, 0), gstRate);
+}
+
+/**
+ * Builds a quote for catalog products
+ * @param {Array<Object>} items - [{ productId | product (id or name), quantity, billingCycle, servers }]
+ * @param {Array} products - Products from productLoader
+ * @param {Object} options - { years (multi-year horizon, default 3), gstRate, defaultQuantity }
+ * @returns {Object} - { currency, gstRate, years, lines, notFound, totals: { monthly, yearly, multiYear }, warnings }
+ */
+export function calculateQuote(items, products, { years = DEFAULT_YEARS, gstRate = GST_RATE, defaultQuantity = 1 } = {}) {
+  const lines = [];
+  const notFound = [];
+
+  (items || []).slice(0, MAX_ITEMS).forEach(item => {
+    const idOrName = item.productId || item.product;
+    const product = resolveProduct(idOrName, products);
+    if (!product) {
+      notFound.push(idOrName);
+      return;
+    }
+
+    const quantity = Number(item.quantity) > 0 ? Number(item.quantity) : defaultQuantity;
+    lines.push(priceLine(product, { ...item, quantity }, { years, gstRate }));
+  });
+
+  return {
+    currency: 'INR',
+    gstRate,
+    years,
+    lines,
+    notFound,
+    totals: {
+      monthly: sumTotals(lines, 'monthly', gstRate),
+      yearly: sumTotals(lines, 'yearly', gstRate),
+      multiYear: sumTotals(lines, 'multiYear', gstRate),
+    },
+    warnings: lines.flatMap(line => line.warnings),
+  };
+}
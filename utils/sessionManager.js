@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { createSessionStore } from './sessionStore.js';
+import { extractUserPreferences, ConversationStage } from './conversationManager.js';
+
+/**
+ * Session Manager - server-held conversation state
+ * The client only keeps a sessionId; history, stage and extracted preferences
+ * live here, so a refreshed tab can resume and history cannot be forged.
+ */
+
+const MAX_HISTORY_MESSAGES = 50;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Created on first use so SESSION_* settings from .env are already loaded
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createSessionStore();
+
+    // Periodically drop expired sessions; unref so it never keeps the process alive
+    setInterval(async () => {
+      try {
+        const removed = await getStore().purgeExpired(Date.now());
+        if (removed > 0) console.log(`🧹 Purged ${removed} expired sessions`);
+      } catch (error) {
+        console.error("Error purging expired sessions:", error.message);
+      }
+    }, PURGE_INTERVAL_MS).unref();
+  }
+  return store;
+}
+
+function getSessionTtlMs() {
+  return (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 120) * 60 * 1000;
+}
+
+/**
+ * Creates and stores a new, empty session
+ * @returns {Promise<Object>} - The new session
+ */
+export async function createSession() {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: now + getSessionTtlMs(),
+    history: [],
+    stage: ConversationStage.DISCOVERY,
+    preferences: extractUserPreferences([]),
+    lastProductIds: [],
+  };
+
+  await getStore().set(session.id, session);
+  console.log(`Created session ${session.id} (store: ${getStore().name})`);
+  return session;
+}
+
+/**
+ * Looks up a live session
+ * @param {string} sessionId - Session id returned by createSession
+ * @returns {Promise<Object|null>} - Session, or null if unknown or expired
+ */
+export async function getSession(sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') return null;
+
+  const session = await getStore().get(sessionId);
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    await getStore().delete(sessionId);
+    console.log(`Session ${sessionId} expired`);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Appends a completed user/bot exchange to the session and refreshes its
+ * stage, preferences and expiry
+ * @param {Object} session - Session from getSession/createSession
+ * @param {string} userMessage - The user's message
+ * @param {string} botMessage - The final (link-fixed) bot answer
+ * @param {string} stage - Conversation stage computed for this turn
+ * @param {Array<string>} productIds - Products the answer recommended (kept for follow-ups like "compare")
+ * @returns {Promise<Object>} - Updated session
+ */
+export async function recordTurn(session, userMessage, botMessage, stage, productIds = []) {
+  const now = Date.now();
+
+  session.history.push({ from: 'user', text: userMessage });
+  session.history.push({ from: 'bot', text: botMessage });
+  if (session.history.length > MAX_HISTORY_MESSAGES) {
+    session.history = session.history.slice(-MAX_HISTORY_MESSAGES);
+  }
+
+  session.stage = stage || session.stage;
+  if (productIds.length > 0) session.lastProductIds = productIds;
+  session.preferences = extractUserPreferences(session.history);
+  session.updatedAt = now;
+  session.expiresAt = now + getSessionTtlMs();
+
+  await getStore().set(session.id, session);
+  return session;
+}
+
+/**
+ * Clears a session's conversation (history, preferences, remembered
+ * products) and sends it back to Discovery, keeping its id
+ * @param {Object} session - Session from getSession/createSession
+ * @returns {Promise<Object>} - Reset session
+ */
+export async function resetSession(session) {
+  session.history = [];
+  session.stage = ConversationStage.DISCOVERY;
+  session.preferences = extractUserPreferences([]);
+  session.lastProductIds = [];
+  session.updatedAt = Date.now();
+
+  await getStore().set(session.id, session);
+  console.log(`Reset session ${session.id}`);
+  return session;
+}
+
+/**
+ * Public view of a session for API responses
+ * @param {Object} session - Session object
+ * @returns {Object} - Serializable session summary
+ */
+export function serializeSession(session) {
+  return {
+    sessionId: session.id,
+    conversationHistory: session.history,
+    conversationStage: session.stage,
+    preferences: session.preferences,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Session Store - pluggable persistence for chat sessions
+ * Every store exposes the same async interface so the session manager does
+ * not care where sessions live:
+ *   get(id) -> session | null, set(id, session), delete(id), purgeExpired(now) -> count
+ */
+
+/**
+ * Creates an in-memory session store (lost on restart)
+ * @returns {Object} - Session store
+ */
+export function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+
+    async set(id, session) {
+      sessions.set(id, session);
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+    },
+
+    async purgeExpired(now = Date.now()) {
+      let removed = 0;
+      for (const [id, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Creates a session store backed by a JSON file, so sessions survive restarts.
+ * Sessions are kept in memory and the whole file is rewritten atomically
+ * (write to temp file, then rename) after every change.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} - Session store
+ */
+export function createFileSessionStore(filePath) {
+  const sessions = new Map();
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      Object.entries(saved.sessions || {}).forEach(([id, session]) => sessions.set(id, session));
+      console.log(`✅ Loaded ${sessions.size} sessions from ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`Error reading session file ${filePath}:`, error.message);
+  }
+
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, sessions: Object.fromEntries(sessions) }));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error writing session file ${filePath}:`, error.message);
+    }
+  };
+
+  return {
+    name: 'file',
+
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+
+    async set(id, session) {
+      sessions.set(id, session);
+      persist();
+    },
+
+    async delete(id) {
+      if (sessions.delete(id)) persist();
+    },
+
+    async purgeExpired(now = Date.now()) {
+      let removed = 0;
+      for (const [id, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      if (removed > 0) persist();
+      return removed;
+    },
+  };
+}
+
+/**
+ * Creates the session store selected by SESSION_STORE ("memory" or "file")
+ * @returns {Object} - Session store
+ */
+export function createSessionStore() {
+  const storeType = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (storeType === 'file') {
+    const filePath = process.env.SESSION_FILE_PATH || path.join(__dirname, '..', '.data', 'sessions.json');
+    console.log(`Using file session store: ${filePath}`);
+    return createFileSessionStore(filePath);
+  }
+
+  if (storeType !== 'memory') {
+    console.warn(`Unknown SESSION_STORE "${storeType}", falling back to in-memory sessions`);
+  }
+  return createMemorySessionStore();
+}
@@ -0,0 +1,286 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadQueryRules } from "./queryRules.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Spell Corrector - fixes typos in product terms before a message is matched
+ * ("sharepont" -> "SharePoint", "defnder" -> "Defender", "powerbi" -> "Power BI",
+ * "windos 365" -> "Windows 365"). The vocabulary is built from the catalog
+ * (product names, vendors, categories), the query-rule triggers and synonyms,
+ * and a list of marketplace words; a word is replaced only by a single best
+ * vocabulary word within a small edit distance that starts with the same letter.
+ * Words in the English word list (data/english_words.txt) are never corrected,
+ * so "activate", "protect" and "contract" stay as typed. The corrected text is
+ * for matching only; the model is always sent the message as the user typed it.
+ */
+
+// Common English words (5+ letters), one per line; "#" lines are comments
+const ENGLISH_WORDS_PATH = path.join(__dirname, 'data', 'english_words.txt');
+
+// Marketplace words that aren't necessarily in product names
+const DOMAIN_WORDS = [
+  'software', 'license', 'licence', 'licensing', 'subscription', 'price', 'pricing', 'billing',
+  'monthly', 'yearly', 'annual', 'quote', 'discount', 'budget', 'cheapest', 'compare', 'comparison',
+  'security', 'antivirus', 'firewall', 'backup', 'database', 'email', 'cloud', 'server', 'storage',
+  'marketplace', 'purchase', 'trial', 'install', 'download', 'enterprise', 'business', 'categories',
+  'category', 'products', 'features', 'recommend', 'recommendation', 'collaboration', 'identity',
+  'compliance', 'governance', 'microsoft', 'office', 'windows', 'outlook', 'onedrive', 'sharepoint',
+  'solution', 'solutions', 'laptop', 'laptops', 'desktop', 'device', 'devices', 'employees',
+];
+
+// Everyday words that sit close to product terms and must never be "corrected"
+const COMMON_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'also', 'another', 'answer', 'around', 'available',
+  'because', 'before', 'being', 'below', 'best', 'better', 'between', 'both', 'bring', 'build',
+  'cheap', 'cheaper', 'check', 'choose', 'close', 'come', 'company', 'could', 'current', 'daily',
+  'different', 'does', 'doing', 'done', 'each', 'either', 'else', 'enough', 'even', 'every',
+  'explain', 'first', 'found', 'from', 'give', 'going', 'good', 'great', 'have', 'having', 'hello',
+  'help', 'here', 'hours', 'how', 'into', 'just', 'keep', 'kind', 'know', 'large', 'last', 'later',
+  'less', 'like', 'list', 'little', 'looking', 'lower', 'make', 'many', 'maybe', 'mean', 'might',
+  'more', 'most', 'much', 'must', 'need', 'needs', 'never', 'next', 'none', 'only', 'option',
+  'options', 'other', 'over', 'people', 'place', 'please', 'point', 'quick', 'rather', 'really',
+  'right', 'same', 'seats', 'send', 'should', 'show', 'similar', 'since', 'small', 'some', 'something',
+  'start', 'still', 'such', 'sure', 'take', 'team', 'than', 'thank', 'thanks', 'that', 'their',
+  'them', 'then', 'there', 'these', 'they', 'thing', 'think', 'this', 'those', 'through', 'time',
+  'today', 'under', 'until', 'upon', 'used', 'using', 'very', 'want', 'wants', 'well', 'were',
+  'what', 'when', 'where', 'whether', 'which', 'while', 'will', 'with', 'within', 'without',
+  'work', 'works', 'would', 'year', 'years', 'your', 'month', 'months', 'staff', 'users',
+  'visit', 'video', 'write', 'wrote', 'while', 'whole', 'world', 'happy', 'hours', 'issue', 'issues',
+  'local', 'money', 'order', 'orders', 'owner', 'phone', 'plant', 'ready', 'reply', 'share', 'shared',
+  'speed', 'store', 'story', 'table', 'tools', 'total', 'trust', 'value', 'water', 'weather', 'would',
+  'asked', 'agent', 'angry', 'basic', 'basis', 'brand', 'calls', 'cards', 'cases', 'chart', 'class',
+  'count', 'cover', 'cross', 'daily', 'dates', 'doubt', 'early', 'equal', 'error', 'event', 'exact',
+  'extra', 'field', 'final', 'fixed', 'focus', 'forms', 'frame', 'fresh', 'front', 'funds', 'group',
+  'guest', 'guide', 'human', 'ideal', 'image', 'input', 'items', 'later', 'layer', 'level', 'light',
+  'limit', 'links', 'major', 'match', 'means', 'media', 'model', 'movie', 'music', 'names', 'notes',
+  'offer', 'often', 'opens', 'pages', 'paper', 'parts', 'party', 'photo', 'pieces', 'plans', 'power',
+  'press', 'print', 'proof', 'range', 'rates', 'reach', 'roles', 'rules', 'scale', 'scope', 'score',
+  'sheet', 'shift', 'short', 'sites', 'sizes', 'skill', 'sound', 'space', 'spend', 'state', 'steps',
+  'stock', 'style', 'terms', 'tests', 'texts', 'topic', 'track', 'train', 'types', 'units', 'views',
+  'watch', 'words', 'worth', 'wrong',
+]);
+
+// Words shorter than this are never corrected ("team" vs "teams", "sql" vs "sqs")
+const MIN_CORRECTABLE_LENGTH = 5;
+
+// Words this long or longer may be two edits away; shorter ones only one
+const TWO_EDIT_LENGTH = 8;
+
+// One vocabulary per products array (a catalog reload produces a new array)
+const vocabularyCache = new WeakMap();
+let englishWords = null;
+
+/**
+ * Loads data/english_words.txt once; a missing file just means only the
+ * built-in everyday words are protected
+ * @returns {Set<string>}
+ */
+function loadEnglishWords() {
+  if (englishWords) return englishWords;
+
+  try {
+    const lines = fs.readFileSync(ENGLISH_WORDS_PATH, 'utf-8').split('\n');
+    englishWords = new Set(lines.map(line => line.trim().toLowerCase()).filter(line => line && !line.startsWith('#')));
+  } catch (error) {
+    console.warn(`Could not load English word list (${error.message}); continuing without it`);
+    englishWords = new Set();
+  }
+  return englishWords;
+}
+
+/**
+ * Restricted Damerau-Levenshtein distance (a swap of neighbours is one edit),
+ * giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Builds the correction vocabulary for a catalog
+ * @param {Array} products - Products from productLoader
+ * @param {Array} rules - Compiled query rules (their trigger and synonym terms are added)
+ * @returns {Object} - { words: Map(lower -> { display, count, fromCatalog }), compounds: Map(joined -> display phrase) }
+ */
+export function buildSpellingVocabulary(products = [], rules = loadQueryRules()) {
+  const words = new Map();
+  const compounds = new Map();
+
+  const addWord = (word, weight = 1, fromCatalog = false) => {
+    const lower = word.toLowerCase();
+    const entry = words.get(lower) || { display: word, count: 0, fromCatalog: false };
+    entry.count += weight;
+    entry.fromCatalog = entry.fromCatalog || fromCatalog;
+    words.set(lower, entry);
+  };
+
+  const addPhrase = (phrase, weight = 1) => {
+    const fromCatalog = weight === 1;
+    const parts = phrase.match(/[A-Za-z][A-Za-z0-9]*/g) || [];
+    parts.forEach(part => {
+      if (/^[A-Za-z]+$/.test(part)) addWord(part, weight, fromCatalog);
+    });
+
+    // "Power BI" -> "powerbi", "Windows 365" -> "windows365"
+    for (let i = 0; i < parts.length - 1; i++) {
+      const joined = `${parts[i]}${parts[i + 1]}`.toLowerCase();
+      if (joined.length >= MIN_CORRECTABLE_LENGTH && !compounds.has(joined)) {
+        compounds.set(joined, `${parts[i]} ${parts[i + 1]}`);
+      }
+    }
+  };
+
+  products.forEach(product => {
+    addPhrase(product.name || '');
+    addPhrase(product.vendor || '');
+    addPhrase(product.category || '');
+    if (product.subCategory) addPhrase(product.subCategory);
+  });
+
+  rules.forEach(rule => {
+    const { any = [], all = [], none = [] } = rule.triggers || {};
+    [...any, ...all, ...none, ...(rule.synonyms || [])].forEach(term => addPhrase(term, 0.5));
+  });
+
+  DOMAIN_WORDS.forEach(word => {
+    if (!words.has(word)) addWord(word, 0.5);
+  });
+
+  // A compound that is itself a catalog or everyday word ("sharepoint",
+  // "licenses") is not split; one that is only a rule trigger ("powerbi") still is
+  for (const joined of compounds.keys()) {
+    const entry = words.get(joined);
+    if (entry?.fromCatalog || (!entry && isKnownWord(joined, { words }))) compounds.delete(joined);
+  }
+
+  return { words, compounds };
+}
+
+/**
+ * Cached vocabulary for a products array
+ * @param {Array} products - Products from productLoader
+ * @returns {Object} - Vocabulary
+ */
+export function getSpellingVocabulary(products) {
+  let vocabulary = vocabularyCache.get(products);
+  if (!vocabulary) {
+    vocabulary = buildSpellingVocabulary(products);
+    vocabularyCache.set(products, vocabulary);
+  }
+  return vocabulary;
+}
+
+/**
+ * Whether a word (or a simple inflection of it) needs no correction
+ */
+function isKnownWord(word, vocabulary) {
+  const dictionary = loadEnglishWords();
+  const known = candidate => vocabulary.words.has(candidate) || COMMON_WORDS.has(candidate) || dictionary.has(candidate);
+  if (known(word)) return true;
+  const stems = [word.replace(/s$/, ''), word.replace(/es$/, ''), word.replace(/ed$/, ''), word.replace(/ing$/, '')];
+  return stems.some(stem => stem !== word && known(stem));
+}
+
+/**
+ * Best replacement for a misspelled word, or null if there is no single clear one
+ */
+function findCorrection(word, vocabulary) {
+  const maxDistance = word.length >= TWO_EDIT_LENGTH ? 2 : 1;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  let ambiguous = false;
+
+  const consider = (candidate, display, count) => {
+    if (candidate[0] !== word[0] || candidate.length < MIN_CORRECTABLE_LENGTH - 1) return;
+    // A word one letter short or long of a candidate is a typo ("firewal");
+    // further apart it is another form of the word ("secure" / "security")
+    if ((candidate.startsWith(word) || word.startsWith(candidate)) && Math.abs(candidate.length - word.length) > 1) return;
+    const distance = editDistance(word, candidate, maxDistance);
+    if (distance > maxDistance) return;
+
+    if (distance < bestDistance || (distance === bestDistance && count > best.count)) {
+      best = { display, count };
+      bestDistance = distance;
+      ambiguous = false;
+    } else if (distance === bestDistance && count === best.count && display.toLowerCase() !== best.display.toLowerCase()) {
+      ambiguous = true;
+    }
+  };
+
+  for (const [candidate, entry] of vocabulary.words) consider(candidate, entry.display, entry.count);
+  for (const [joined, phrase] of vocabulary.compounds) consider(joined, phrase, 0);
+
+  return best && !ambiguous ? best.display : null;
+}
+
+/**
+ * Corrects misspelled product terms in a message
+ * @param {string} message - User message
+ * @param {Object} vocabulary - From getSpellingVocabulary
+ * @returns {{original: string, corrected: string, corrections: Array<{from: string, to: string}>}}
+ */
+export function correctSpelling(message = '', vocabulary) {
+  const result = { original: message, corrected: message, corrections: [] };
+  if (!message || !vocabulary) return result;
+
+  // URLs and e-mail addresses are left exactly as typed
+  const protectedRanges = [...message.matchAll(/https?:\/\/\S+|\S+@\S+/g)].map(match => [match.index, match.index + match[0].length]);
+
+  result.corrected = message.replace(/[A-Za-z]+/g, (word, offset) => {
+    if (protectedRanges.some(([start, end]) => offset >= start && offset < end)) return word;
+
+    const lower = word.toLowerCase();
+    if (lower.length < MIN_CORRECTABLE_LENGTH) return word;
+
+    const replacement = vocabulary.compounds.get(lower) || (isKnownWord(lower, vocabulary) ? null : findCorrection(lower, vocabulary));
+    if (!replacement || replacement.toLowerCase() === lower) return word;
+
+    result.corrections.push({ from: word, to: replacement });
+    return replacement;
+  });
+
+  return result;
+}
+
+/**
+ * Catalog words (from product names, vendors and categories) that appear in a
+ * message; everyday words are ignored
+ * @param {string} message - User message (ideally already corrected)
+ * @param {Object} vocabulary - From getSpellingVocabulary
+ * @returns {Array<string>} - Distinct lowercase catalog words
+ */
+export function findCatalogTerms(message = '', vocabulary) {
+  if (!message || !vocabulary) return [];
+  const found = new Set();
+  for (const [word] of message.toLowerCase().matchAll(/[a-z]+/g)) {
+    if (word.length < 4 || COMMON_WORDS.has(word)) continue;
+    const singular = word.replace(/s$/, '');
+    if (vocabulary.words.get(word)?.fromCatalog) found.add(word);
+    else if (singular !== word && vocabulary.words.get(singular)?.fromCatalog) found.add(singular);
+  }
+  return [...found];
+}
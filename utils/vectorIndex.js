@@ -0,0 +1,366 @@
+/**
+ * Vector Index - nearest-neighbour search over unit-length embedding vectors
+ * Vectors are normalized once when stored (Float32Array), so cosine
+ * similarity is a plain dot product. Two index types:
+ *   flat  exact search, every vector is scored (fine for a few thousand)
+ *   hnsw  approximate search on a Hierarchical Navigable Small World graph:
+ *         a query walks the graph from a single entry point and scores only
+ *         the vectors it visits; efSearch trades speed for recall
+ * With int8 quantization each vector is stored as one byte per dimension plus
+ * a scale (about a quarter of float32), at a small cost in score precision.
+ *
+ * Config (env): VECTOR_INDEX (auto | flat | hnsw; auto = hnsw from
+ * VECTOR_HNSW_MIN_VECTORS vectors, default 5000), VECTOR_HNSW_M (graph degree,
+ * default 16), VECTOR_HNSW_EF_CONSTRUCTION (default 100), VECTOR_HNSW_EF_SEARCH
+ * (default 64), VECTOR_QUANTIZATION (none | int8).
+ */
+
+const HNSW_SEED = 42;
+// HNSW inserts between yields to the event loop while building
+const BUILD_YIELD_EVERY = 200;
+// A filtered HNSW search widens its beam by this factor before filtering
+const FILTERED_EF_FACTOR = 4;
+
+/**
+ * Index settings from the environment
+ * @returns {Object} - { type, hnswMinVectors, m, efConstruction, efSearch, quantization }
+ */
+export function getVectorIndexConfig() {
+  const positive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+  };
+  const type = (process.env.VECTOR_INDEX || 'auto').toLowerCase();
+  return {
+    type: ['flat', 'hnsw'].includes(type) ? type : 'auto',
+    hnswMinVectors: positive(process.env.VECTOR_HNSW_MIN_VECTORS, 5000),
+    m: Math.max(2, positive(process.env.VECTOR_HNSW_M, 16)),
+    efConstruction: positive(process.env.VECTOR_HNSW_EF_CONSTRUCTION, 100),
+    efSearch: positive(process.env.VECTOR_HNSW_EF_SEARCH, 64),
+    quantization: (process.env.VECTOR_QUANTIZATION || 'none').toLowerCase() === 'int8' ? 'int8' : 'none',
+  };
+}
+
+/**
+ * Unit-length Float32Array copy of a vector (zero vectors stay zero)
+ * @param {Array<number>|Float32Array} vector
+ * @returns {Float32Array}
+ */
+export function toUnitVector(vector) {
+  const unit = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < unit.length; i++) norm += unit[i] * unit[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < unit.length; i++) unit[i] /= norm;
+  }
+  return unit;
+}
+
+/**
+ * Binary heap; `before(a, b)` is true when a should come out first
+ */
+function createHeap(before) {
+  const items = [];
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+  return {
+    get size() {
+      return items.length;
+    },
+    peek() {
+      return items[0];
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < items.length && before(items[left], items[first])) first = left;
+          if (right < items.length && before(items[right], items[first])) first = right;
+          if (first === i) break;
+          swap(i, first);
+          i = first;
+        }
+      }
+      return top;
+    },
+    toArray() {
+      return [...items];
+    },
+  };
+}
+
+const bestFirst = (a, b) => a.score > b.score;
+const worstFirst = (a, b) => a.score < b.score;
+
+/**
+ * Stored vectors with dot products against a query or between two stored vectors
+ * Float vectors are kept by reference (no copy); int8 codes are packed in one buffer.
+ */
+function createVectorStorage(vectors, dimensions, quantization) {
+  if (quantization !== 'int8') {
+    return {
+      memoryBytes: vectors.length * dimensions * 4,
+      dotQuery(query, id) {
+        const vector = vectors[id];
+        let dot = 0;
+        for (let i = 0; i < dimensions; i++) dot += query[i] * vector[i];
+        return dot;
+      },
+      dotStored(a, b) {
+        return this.dotQuery(vectors[a], b);
+      },
+    };
+  }
+
+  const codes = new Int8Array(vectors.length * dimensions);
+  const scales = new Float32Array(vectors.length);
+  vectors.forEach((vector, id) => {
+    let maxAbs = 0;
+    for (let i = 0; i < dimensions; i++) maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+    const scale = maxAbs / 127 || 1;
+    scales[id] = scale;
+    const offset = id * dimensions;
+    for (let i = 0; i < dimensions; i++) codes[offset + i] = Math.round(vector[i] / scale);
+  });
+
+  return {
+    memoryBytes: codes.byteLength + scales.byteLength,
+    dotQuery(query, id) {
+      const offset = id * dimensions;
+      let dot = 0;
+      for (let i = 0; i < dimensions; i++) dot += query[i] * codes[offset + i];
+      return dot * scales[id];
+    },
+    dotStored(a, b) {
+      const offsetA = a * dimensions;
+      const offsetB = b * dimensions;
+      let dot = 0;
+      for (let i = 0; i < dimensions; i++) dot += codes[offsetA + i] * codes[offsetB + i];
+      return dot * scales[a] * scales[b];
+    },
+  };
+}
+
+/**
+ * Exact top-k over every stored vector that passes the filter
+ */
+function flatSearch(storage, size, query, k, filter) {
+  const top = createHeap(worstFirst);
+  for (let id = 0; id < size; id++) {
+    if (filter && !filter(id)) continue;
+    const score = storage.dotQuery(query, id);
+    if (top.size < k) top.push({ id, score });
+    else if (score > top.peek().score) {
+      top.pop();
+      top.push({ id, score });
+    }
+  }
+  return top.toArray().sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Small seeded PRNG (mulberry32), so the same vectors always build the same graph
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Builds the HNSW graph (Malkov & Yashunin): each vector gets a random top
+ * layer; upper layers are sparse shortcuts, layer 0 links every vector to its
+ * closest, diverse neighbours
+ */
+async function buildHnswGraph(storage, size, { m, efConstruction }) {
+  const maxLinksUpper = m;
+  const maxLinksBottom = m * 2;
+  const levelMultiplier = 1 / Math.log(m);
+  const random = seededRandom(HNSW_SEED);
+
+  const links = new Array(size); // links[id][level] = neighbour ids
+  const visited = new Uint32Array(size);
+  let visitMark = 0;
+  let entryPoint = -1;
+  let maxLevel = -1;
+
+  // Best-first beam search on one layer; returns up to ef results, best first
+  function searchLayer(scoreOf, entries, ef, level) {
+    visitMark++;
+    const candidates = createHeap(bestFirst);
+    const results = createHeap(worstFirst);
+    entries.forEach(entry => {
+      visited[entry.id] = visitMark;
+      candidates.push(entry);
+      results.push(entry);
+    });
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const neighbour of links[current.id][level] || []) {
+        if (visited[neighbour] === visitMark) continue;
+        visited[neighbour] = visitMark;
+        const score = scoreOf(neighbour);
+        if (results.size < ef || score > results.peek().score) {
+          candidates.push({ id: neighbour, score });
+          results.push({ id: neighbour, score });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.toArray().sort((a, b) => b.score - a.score);
+  }
+
+  // Neighbour selection heuristic: skip a candidate that is closer to an
+  // already selected neighbour than to the base, so links spread out
+  function selectNeighbours(candidates, maxCount) {
+    const selected = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (selected.length >= maxCount) break;
+      const diverse = selected.every(chosen => storage.dotStored(candidate.id, chosen.id) < candidate.score);
+      (diverse ? selected : skipped).push(candidate);
+    }
+    for (const candidate of skipped) {
+      if (selected.length >= maxCount) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  function insert(id) {
+    const level = Math.floor(-Math.log(random() || Number.MIN_VALUE) * levelMultiplier);
+    links[id] = Array.from({ length: level + 1 }, () => []);
+    if (entryPoint === -1) {
+      entryPoint = id;
+      maxLevel = level;
+      return;
+    }
+
+    const scoreOf = other => storage.dotStored(id, other);
+    let entries = [{ id: entryPoint, score: scoreOf(entryPoint) }];
+    for (let layer = maxLevel; layer > level; layer--) {
+      entries = searchLayer(scoreOf, entries, 1, layer).slice(0, 1);
+    }
+
+    for (let layer = Math.min(level, maxLevel); layer >= 0; layer--) {
+      const found = searchLayer(scoreOf, entries, efConstruction, layer);
+      const maxLinks = layer === 0 ? maxLinksBottom : maxLinksUpper;
+      const neighbours = selectNeighbours(found, m);
+      links[id][layer] = neighbours.map(neighbour => neighbour.id);
+
+      neighbours.forEach(({ id: neighbour }) => {
+        const neighbourLinks = links[neighbour][layer];
+        neighbourLinks.push(id);
+        if (neighbourLinks.length > maxLinks) {
+          const scored = neighbourLinks
+            .map(other => ({ id: other, score: storage.dotStored(neighbour, other) }))
+            .sort((a, b) => b.score - a.score);
+          links[neighbour][layer] = selectNeighbours(scored, maxLinks).map(kept => kept.id);
+        }
+      });
+      entries = found;
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entryPoint = id;
+    }
+  }
+
+  for (let id = 0; id < size; id++) {
+    insert(id);
+    if ((id + 1) % BUILD_YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return {
+    search(query, k, ef, filter) {
+      if (entryPoint === -1) return [];
+      const scoreOf = id => storage.dotQuery(query, id);
+      let entries = [{ id: entryPoint, score: scoreOf(entryPoint) }];
+      for (let layer = maxLevel; layer > 0; layer--) {
+        entries = searchLayer(scoreOf, entries, 1, layer).slice(0, 1);
+      }
+      const width = Math.max(ef, k) * (filter ? FILTERED_EF_FACTOR : 1);
+      return searchLayer(scoreOf, entries, width, 0).filter(result => !filter || filter(result.id));
+    },
+  };
+}
+
+/**
+ * Builds an index over vectors; ids are positions in the array
+ * @param {Array<Float32Array>} vectors - Unit vectors (toUnitVector), all the same length
+ * @param {Object} config - Overrides for getVectorIndexConfig()
+ * @returns {Promise<Object>} - { type, quantization, size, dimensions, efSearch, memoryBytes, score(query, id),
+ *   search(query, k, { filter, efSearch }) -> [{ id, score }] }
+ */
+export async function buildVectorIndex(vectors, config = {}) {
+  const settings = { ...getVectorIndexConfig(), ...config };
+  const size = vectors.length;
+  const dimensions = size > 0 ? vectors[0].length : 0;
+  const type = settings.type === 'auto' ? (size >= settings.hnswMinVectors ? 'hnsw' : 'flat') : settings.type;
+
+  const storage = createVectorStorage(vectors, dimensions, settings.quantization);
+  const startedAt = Date.now();
+  const graph = type === 'hnsw' ? await buildHnswGraph(storage, size, settings) : null;
+  if (graph) console.log(`✅ Built HNSW graph over ${size} vectors in ${Date.now() - startedAt}ms`);
+
+  return {
+    type,
+    quantization: settings.quantization,
+    size,
+    dimensions,
+    efSearch: settings.efSearch,
+    memoryBytes: storage.memoryBytes,
+
+    /**
+     * Similarity of the query to one stored vector
+     * @param {Float32Array} query - Unit query vector
+     * @param {number} id - Vector position
+     * @returns {number}
+     */
+    score(query, id) {
+      return query.length === dimensions ? storage.dotQuery(query, id) : 0;
+    },
+
+    /**
+     * @param {Float32Array} query - Unit query vector
+     * @param {number} k - Results wanted
+     * @param {Object} options - { filter: id -> boolean, efSearch }
+     */
+    search(query, k, { filter = null, efSearch = settings.efSearch } = {}) {
+      if (size === 0 || k <= 0 || query.length !== dimensions) return [];
+      if (!graph) return flatSearch(storage, size, query, k, filter);
+
+      const results = graph.search(query, k, efSearch, filter);
+      // A selective filter can leave the beam short; fall back to an exact scan
+      if (filter && results.length < k) return flatSearch(storage, size, query, k, filter);
+      return results.slice(0, k);
+    },
+  };
+}